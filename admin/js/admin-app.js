@@ -8,7 +8,13 @@ import { Auth } from './auth.js';
 import { TrailEditor } from './trail-editor.js';
 import { WaypointEditor } from './waypoint-editor.js';
 import { PhotoManager } from './photo-manager.js';
+import { AudioManager } from './audio-manager.js';
+import { CalibrationEditor } from './calibration-editor.js';
+import { TranslationEditor } from './translation-editor.js';
+import { validateTrail } from '../../js/trail-validation.js';
+import { CURRENT_SCHEMA_VERSION } from '../../js/trail-migrations.js';
 import config from '../config.json';
+import trailSchema from '../../trail.schema.json';
 
 class AdminApp {
   constructor() {
@@ -18,11 +24,14 @@ class AdminApp {
     this.trailEditor = null;
     this.waypointEditor = null;
     this.photoManager = null;
+    this.audioManager = null;
+    this.calibrationEditor = null;
 
     this.currentScreen = 'auth';
     this.currentPanel = 'trail-info';
     this.hasUnsavedChanges = false;
     this.currentTrailSlug = null;
+    this.saveWarningsAcknowledged = false;
 
     // Map preview state
     this.mapScale = 0.2;
@@ -47,6 +56,9 @@ class AdminApp {
     this.trailEditor = new TrailEditor(this);
     this.waypointEditor = new WaypointEditor(this);
     this.photoManager = new PhotoManager(this);
+    this.audioManager = new AudioManager(this);
+    this.calibrationEditor = new CalibrationEditor(this);
+    this.translationEditor = new TranslationEditor(this);
 
     // Setup event listeners
     this.setupEventListeners();
@@ -409,6 +421,8 @@ class AdminApp {
     markersContainer.innerHTML = '';
     const trail = this.trailEditor.trail;
     const currentWpIndex = this.waypointEditor.currentWaypointIndex;
+    const calibrating = this.currentPanel === 'calibrate';
+    const calibrationMarker = this.calibrationEditor.selectedMarker;
 
     if (trail.waypoints) {
       trail.waypoints.forEach((waypoint, wpIdx) => {
@@ -417,7 +431,11 @@ class AdminApp {
         waypoint.markerPositions.forEach((pos, posIdx) => {
           const marker = document.createElement('div');
           marker.className = 'map-preview-marker';
-          if (wpIdx === currentWpIndex) {
+          if (calibrating) {
+            if (calibrationMarker && calibrationMarker.waypointIndex === wpIdx && calibrationMarker.positionIndex === posIdx) {
+              marker.classList.add('current');
+            }
+          } else if (wpIdx === currentWpIndex) {
             const selectedPosIdx = this.waypointEditor.selectedMarkerPositionIndex;
             if (selectedPosIdx === null ? true : posIdx === selectedPosIdx) {
               marker.classList.add('current');
@@ -430,7 +448,10 @@ class AdminApp {
           marker.textContent = waypoint.markerSymbol || '';
 
           marker.addEventListener('click', (e) => {
-            if (!this.waypointEditor.placingMarker) {
+            if (calibrating) {
+              e.stopPropagation();
+              this.calibrationEditor.selectMarker(wpIdx, posIdx);
+            } else if (!this.waypointEditor.placingMarker) {
               e.stopPropagation();
               this.waypointEditor.selectWaypoint(wpIdx);
             }
@@ -440,6 +461,10 @@ class AdminApp {
         });
       });
     }
+
+    if (calibrating) {
+      this.calibrationEditor.renderPreviewOverlay(markersContainer);
+    }
   }
 
   /**
@@ -517,7 +542,19 @@ class AdminApp {
       item.classList.toggle('active', item.dataset.panel === panel);
     });
 
+    const previousPanel = this.currentPanel;
     this.currentPanel = panel;
+
+    if (panel === 'calibrate') {
+      this.calibrationEditor.refresh();
+    } else if (previousPanel === 'calibrate') {
+      this.calibrationEditor.stopCapture();
+    }
+
+    // The preview shows the calibration overlay only on the calibrate panel
+    if (this.currentTrailSlug && (panel === 'calibrate' || previousPanel === 'calibrate')) {
+      this.updateMapPreview();
+    }
   }
 
   /**
@@ -583,6 +620,8 @@ class AdminApp {
       document.getElementById('editor-trail-name').textContent = this.trailEditor.trail.name || slug;
 
       this.waypointEditor.populateWaypointList();
+      this.calibrationEditor.load();
+      this.translationEditor.load();
 
       // Set the main map preview images from the live site. updateMapPreview()
       // is called on every marker change, so the src is set here (once per
@@ -622,6 +661,7 @@ class AdminApp {
         return;
       }
     }
+    this.calibrationEditor.stopCapture();
     this.hasUnsavedChanges = false;
     this.currentTrailSlug = null;
     this.showScreen('selector');
@@ -651,9 +691,59 @@ class AdminApp {
   showSaveDialog() {
     const dialog = document.getElementById('save-dialog');
     document.getElementById('commit-message').value = 'Update trail content';
+    this.saveWarningsAcknowledged = false;
+    this.showValidationProblems([], []);
+    document.getElementById('save-confirm').textContent = 'Save';
     dialog.classList.remove('hidden');
   }
 
+  /**
+   * Check the trail before saving. Errors block the save; warnings are
+   * shown once, and saving again goes ahead.
+   */
+  async validateBeforeSave(trailData) {
+    const trailFolder = trailData.path.replace(/\/trail\.json$/, '');
+    let files = null;
+    try {
+      const paths = await this.api.listFiles(trailFolder);
+      files = paths && new Set(paths);
+    } catch (error) {
+      // Without the listing, the photo and audio checks are skipped
+      console.warn('Could not list trail files:', error);
+    }
+
+    const { errors, warnings } = validateTrail(trailData.data, trailSchema, { files });
+    this.showValidationProblems(errors, warnings);
+
+    if (errors.length) {
+      this.showToast(`Not saved: ${errors.length} problem${errors.length !== 1 ? 's' : ''} in the trail`, 'error');
+      return false;
+    }
+    if (warnings.length && !this.saveWarningsAcknowledged) {
+      this.saveWarningsAcknowledged = true;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * List validation problems in the save dialog
+   */
+  showValidationProblems(errors, warnings) {
+    const list = document.getElementById('save-validation');
+    list.innerHTML = '';
+    errors.forEach(message => list.appendChild(this.createValidationItem(message, 'error')));
+    warnings.forEach(message => list.appendChild(this.createValidationItem(message, 'warning')));
+    list.classList.toggle('hidden', !errors.length && !warnings.length);
+  }
+
+  createValidationItem(message, type) {
+    const item = document.createElement('li');
+    item.className = type;
+    item.textContent = message;
+    return item;
+  }
+
   /**
    * Save changes to GitHub
    */
@@ -663,10 +753,18 @@ class AdminApp {
 
     const saveBtn = document.getElementById('save-confirm');
     saveBtn.disabled = true;
-    saveBtn.textContent = 'Saving...';
+    saveBtn.textContent = 'Checking...';
+    // What the button says once this attempt is over
+    let idleLabel = 'Save';
 
     try {
       const trailData = this.trailEditor.getTrailData();
+      if (!await this.validateBeforeSave(trailData)) {
+        if (this.saveWarningsAcknowledged) idleLabel = 'Save anyway';
+        return;
+      }
+
+      saveBtn.textContent = 'Saving...';
 
       const result = await this.api.putJsonFile(
         trailData.path,
@@ -718,7 +816,7 @@ class AdminApp {
       }
     } finally {
       saveBtn.disabled = false;
-      saveBtn.textContent = 'Save';
+      saveBtn.textContent = idleLabel;
     }
   }
 
@@ -758,6 +856,7 @@ class AdminApp {
 
       // Create trail.json
       const trailData = {
+        schemaVersion: CURRENT_SCHEMA_VERSION,
         slug: slug,
         name: '',
         identifier: '',
@@ -765,7 +864,9 @@ class AdminApp {
         description: '',
         features: [],
         cemeteryDescription: '',
-        waypoints: []
+        waypoints: [],
+        languages: ['en'],
+        translations: {}
       };
 
       // Create manifest.json
@@ -0,0 +1,209 @@
+/**
+ * Audio Manager module for waypoint audio guide upload and delete
+ */
+
+// GitHub rejects blobs over 100 MB; narration should be far smaller anyway
+const MAX_AUDIO_BYTES = 20 * 1024 * 1024;
+
+export class AudioManager {
+  constructor(app) {
+    this.app = app;
+    this.currentWaypoint = null;
+    this.audioExists = false; // Whether the waypoint's audio file is in the repo
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    // Upload button
+    document.getElementById('upload-audio-btn').addEventListener('click', () => {
+      document.getElementById('audio-upload-input').click();
+    });
+
+    // File input change
+    document.getElementById('audio-upload-input').addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.uploadAudio(e.target.files[0]);
+        e.target.value = ''; // Reset input
+      }
+    });
+  }
+
+  /**
+   * Get the repo folder holding a waypoint's audio
+   */
+  getBasePath(waypoint) {
+    const trailSlug = this.app.trailEditor.trail.slug;
+    return `${this.app.config.trailsPath}/${trailSlug}/audio/${waypoint.id}`;
+  }
+
+  /**
+   * Load the audio entry for a waypoint
+   */
+  async loadAudio(waypoint) {
+    this.currentWaypoint = waypoint;
+    this.audioExists = false;
+    this.render();
+
+    if (!waypoint.audio) return;
+
+    try {
+      await this.app.api.getContents(`${this.getBasePath(waypoint)}/${waypoint.audio}`);
+      if (this.currentWaypoint === waypoint) this.audioExists = true;
+    } catch (error) {
+      console.warn(`Could not find audio ${waypoint.audio}:`, error);
+    }
+    if (this.currentWaypoint === waypoint) this.render();
+  }
+
+  /**
+   * Show the current audio file, if any
+   */
+  render() {
+    const container = document.getElementById('audio-current');
+    const waypoint = this.currentWaypoint;
+    container.innerHTML = '';
+
+    if (!waypoint || !waypoint.audio) {
+      container.innerHTML = '<p class="empty-message" style="color: #666; font-size: 13px;">No audio</p>';
+      return;
+    }
+
+    const item = document.createElement('div');
+    item.className = 'audio-item';
+    item.innerHTML = `
+      <span class="material-symbols-rounded">headphones</span>
+      <span class="audio-item-name"></span>
+      <button class="btn-icon audio-delete-btn" title="Delete audio">
+        <span class="material-symbols-rounded">delete</span>
+      </button>
+    `;
+    item.querySelector('.audio-item-name').textContent = waypoint.audio;
+    item.querySelector('.audio-delete-btn').addEventListener('click', () => this.deleteAudio());
+
+    container.appendChild(item);
+  }
+
+  /**
+   * Upload an audio file, replacing any existing one
+   */
+  async uploadAudio(file) {
+    if (!this.currentWaypoint) return;
+
+    if (!file.type.startsWith('audio/')) {
+      this.app.showToast('Please choose an audio file', 'error');
+      return;
+    }
+    if (file.size > MAX_AUDIO_BYTES) {
+      this.app.showToast('Audio files must be under 20 MB', 'error');
+      return;
+    }
+
+    const waypoint = this.currentWaypoint;
+    const progressContainer = document.getElementById('audio-upload-progress');
+    const progressFill = document.getElementById('audio-progress-fill');
+    const progressText = document.getElementById('audio-progress-text');
+
+    progressContainer.classList.remove('hidden');
+    progressFill.style.width = '25%';
+    progressText.textContent = 'Reading audio...';
+
+    try {
+      const content = await this.readAsBase64(file);
+      const filename = this.app.photoManager.sanitizeFilename(file.name);
+      const basePath = this.getBasePath(waypoint);
+
+      const operations = [{
+        action: 'add',
+        path: `${basePath}/${filename}`,
+        content,
+        encoding: 'base64'
+      }];
+      if (this.audioExists && waypoint.audio !== filename) {
+        operations.push({ action: 'delete', path: `${basePath}/${waypoint.audio}` });
+      }
+
+      progressText.textContent = 'Uploading audio...';
+      progressFill.style.width = '75%';
+
+      await this.app.api.batchCommit(operations, `Add audio: ${filename}`);
+
+      waypoint.audio = filename;
+
+      progressFill.style.width = '100%';
+      progressText.textContent = 'Upload complete!';
+
+      await this.loadAudio(waypoint);
+      this.app.markUnsaved();
+
+      this.app.showToast('Uploaded audio', 'success');
+
+      // Hide progress after a moment
+      setTimeout(() => {
+        progressContainer.classList.add('hidden');
+      }, 1500);
+    } catch (error) {
+      console.error('Upload failed:', error);
+      this.app.showToast(`Upload failed: ${error.message}`, 'error');
+      progressContainer.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Read a file as base64, without the data URL prefix
+   */
+  readAsBase64(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Delete the current waypoint's audio
+   */
+  async deleteAudio() {
+    const waypoint = this.currentWaypoint;
+    if (!waypoint || !waypoint.audio) return;
+
+    // Orphan: trail.json names a file that isn't in the repo, so there's
+    // nothing to delete on GitHub
+    const isOrphan = !this.audioExists;
+
+    try {
+      if (!isOrphan) {
+        await this.app.api.batchCommit([
+          { action: 'delete', path: `${this.getBasePath(waypoint)}/${waypoint.audio}` }
+        ], `Delete audio: ${waypoint.audio}`);
+      }
+
+      delete waypoint.audio;
+
+      await this.loadAudio(waypoint);
+      this.app.markUnsaved();
+
+      this.app.showToast(isOrphan ? 'Orphan reference removed' : 'Audio deleted', 'success');
+    } catch (error) {
+      console.error('Delete failed:', error);
+      this.app.showToast(`Delete failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Delete a waypoint's audio along with the waypoint
+   */
+  async deleteWaypointAudio(waypoint) {
+    if (!waypoint.audio) return;
+    if (waypoint !== this.currentWaypoint || !this.audioExists) return;
+
+    try {
+      await this.app.api.batchCommit([
+        { action: 'delete', path: `${this.getBasePath(waypoint)}/${waypoint.audio}` }
+      ], `Delete audio for waypoint ${waypoint.index}`);
+    } catch (error) {
+      console.warn('Could not delete audio:', error);
+    }
+  }
+}
@@ -0,0 +1,432 @@
+/**
+ * Calibration Editor module for georeferencing the trail map from GPS
+ * readings taken at waypoint markers
+ */
+
+import { fitGeoreference } from '../../js/georeference.js';
+
+// How long GPS readings are averaged for when capturing a location
+const SETTLE_SECONDS = 20;
+
+// Readings less accurate than this are ignored while settling
+const MAX_ACCURACY_METRES = 50;
+
+export class CalibrationEditor {
+  constructor(app) {
+    this.app = app;
+    this.selectedMarker = null; // { waypointIndex, positionIndex }
+    this.watchId = null;
+    this.settleTimer = null;
+    this.readings = [];
+    this.averagedLocation = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('calibration-marker').addEventListener('change', (e) => {
+      if (!e.target.value) {
+        this.selectedMarker = null;
+        this.updateAddButton();
+        this.app.updateMapPreview();
+        return;
+      }
+      const [waypointIndex, positionIndex] = e.target.value.split(':').map(Number);
+      this.selectMarker(waypointIndex, positionIndex);
+    });
+
+    document.getElementById('calibration-lat').addEventListener('input', () => this.updateAddButton());
+    document.getElementById('calibration-lng').addEventListener('input', () => this.updateAddButton());
+
+    document.getElementById('calibration-locate-btn').addEventListener('click', () => {
+      if (this.watchId !== null) {
+        this.stopCapture();
+      } else {
+        this.startCapture();
+      }
+    });
+
+    document.getElementById('calibration-add-btn').addEventListener('click', () => {
+      this.addControlPoint();
+    });
+  }
+
+  /**
+   * Control points saved in the trail's georeference
+   */
+  getControlPoints() {
+    const trail = this.app.trailEditor.trail;
+    return (trail.georeference && trail.georeference.controlPoints) || [];
+  }
+
+  /**
+   * Fit the current control points (null until there are enough)
+   */
+  getFit() {
+    return fitGeoreference(this.getControlPoints());
+  }
+
+  /**
+   * Reset the panel for a newly opened trail
+   */
+  load() {
+    this.stopCapture();
+    this.selectedMarker = null;
+    document.getElementById('calibration-lat').value = '';
+    document.getElementById('calibration-lng').value = '';
+    document.getElementById('calibration-gps-status').classList.add('hidden');
+    this.refresh();
+  }
+
+  /**
+   * Re-render the panel from the current trail data
+   */
+  refresh() {
+    this.populateMarkerSelect();
+    this.populateControlPoints();
+    this.updateAddButton();
+  }
+
+  /**
+   * Populate the marker picker with every waypoint marker position. This is
+   * the only way to pick a marker on small screens, where the map preview
+   * is hidden.
+   */
+  populateMarkerSelect() {
+    const select = document.getElementById('calibration-marker');
+    const trail = this.app.trailEditor.trail;
+
+    const options = ['<option value="">Choose a waypoint marker...</option>'];
+    (trail.waypoints || []).forEach((waypoint, wpIdx) => {
+      (waypoint.markerPositions || []).forEach((pos, posIdx) => {
+        const suffix = waypoint.markerPositions.length > 1 ? ` (position ${posIdx + 1})` : '';
+        options.push(`<option value="${wpIdx}:${posIdx}">${waypoint.markerSymbol || waypoint.index} – ${waypoint.title || 'Untitled'}${suffix}</option>`);
+      });
+    });
+    select.innerHTML = options.join('');
+
+    if (this.selectedMarker) {
+      select.value = `${this.selectedMarker.waypointIndex}:${this.selectedMarker.positionIndex}`;
+    }
+  }
+
+  /**
+   * Select the waypoint marker the next control point will be taken at
+   */
+  selectMarker(waypointIndex, positionIndex) {
+    this.selectedMarker = { waypointIndex, positionIndex };
+    document.getElementById('calibration-marker').value = `${waypointIndex}:${positionIndex}`;
+    this.updateAddButton();
+    this.app.updateMapPreview();
+  }
+
+  /**
+   * Pixel position of the selected marker
+   */
+  getSelectedPosition() {
+    if (!this.selectedMarker) return null;
+    const waypoint = this.app.trailEditor.trail.waypoints[this.selectedMarker.waypointIndex];
+    if (!waypoint || !waypoint.markerPositions) return null;
+    return waypoint.markerPositions[this.selectedMarker.positionIndex] || null;
+  }
+
+  /**
+   * Read the lat/lng inputs, or null if they aren't valid coordinates
+   */
+  getEnteredLocation() {
+    const lat = parseFloat(document.getElementById('calibration-lat').value);
+    const lng = parseFloat(document.getElementById('calibration-lng').value);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+  }
+
+  updateAddButton() {
+    document.getElementById('calibration-add-btn').disabled =
+      !this.getSelectedPosition() || !this.getEnteredLocation();
+  }
+
+  /**
+   * Start averaging GPS readings from this device
+   */
+  startCapture() {
+    if (!navigator.geolocation) {
+      this.app.showToast('Location is not available in this browser', 'error');
+      return;
+    }
+
+    this.readings = [];
+    this.averagedLocation = null;
+    this.setCaptureStatus('Waiting for GPS...');
+    document.getElementById('calibration-locate-btn').querySelector('.btn-label').textContent = 'Stop';
+
+    this.watchId = navigator.geolocation.watchPosition(
+      (position) => this.onReading(position),
+      (error) => {
+        this.stopCapture();
+        this.setCaptureStatus(`Location error: ${error.message}`);
+      },
+      { enableHighAccuracy: true, maximumAge: 0, timeout: 30000 }
+    );
+
+    this.settleTimer = setTimeout(() => {
+      this.stopCapture();
+    }, SETTLE_SECONDS * 1000);
+  }
+
+  /**
+   * Stop capturing, keeping whatever average has been reached
+   */
+  stopCapture() {
+    if (this.watchId !== null) {
+      navigator.geolocation.clearWatch(this.watchId);
+      this.watchId = null;
+    }
+    if (this.settleTimer) {
+      clearTimeout(this.settleTimer);
+      this.settleTimer = null;
+    }
+    document.getElementById('calibration-locate-btn').querySelector('.btn-label').textContent = 'Use my location';
+    this.app.updateMapPreview();
+  }
+
+  /**
+   * Fold a GPS reading into the running average. Readings are weighted by
+   * 1/accuracy², so a few good fixes outweigh many poor ones.
+   */
+  onReading(position) {
+    const { latitude, longitude, accuracy } = position.coords;
+
+    if (accuracy > MAX_ACCURACY_METRES) {
+      this.setCaptureStatus(`Ignoring poor reading (±${Math.round(accuracy)} m) — stand still in the open`);
+      return;
+    }
+
+    this.readings.push({ lat: latitude, lng: longitude, accuracy });
+
+    let weightSum = 0, lat = 0, lng = 0;
+    this.readings.forEach(r => {
+      const weight = 1 / (r.accuracy * r.accuracy);
+      weightSum += weight;
+      lat += r.lat * weight;
+      lng += r.lng * weight;
+    });
+    lat /= weightSum;
+    lng /= weightSum;
+
+    this.averagedLocation = { lat, lng };
+    document.getElementById('calibration-lat').value = lat.toFixed(6);
+    document.getElementById('calibration-lng').value = lng.toFixed(6);
+    this.updateAddButton();
+
+    const averagedAccuracy = 1 / Math.sqrt(weightSum);
+    const count = this.readings.length;
+    this.setCaptureStatus(
+      `${count} reading${count !== 1 ? 's' : ''} · latest ±${Math.round(accuracy)} m · averaged ±${averagedAccuracy.toFixed(1)} m`
+    );
+
+    this.app.updateMapPreview();
+  }
+
+  setCaptureStatus(text) {
+    const status = document.getElementById('calibration-gps-status');
+    status.textContent = text;
+    status.classList.remove('hidden');
+  }
+
+  /**
+   * Pair the selected marker with the entered coordinates
+   */
+  addControlPoint() {
+    const pos = this.getSelectedPosition();
+    const location = this.getEnteredLocation();
+    if (!pos || !location) return;
+
+    this.stopCapture();
+
+    const trail = this.app.trailEditor.trail;
+    const waypoint = trail.waypoints[this.selectedMarker.waypointIndex];
+
+    if (!trail.georeference) {
+      trail.georeference = { controlPoints: [] };
+    }
+    if (!trail.georeference.controlPoints) {
+      trail.georeference.controlPoints = [];
+    }
+
+    trail.georeference.controlPoints.push({
+      waypointId: waypoint.id,
+      x: pos.x,
+      y: pos.y,
+      lat: Number(location.lat.toFixed(6)),
+      lng: Number(location.lng.toFixed(6))
+    });
+
+    this.selectedMarker = null;
+    document.getElementById('calibration-lat').value = '';
+    document.getElementById('calibration-lng').value = '';
+    document.getElementById('calibration-gps-status').classList.add('hidden');
+
+    this.refresh();
+    this.app.updateMapPreview();
+    this.app.markUnsaved();
+  }
+
+  /**
+   * Remove a control point
+   */
+  removeControlPoint(index) {
+    const trail = this.app.trailEditor.trail;
+    trail.georeference.controlPoints.splice(index, 1);
+    if (trail.georeference.controlPoints.length === 0) {
+      delete trail.georeference;
+    }
+
+    this.refresh();
+    this.app.updateMapPreview();
+    this.app.markUnsaved();
+  }
+
+  /**
+   * Find the waypoint a control point was taken at
+   */
+  getWaypointForPoint(point) {
+    const waypoints = this.app.trailEditor.trail.waypoints || [];
+    return waypoints.find(w => w.id === point.waypointId) || null;
+  }
+
+  /**
+   * Render the control point list, the fit summary, and the predicted
+   * coordinates of the remaining waypoints
+   */
+  populateControlPoints() {
+    const list = document.getElementById('control-points-list');
+    const summary = document.getElementById('calibration-fit');
+    const predictions = document.getElementById('calibration-predictions');
+    const points = this.getControlPoints();
+    const fit = this.getFit();
+
+    list.innerHTML = '';
+    if (points.length === 0) {
+      list.innerHTML = '<p class="empty-message">No control points yet</p>';
+    }
+
+    points.forEach((point, index) => {
+      const waypoint = this.getWaypointForPoint(point);
+      const residual = fit ? fit.residuals.find(r => r.point === point) : null;
+
+      const item = document.createElement('div');
+      item.className = 'control-point-item';
+      item.innerHTML = `
+        <div class="waypoint-marker" style="background-color: ${waypoint ? waypoint.markerColour : '#999'}; color: ${(waypoint && waypoint.markerTextColour) || '#FFFFFF'}">
+          ${waypoint ? waypoint.markerSymbol : '?'}
+        </div>
+        <span class="coords">x: ${point.x}, y: ${point.y} → ${point.lat}, ${point.lng}</span>
+        <span class="control-point-residual">${residual ? `${residual.metres.toFixed(1)} m` : ''}</span>
+        <button type="button" class="btn btn-icon btn-small" title="Remove control point">
+          <span class="material-symbols-rounded">close</span>
+        </button>
+      `;
+
+      item.querySelector('button').addEventListener('click', () => {
+        this.removeControlPoint(index);
+      });
+
+      list.appendChild(item);
+    });
+
+    if (points.length < 2) {
+      summary.textContent = 'Add at least two control points, as far apart as possible.';
+    } else if (!fit) {
+      summary.textContent = 'These points can’t be fitted. Use points further apart, and not all in a line.';
+    } else {
+      const method = fit.method === 'affine' ? 'Affine fit' : 'North-up fit';
+      summary.textContent = `${method} from ${points.length} points · RMS error ${fit.rmsMetres.toFixed(1)} m · ${fit.metresPerPixel.toFixed(2)} m per map pixel`;
+    }
+
+    predictions.innerHTML = '';
+    if (!fit) return;
+
+    const calibratedIds = new Set(points.map(p => p.waypointId));
+    (this.app.trailEditor.trail.waypoints || []).forEach(waypoint => {
+      if (calibratedIds.has(waypoint.id) || !waypoint.markerPositions || !waypoint.markerPositions.length) return;
+      const pos = waypoint.markerPositions[0];
+      const predicted = fit.toLatLng(pos.x, pos.y);
+
+      const item = document.createElement('div');
+      item.className = 'control-point-item';
+      item.innerHTML = `
+        <div class="waypoint-marker" style="background-color: ${waypoint.markerColour}; color: ${waypoint.markerTextColour || '#FFFFFF'}">
+          ${waypoint.markerSymbol}
+        </div>
+        <span class="coords">${predicted.lat.toFixed(6)}, ${predicted.lng.toFixed(6)}</span>
+      `;
+      predictions.appendChild(item);
+    });
+  }
+
+  /**
+   * Draw the calibration overlay into the map preview: each control
+   * point's GPS reading as placed by the fit (joined to its marker, so the
+   * residual is visible), predicted coordinates beside every other
+   * waypoint, and the live GPS position while capturing.
+   */
+  renderPreviewOverlay(markersContainer) {
+    const fit = this.getFit();
+    const points = this.getControlPoints();
+
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('class', 'map-preview-calibration-lines');
+    markersContainer.appendChild(svg);
+
+    points.forEach(point => {
+      const anchor = document.createElement('div');
+      anchor.className = 'map-preview-control-point';
+      anchor.style.left = `${point.x}px`;
+      anchor.style.top = `${point.y}px`;
+      markersContainer.appendChild(anchor);
+
+      if (!fit) return;
+      const predicted = fit.toPixel(point.lat, point.lng);
+
+      const line = document.createElementNS(svgNs, 'line');
+      line.setAttribute('x1', point.x);
+      line.setAttribute('y1', point.y);
+      line.setAttribute('x2', predicted.x);
+      line.setAttribute('y2', predicted.y);
+      svg.appendChild(line);
+
+      const dot = document.createElement('div');
+      dot.className = 'map-preview-predicted';
+      dot.style.left = `${predicted.x}px`;
+      dot.style.top = `${predicted.y}px`;
+      markersContainer.appendChild(dot);
+    });
+
+    if (!fit) return;
+
+    const calibratedIds = new Set(points.map(p => p.waypointId));
+    (this.app.trailEditor.trail.waypoints || []).forEach(waypoint => {
+      if (calibratedIds.has(waypoint.id) || !waypoint.markerPositions) return;
+      waypoint.markerPositions.forEach(pos => {
+        const predicted = fit.toLatLng(pos.x, pos.y);
+        const label = document.createElement('div');
+        label.className = 'map-preview-prediction-label';
+        label.style.left = `${pos.x}px`;
+        label.style.top = `${pos.y}px`;
+        label.textContent = `${predicted.lat.toFixed(5)}, ${predicted.lng.toFixed(5)}`;
+        markersContainer.appendChild(label);
+      });
+    });
+
+    if (this.watchId !== null && this.averagedLocation) {
+      const here = fit.toPixel(this.averagedLocation.lat, this.averagedLocation.lng);
+      const dot = document.createElement('div');
+      dot.className = 'map-preview-gps';
+      dot.style.left = `${here.x}px`;
+      dot.style.top = `${here.y}px`;
+      markersContainer.appendChild(dot);
+    }
+  }
+}
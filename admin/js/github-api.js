@@ -196,6 +196,19 @@ export class GitHubAPI {
     return contents;
   }
 
+  /**
+   * List every file under a directory, recursively, as paths relative to it.
+   * Returns null if the listing is too big for GitHub to return in full.
+   */
+  async listFiles(path) {
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const tree = await this.request(`/repos/${this.owner}/${this.repo}/git/trees/${this.branch}:${encodedPath}?recursive=1`);
+    if (tree.truncated) {
+      return null;
+    }
+    return tree.tree.filter(entry => entry.type === 'blob').map(entry => entry.path);
+  }
+
   /**
    * Check if a path exists
    */
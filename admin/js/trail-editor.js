@@ -2,6 +2,8 @@
  * Trail Editor module for metadata and features editing
  */
 
+import { migrateTrail } from '../../js/trail-migrations.js';
+
 export class TrailEditor {
   constructor(app) {
     this.app = app;
@@ -82,9 +84,11 @@ export class TrailEditor {
 
     const { data, sha } = await this.app.api.getJsonFile(this.trailPath);
 
-    this.trail = data;
+    // Older files are upgraded here and written in the current format on
+    // the next save; the upgrade alone doesn't count as a change
+    this.trail = migrateTrail(data);
     this.trailSha = sha;
-    this.originalTrail = JSON.stringify(data);
+    this.originalTrail = JSON.stringify(this.trail);
 
     this.populateMetadataForm();
     this.populateFeaturesList();
@@ -114,6 +118,7 @@ export class TrailEditor {
     this.trail.description = document.getElementById('trail-description').value;
     this.trail.cemeteryDescription = document.getElementById('trail-cemetery-description').value;
 
+    this.app.translationEditor.renderTabs('trail');
     this.app.markUnsaved();
   }
 
@@ -244,6 +249,7 @@ export class TrailEditor {
 
     this.populateFeaturesList();
     this.closeFeatureDialog();
+    this.app.translationEditor.renderTabs('trail');
     this.app.markUnsaved();
     this.app.waypointEditor.updateFeaturesCheckboxes();
   }
@@ -261,7 +267,7 @@ export class TrailEditor {
 
     // Check if feature is used by any waypoints
     const usedBy = this.trail.waypoints.filter(w =>
-      w.features && w.features.includes(feature.id)
+      w.features.some(entry => entry.id === feature.id)
     );
 
     if (usedBy.length > 0) {
@@ -271,8 +277,10 @@ export class TrailEditor {
     }
 
     this.trail.features.splice(editIndex, 1);
+    this.app.translationEditor.removeTranslations(['features', feature.id]);
     this.populateFeaturesList();
     this.closeFeatureDialog();
+    this.app.translationEditor.renderTabs('trail');
     this.app.markUnsaved();
     this.app.waypointEditor.updateFeaturesCheckboxes();
   }
@@ -0,0 +1,240 @@
+/**
+ * Translation Editor module for the language tabs on the trail and waypoint
+ * panels. The main language's tab shows the usual forms; the other tabs
+ * list each text beside an input for its translation, with a count of the
+ * ones still missing on every tab.
+ */
+
+import {
+  listTranslatableTexts, getMainLanguage, getTranslation, setTranslation, removeTranslations,
+  getMissingTranslations, getLanguageName
+} from '../../js/trail-translations.js';
+
+const FIELD_LABELS = {
+  identifier: 'Identifier',
+  name: 'Name',
+  shortTitle: 'Short Title',
+  description: 'Description',
+  cemeteryDescription: 'Cemetery Description',
+  title: 'Title'
+};
+
+// Fields edited in a textarea rather than a one-line input
+const LONG_FIELDS = ['description', 'cemeteryDescription'];
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/;
+
+// The forms each scope's tabs switch between
+const SCOPES = {
+  trail: { tabs: 'trail-language-tabs', mainForm: 'trail-metadata-form', translationForm: 'trail-translation-form' },
+  waypoint: { tabs: 'waypoint-language-tabs', mainForm: 'waypoint-form', translationForm: 'waypoint-translation-form' }
+};
+
+export class TranslationEditor {
+  constructor(app) {
+    this.app = app;
+    this.language = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    Object.values(SCOPES).forEach(ids => {
+      document.getElementById(ids.tabs).addEventListener('click', (e) => {
+        if (e.target.closest('.language-tab-add')) {
+          this.addLanguage();
+          return;
+        }
+        const tab = e.target.closest('[data-language]');
+        if (tab) this.selectLanguage(tab.dataset.language);
+      });
+
+      document.getElementById(ids.translationForm).addEventListener('input', (e) => {
+        if (e.target.dataset.path) this.onTranslationInput(e.target);
+      });
+    });
+  }
+
+  /**
+   * Start a newly opened trail on its main language
+   */
+  load() {
+    this.language = getMainLanguage(this.app.trailEditor.trail);
+    this.render();
+  }
+
+  /**
+   * Render both panels' tabs and forms
+   */
+  render() {
+    Object.keys(SCOPES).forEach(scope => this.renderScope(scope));
+  }
+
+  /**
+   * Render one panel's tabs, and its translation form if a translation is
+   * being edited
+   */
+  renderScope(scope) {
+    const trail = this.app.trailEditor.trail;
+    const ids = SCOPES[scope];
+    const isMain = this.language === getMainLanguage(trail);
+
+    this.renderTabs(scope);
+    document.getElementById(ids.mainForm).classList.toggle('hidden', !isMain);
+    const form = document.getElementById(ids.translationForm);
+    form.classList.toggle('hidden', isMain);
+    if (!isMain) this.renderTranslationForm(scope, form);
+  }
+
+  /**
+   * Render a panel's language tabs with their missing translation counts
+   */
+  renderTabs(scope) {
+    const trail = this.app.trailEditor.trail;
+    const container = document.getElementById(SCOPES[scope].tabs);
+
+    container.innerHTML = trail.languages.map(language => {
+      const missing = getMissingTranslations(trail, language).filter(path => this.isInScope(scope, path)).length;
+      return `
+        <button type="button" class="language-tab ${language === this.language ? 'active' : ''}" data-language="${language}">
+          ${getLanguageName(language)}
+          ${missing ? `<span class="language-tab-missing" title="${missing} missing">${missing}</span>` : ''}
+        </button>
+      `;
+    }).join('') + `
+      <button type="button" class="language-tab language-tab-add" title="Add a language">
+        <span class="material-symbols-rounded">add</span>
+      </button>
+    `;
+  }
+
+  /**
+   * List the scope's texts in the main language, each with an input for its
+   * translation
+   */
+  renderTranslationForm(scope, form) {
+    const trail = this.app.trailEditor.trail;
+    const mainLanguageName = getLanguageName(getMainLanguage(trail));
+    const texts = listTranslatableTexts(trail).filter(({ path }) => this.isInScope(scope, path));
+
+    form.innerHTML = '';
+    texts.forEach(({ path, text }, i) => {
+      const translation = getTranslation(trail, this.language, path);
+      const field = path[path.length - 1];
+
+      const group = document.createElement('div');
+      group.className = 'form-group translation-field';
+      group.classList.toggle('missing', !translation);
+
+      const label = document.createElement('label');
+      label.htmlFor = `translation-${scope}-${i}`;
+      label.textContent = this.getFieldLabel(path);
+
+      const source = document.createElement('p');
+      source.className = 'translation-source';
+      source.title = mainLanguageName;
+      source.textContent = text;
+
+      const input = document.createElement(LONG_FIELDS.includes(field) ? 'textarea' : 'input');
+      if (input.tagName === 'TEXTAREA') input.rows = field === 'cemeteryDescription' ? 6 : 3;
+      input.id = label.htmlFor;
+      input.value = translation;
+      input.placeholder = `${getLanguageName(this.language)} translation`;
+      input.dataset.path = JSON.stringify(path);
+
+      group.append(label, source, input);
+      form.appendChild(group);
+    });
+
+    if (!texts.length) {
+      form.innerHTML = '<p class="empty-message">Nothing to translate yet</p>';
+    }
+
+    if (scope === 'trail') {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-secondary';
+      remove.textContent = `Remove ${getLanguageName(this.language)}`;
+      remove.addEventListener('click', () => this.removeLanguage(this.language));
+      form.appendChild(remove);
+    }
+  }
+
+  /**
+   * Whether a text belongs on the trail panel or the current waypoint's panel
+   */
+  isInScope(scope, path) {
+    if (scope === 'trail') return path[0] !== 'waypoints';
+    const waypoint = this.app.waypointEditor.getCurrentWaypoint();
+    return path[0] === 'waypoints' && !!waypoint && path[1] === waypoint.id;
+  }
+
+  getFieldLabel(path) {
+    const field = FIELD_LABELS[path[path.length - 1]];
+    const featureId = path[0] === 'features' ? path[1] : path[3];
+    if (path[0] === 'trail' || (path[0] === 'waypoints' && path.length === 3)) return field;
+
+    const feature = this.app.trailEditor.trail.features.find(f => f.id === featureId);
+    return `${feature ? feature.title : featureId} feature: ${field}`;
+  }
+
+  onTranslationInput(input) {
+    const trail = this.app.trailEditor.trail;
+    setTranslation(trail, this.language, JSON.parse(input.dataset.path), input.value);
+    input.closest('.translation-field').classList.toggle('missing', !input.value);
+
+    this.renderTabs('trail');
+    this.renderTabs('waypoint');
+    this.app.markUnsaved();
+  }
+
+  selectLanguage(language) {
+    this.language = language;
+    this.render();
+  }
+
+  /**
+   * Add a language to the trail and start translating into it
+   */
+  addLanguage() {
+    const trail = this.app.trailEditor.trail;
+    const input = prompt('Language code to add, e.g. fr, es or pt-BR:');
+    if (input === null) return;
+
+    const code = input.trim();
+    if (!LANGUAGE_CODE_PATTERN.test(code)) {
+      this.app.showToast(`"${code}" isn't a language code`, 'error');
+      return;
+    }
+    if (trail.languages.includes(code)) {
+      this.app.showToast(`${getLanguageName(code)} is already added`, 'error');
+      return;
+    }
+
+    trail.languages.push(code);
+    this.app.markUnsaved();
+    this.selectLanguage(code);
+  }
+
+  /**
+   * Remove a translation language and everything translated into it
+   */
+  removeLanguage(language) {
+    const trail = this.app.trailEditor.trail;
+    const name = getLanguageName(language);
+    if (!confirm(`Remove ${name} and all its translations from this trail?`)) return;
+
+    trail.languages = trail.languages.filter(code => code !== language);
+    delete trail.translations[language];
+    this.app.markUnsaved();
+    this.selectLanguage(getMainLanguage(trail));
+  }
+
+  /**
+   * Drop the translations of a deleted waypoint or feature, or of a feature
+   * taken off a waypoint
+   */
+  removeTranslations(path) {
+    removeTranslations(this.app.trailEditor.trail, path);
+  }
+}
@@ -191,6 +191,11 @@ export class WaypointEditor {
 
     // Load photos
     this.app.photoManager.loadPhotos(waypoint);
+
+    // Load audio
+    this.app.audioManager.loadAudio(waypoint);
+
+    this.app.translationEditor.renderScope('waypoint');
   }
 
   /**
@@ -206,12 +211,10 @@ export class WaypointEditor {
     if (!trail.features) return;
 
     trail.features.forEach(feature => {
-      const existingEntry = waypoint && waypoint.features && waypoint.features.find(
-        entry => (typeof entry === 'string' ? entry : entry.id) === feature.id
-      );
+      const existingEntry = waypoint && waypoint.features.find(entry => entry.id === feature.id);
       const isSelected = !!existingEntry;
 
-      const accessibilityDesc = (typeof existingEntry === 'object' && existingEntry.description) ? existingEntry.description : '';
+      const accessibilityDesc = (existingEntry && existingEntry.description) || '';
 
       const label = document.createElement('label');
       label.className = `feature-checkbox ${isSelected ? 'selected' : ''}`;
@@ -327,14 +330,21 @@ export class WaypointEditor {
     waypoint.externalUrl = document.getElementById('waypoint-url').value;
 
     // Update features
+    const previousFeatureIds = waypoint.features.map(entry => entry.id);
     const featureCheckboxes = document.querySelectorAll('#waypoint-features-select input:checked');
     waypoint.features = Array.from(featureCheckboxes).map(cb => {
       if (cb.value === 'accessibility') {
         return { id: 'accessibility', title: 'Accessible', description: cb.dataset.accessibilityDesc || 'Paved access' };
       }
-      return cb.value;
+      return { id: cb.value };
     });
 
+    // Drop translations of features taken off the waypoint
+    previousFeatureIds
+      .filter(id => !waypoint.features.some(entry => entry.id === id))
+      .forEach(id => this.app.translationEditor.removeTranslations(['waypoints', waypoint.id, 'features', id]));
+    this.app.translationEditor.renderTabs('waypoint');
+
     this.populateWaypointList();
     this.app.updateMapPreview();
     this.app.markUnsaved();
@@ -411,8 +421,12 @@ export class WaypointEditor {
       await this.app.photoManager.deleteAllPhotos(waypoint);
     }
 
+    // Delete audio from GitHub
+    await this.app.audioManager.deleteWaypointAudio(waypoint);
+
     // Remove waypoint
     trail.waypoints.splice(this.currentWaypointIndex, 1);
+    this.app.translationEditor.removeTranslations(['waypoints', waypoint.id]);
 
     // Reindex remaining waypoints
     trail.waypoints.forEach((wp, idx) => {
@@ -1,12 +1,56 @@
 // Trail App - Main JavaScript
 
+import { distanceMetres } from './georeference.js';
+import { findRoute } from './route.js';
+import { loadWalk, saveWalk, deleteWalk, walkLength, walkToGpx } from './walk-recording.js';
+import {
+  loadTrail, loadRouteGraph, getPhotoPath, getThumbnailPath, getAudioPath, getTrailFiles, getFilterableFeatures
+} from './trail-data.js';
+import { createRouter, getNavigationDirection } from './router.js';
+import { createMapViewer } from './map-viewer.js';
+import { createPhotoViewer } from './photo-viewer.js';
+import {
+  watchPosition, getGpsErrorKey, isFixStale, hasCompass, compassNeedsPermission, requestCompassPermission, watchCompass
+} from './geolocation.js';
+import {
+  chooseLanguage, getPreferredLanguages, saveLanguage, localiseTrail, getLanguageName
+} from './trail-translations.js';
+import { createTranslator, applyUiStrings } from './ui-strings.js';
+import { createFormatters } from './formatting.js';
+import { createWalkProgress } from './walk-progress.js';
+import { createCoverPage } from './cover-page.js';
+import { populateIntroPage } from './intro-page.js';
+import { createWaypointPage } from './waypoint-page.js';
+import { createListPage } from './list-page.js';
+import { createFinishPage } from './finish-page.js';
+
 // State
 const state = {
   trail: null,
-  currentPage: 'cover', // 'cover', 'intro', or waypoint index (1, 2, 3...)
-  currentPhotoIndex: 0,
-  mapInstances: {},
-  photoZoom: null // Photo overlay zoom/pan state
+  language: null, // Language the trail is shown in (see setupLanguage)
+  requestedLanguage: null, // Language from ?lang=, kept in the URL (see setupLanguageSwitcher)
+  georeference: null, // Fitted GPS <-> map pixel transform, if the trail has one
+  waypointLocations: [], // GPS position of each waypoint's markers, from the georeference
+  viewedWaypoints: new Set(), // Waypoint indexes opened this visit
+  lastWalkedLocation: null, // Last fix counted towards the distance walked
+  nearbyWaypoint: null, // Waypoint index offered in the "You're near" card
+  heading: null, // Direction the visitor is facing, degrees from true north
+  gpsHeadingAt: 0, // When the GPS last gave a usable heading
+  lastFixAt: null, // Timestamp of the latest GPS fix
+  userPixel: null, // Visitor's position on the map image
+  routeGraph: null, // Walkable paths from route.svg, for directions
+  walk: null, // Recorded walk, if any (see walk-recording.js)
+  stopWalkWatch: null, // Stops the GPS watch kept just for recording (see updateWalkWatch)
+  audio: null, // Audio element for the audio guide, shared by every page
+  audioWaypoint: null, // Waypoint index whose narration is loaded
+  playAll: false, // Audio guide moves on to the next waypoint when a track ends
+  speech: null, // Read aloud in progress: { waypointIndex, readAll, pausedByOverlay }
+  featureFilter: new Set(), // Feature ids whose waypoints the maps show; empty shows all
+  filterNavigation: false, // Previous/next skip waypoints the filter hides
+  userLocation: null, // Latest GPS fix, { lat, lng }
+  currentPage: 'cover', // 'cover', 'intro', 'list', 'finish', or waypoint index (1, 2, 3...)
+  mapInstances: {}, // Map viewers by id: 'cover' and 'waypoint' (see map-viewer.js)
+  photoViewer: null // Photo overlay (see photo-viewer.js)
 };
 
 // DOM Elements
@@ -15,85 +59,66 @@ const elements = {
   pages: {
     cover: document.getElementById('page-cover'),
     intro: document.getElementById('page-intro'),
-    waypoint: document.getElementById('page-waypoint')
+    waypoint: document.getElementById('page-waypoint'),
+    list: document.getElementById('page-list'),
+    finish: document.getElementById('page-finish')
   },
   photoOverlay: document.getElementById('photo-overlay'),
   webviewOverlay: document.getElementById('webview-overlay'),
+  updateBanner: document.getElementById('update-banner'),
+  nearbyCard: document.getElementById('nearby-card'),
+  walkBanner: document.getElementById('walk-banner'),
+  audioPlayer: document.getElementById('audio-player'),
   loading: document.getElementById('loading')
 };
 
-// Preload an image and return a promise
-function preloadImage(src) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.onload = () => resolve(img);
-    img.onerror = reject;
-    img.src = src;
-  });
-}
-
-// Get thumbnail path for a photo (thumbnails are in thumbs/ subfolder, always .jpg)
-function getThumbnailPath(waypointId, photoFilename) {
-  const thumbName = photoFilename.replace(/\.[^.]+$/, '.jpg');
-  return `./photos/${waypointId}/thumbs/${thumbName}`;
-}
-
-// Preload all waypoint thumbnails (first photo of each waypoint)
-function preloadThumbnails() {
-  if (!state.trail) return;
-
-  state.trail.waypoints.forEach(waypoint => {
-    if (waypoint.photos && waypoint.photos.length > 0) {
-      preloadImage(getThumbnailPath(waypoint.id, waypoint.photos[0]));
-    }
-  });
-}
+// Keeps the URL in step with the page shown (see router.js)
+const router = createRouter({ onRoute: handleRoute });
 
-// Preload all photos for a specific waypoint
-function preloadWaypointPhotos(waypointIndex) {
-  if (!state.trail) return;
+// Looks up the app's own text in the visitor's language, and formats
+// numbers in it (see setupLanguage)
+let t = createTranslator('en');
+let format = createFormatters(t, 'en');
 
-  const waypoint = state.trail.waypoints[waypointIndex - 1];
-  if (!waypoint || !waypoint.photos) return;
+// The visitor's progress through the trail (see walk-progress.js)
+let progress = null;
 
-  waypoint.photos.forEach(photo => {
-    preloadImage(`./photos/${waypoint.id}/${photo}`);
-  });
-}
+// Page controllers by page: cover, waypoint, list and finish (see setupPages)
+const pages = {};
 
 // Initialize the app
 async function init() {
   showLoading(true);
 
-  try {
-    // Load trail data. cache: 'no-store' bypasses the browser HTTP cache —
-    // GitHub Pages serves with max-age=600 by default, so without this users
-    // see ~10-minute-stale title/photos/markers after admin edits.
-    const response = await fetch('./trail.json', { cache: 'no-store' });
-    state.trail = await response.json();
-
-    // Preload thumbnail images for all waypoints
-    preloadThumbnails();
-
-    // Populate static content
-    populateCoverPage();
-    populateIntroPage();
+  // Cache the app and trail content for patchy reception in the cemetery
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(() => {});
+  }
+  listenForTrailUpdates();
 
-    // Set up event listeners
+  try {
+    // Load trail data
+    Object.assign(state, await loadTrail());
+    setupLanguage();
+    progress = createWalkProgress(getProgressKey());
+    if (state.georeference) setupRouteGraph();
+    setupWalkRecording();
+
+    // Fill in the pages, then set up event listeners
+    setupPages();
     setupNavigation();
     setupMapInteractions();
     setupOverlays();
-    setupWaypointFeaturesToggle();
+    setupNearbyCard();
+    setupAudioGuide();
+    setupReadAloud();
 
-    // Handle initial route
-    handleRoute();
+    // Show the page in the URL, and follow browser navigation
+    router.start();
 
     // Start GPS location tracking
     startGeolocation();
 
-    // Listen for browser navigation
-    window.addEventListener('popstate', handleRoute);
-
   } catch (error) {
     console.error('Failed to load trail data:', error);
   } finally {
@@ -101,524 +126,224 @@ async function init() {
   }
 }
 
+// Offer a refresh when the service worker finds a newer trail.json. The
+// worker has already cached it, so reloading picks it up even offline.
+function listenForTrailUpdates() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'trail-updated') {
+      elements.updateBanner.classList.remove('hidden');
+    }
+  });
+
+  document.getElementById('update-banner-refresh').addEventListener('click', () => {
+    window.location.reload();
+  });
+}
+
 // Show/hide loading indicator
 function showLoading(show) {
   elements.loading.classList.toggle('hidden', !show);
 }
 
-// Populate Cover page with trail data
-function populateCoverPage() {
-  const page = elements.pages.cover;
-  const trail = state.trail;
-
-  page.querySelector('.cover-header-identifier').textContent = trail.identifier;
-  page.querySelector('.cover-header-name').textContent = trail.name;
-
-  // Set up map
-  const mapContainer = page.querySelector('#cover-map');
-  setupMap(mapContainer, 'cover');
+// Language
+//
+// Trails can be translated (see trail-translations.js). The trail is shown
+// in the visitor's choice from the switcher on the cover, saved for every
+// trail, or else the first of their browser's languages the trail has, and
+// otherwise its main language. The app's own text follows where there are
+// strings for that language (see ui-strings.js).
+
+function setupLanguage() {
+  state.language = chooseLanguage(state.trail.languages, getPreferredLanguages());
+  state.requestedLanguage = new URLSearchParams(window.location.search).get('lang');
+  state.trail = localiseTrail(state.trail, state.language);
+
+  t = createTranslator(state.language);
+  format = createFormatters(t, state.language);
+  document.documentElement.lang = state.language;
+  applyUiStrings(document, t);
+  setupLanguageSwitcher();
 }
 
-// Populate Intro page with trail data
-function populateIntroPage() {
-  const page = elements.pages.intro;
-  const trail = state.trail;
-  const totalPages = trail.waypoints.length + 1; // +1 for intro
-
-  page.querySelector('.header-title').textContent = trail.shortTitle;
-  page.querySelector('.total-pages').textContent = totalPages;
-  page.querySelector('.intro-identifier').textContent = trail.identifier;
-  page.querySelector('.intro-name').textContent = trail.name;
-  page.querySelector('.intro-description').textContent = trail.description;
-
-  // Populate trail key/features
-  const keyGrid = page.querySelector('.trail-key-grid');
-  keyGrid.innerHTML = trail.features.map(feature => {
-    let extraClass = '';
-    if (feature.id === 'time') extraClass = ' trail-key-time';
-    if (feature.id === 'accessibility') extraClass = ' trail-key-accessibility';
-    return `
-    <li class="trail-key-item${extraClass}">
-      ${feature.iconColour
-        ? `<div class="trail-key-icon" style="background-color: ${feature.iconColour}; -webkit-mask-image: url('../../images/${feature.icon}'); mask-image: url('../../images/${feature.icon}');"></div>`
-        : `<div class="trail-key-icon"><img src="../../images/${feature.icon}" alt=""></div>`}
-      <div class="trail-key-text">
-        <div class="trail-key-item-title">${feature.title}</div>
-        ${feature.description ? `<div class="trail-key-item-description">${feature.description}</div>` : ''}
-      </div>
-    </li>
-  `;
-  }).join('');
+function setupLanguageSwitcher() {
+  const languages = state.trail.languages;
+  const switcher = elements.pages.cover.querySelector('.cover-nav-language');
+  if (!switcher || languages.length < 2) return;
+
+  const select = switcher.querySelector('select');
+  select.innerHTML = languages.map(code => `<option value="${code}">${getLanguageName(code)}</option>`).join('');
+  select.value = state.language;
+  select.addEventListener('change', () => {
+    // Every page is filled in from the trail as the app starts, so start
+    // again in the new language. If it can't be saved, it's passed in the
+    // URL instead, which keeps it as the visitor moves between pages; an
+    // earlier ?lang= would outrank a saved choice, so it goes.
+    const url = new URL(window.location.href);
+    if (saveLanguage(select.value)) {
+      url.searchParams.delete('lang');
+    } else {
+      url.searchParams.set('lang', select.value);
+    }
+    window.location.replace(url);
+  });
+  switcher.classList.remove('hidden');
+}
 
-  // Populate cemetery description (parse markdown bold)
-  const descriptionHtml = parseMarkdown(trail.cemeteryDescription);
-  page.querySelector('.cemetery-description').innerHTML = '<h2>Fulham Cemetery</h2>' + descriptionHtml;
+// Pages
+//
+// Each page has its own module, given the trail and the parts of the app
+// it needs (see createPageContext). Pages are created once the trail has
+// loaded, and filled in again as they're shown where their content changes.
+
+function createPageContext() {
+  return {
+    trail: state.trail,
+    slug: router.base.slice(1),
+    files: getTrailFiles(state.trail, router.base),
+    t,
+    format,
+    progress,
+    canSortByDistance: !!state.georeference,
+    getLocation: () => (state.georeference ? state.userLocation : null),
+    distanceToWaypoint,
+    isWaypointShown,
+    getAdjacentWaypoint,
+    canReadAloud,
+    markSentences,
+    setupMap,
+    navigateTo
+  };
+}
 
+function setupPages() {
+  const app = createPageContext();
+  pages.cover = createCoverPage(elements.pages.cover, app);
+  populateIntroPage(elements.pages.intro, app);
+  pages.waypoint = createWaypointPage(elements.pages.waypoint, app);
+  pages.list = createListPage(elements.pages.list, app);
+  pages.finish = createFinishPage(elements.pages.finish, app);
 }
 
-// Populate Waypoint page with waypoint data
-function populateWaypointPage(waypointIndex) {
-  const page = elements.pages.waypoint;
-  const trail = state.trail;
-  const waypoint = trail.waypoints[waypointIndex - 1];
-  const totalPages = trail.waypoints.length + 1;
-  const pageNumber = waypointIndex + 1; // +1 because intro is page 1
-
-  // Animate waypoint-header fade-in
-  const waypointHeader = page.querySelector('.waypoint-header');
-  waypointHeader.classList.remove('fade-in');
-  void waypointHeader.offsetWidth;
-  waypointHeader.classList.add('fade-in');
-
-  // Animate read-more button slide-up
-  const readMoreBtn = page.querySelector('.read-more-btn');
-  if (readMoreBtn) {
-    readMoreBtn.classList.remove('slide-up');
-    void readMoreBtn.offsetWidth;
-    readMoreBtn.classList.add('slide-up');
-  }
+// Walk progress
+//
+// Waypoints count as visited once their page has been opened or the visitor
+// has stood at them (within the proximity radius). Progress is kept per trail
+// (see walk-progress.js) for the cover's progress ring, the resume button,
+// the visited markers on the maps and the finish page's summary.
 
-  page.querySelector('.header-title').textContent = trail.shortTitle;
-  page.querySelector('.current-page').textContent = pageNumber;
-  page.querySelector('.total-pages').textContent = totalPages;
-  page.querySelector('.waypoint-title').textContent = waypoint.title;
-  page.querySelector('.waypoint-description').textContent = waypoint.description;
-
-  // Set thumbnail image and border colour. Hide the thumbnail + photo button
-  // when the waypoint has no photos — otherwise rendering would crash on
-  // getThumbnailPath(undefined) and the user could click into an empty overlay.
-  const thumbnail = page.querySelector('.waypoint-thumbnail');
-  const thumbnailBtn = page.querySelector('.waypoint-thumbnail-btn');
-  const hasPhotos = waypoint.photos && waypoint.photos.length > 0;
-
-  if (hasPhotos) {
-    thumbnail.classList.remove('hidden');
-    thumbnailBtn.classList.remove('hidden');
-    thumbnail.style.borderColor = waypoint.markerColour;
-    page.querySelector('.waypoint-thumbnail img').src = getThumbnailPath(waypoint.id, waypoint.photos[0]);
-    thumbnailBtn.querySelector('.waypoint-photo-count').textContent = waypoint.photos.length;
-    thumbnailBtn.setAttribute('aria-label', `Waypoint photos: ${waypoint.photos.length}`);
-  } else {
-    thumbnail.classList.add('hidden');
-    thumbnailBtn.classList.add('hidden');
-  }
+function getProgressKey() {
+  return `trail-progress${router.base.replace('/', '-')}`;
+}
 
-  // Preload all photos for this waypoint
-  preloadWaypointPhotos(waypointIndex);
-
-  // Populate features
-  const featuresContainer = page.querySelector('.waypoint-features');
-  const waypointFeatures = waypoint.features.map(entry => {
-    const featureId = typeof entry === 'string' ? entry : entry.id;
-    const trailFeature = trail.features.find(f => f.id === featureId);
-    if (!trailFeature) return null;
-    // For object entries, override title/description
-    if (typeof entry === 'object') {
-      return { ...trailFeature, title: entry.title || trailFeature.title, description: entry.description || trailFeature.description };
-    }
-    return trailFeature;
-  }).filter(Boolean);
-
-  featuresContainer.innerHTML = waypointFeatures.map(feature => `
-    <div class="waypoint-feature">
-      ${feature.iconColour
-        ? `<div class="waypoint-feature-icon" style="background-color: ${feature.iconColour}; -webkit-mask-image: url('../../images/${feature.icon}'); mask-image: url('../../images/${feature.icon}');"></div>`
-        : `<div class="waypoint-feature-icon"><img src="../../images/${feature.icon}" alt=""></div>`}
-      <div class="waypoint-feature-text">
-        <span class="waypoint-feature-title">${feature.title}</span>
-        ${feature.description ? `<span class="waypoint-feature-description">${feature.description}</span>` : ''}
-      </div>
-    </div>
-  `).join('');
-
-  // Set up read more button
-  const readMoreLink = page.querySelector('#read-more-link');
-  readMoreLink.dataset.url = waypoint.externalUrl;
-
-  // Update pagination buttons
-  const prevBtn = page.querySelector('.pagination-btn.prev');
-  const nextBtn = page.querySelector('.pagination-btn.next');
-  prevBtn.disabled = false; // Can always go back to intro or previous waypoint
-  nextBtn.disabled = waypointIndex >= trail.waypoints.length;
-
-  // Set up map with current waypoint highlighted
-  const mapContainer = page.querySelector('#waypoint-map');
-  setupMap(mapContainer, 'waypoint', waypointIndex);
-
-  // Set initial expanded state based on viewport height
-  const waypointInfo = page.querySelector('.waypoint-info');
-  if (window.innerHeight >= 700) {
-    waypointInfo.classList.add('expanded');
-  } else {
-    waypointInfo.classList.remove('expanded');
+// Add up the distance walked from GPS fixes in the cemetery, once the walk
+// has started
+function trackWalkedDistance(coords) {
+  if (!progress.isWalking()) return;
+  if (coords.accuracy > BREADCRUMB_MAX_ACCURACY) return;
+  if (!Object.values(state.mapInstances).some(instance => isOnMap(instance, state.userPixel))) return;
+
+  const here = { lat: coords.latitude, lng: coords.longitude };
+  if (state.lastWalkedLocation) {
+    const step = distanceMetres(state.lastWalkedLocation, here);
+    if (step < BREADCRUMB_SPACING) return;
+    progress.addDistance(step);
   }
+  state.lastWalkedLocation = here;
 }
 
-// Parse simple markdown (bold, italic, links)
-function parseMarkdown(text) {
-  let html = text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-  html = html.replace(/\[(.+?)\]\((.+?)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
-  // Convert newlines to paragraphs
-  html = html.split('\n\n').map(p => `<p>${p}</p>`).join('');
-  return html;
+function markVisited(waypointIndex) {
+  const waypoint = state.trail.waypoints[waypointIndex - 1];
+  if (!waypoint || !progress.markVisited(waypoint)) return;
+
+  document.querySelectorAll(`.map-marker[data-waypoint-index="${waypoint.index}"]`).forEach(marker => {
+    marker.classList.add('visited');
+  });
+  pages.cover.updateProgress();
 }
 
 // Set up map in a container
 function setupMap(container, mapId, currentWaypointIndex = null) {
   const trail = state.trail;
-  const mapContent = container.querySelector('.map-content');
-  const mapBase = container.querySelector('.map-base');
-  const mapRoute = container.querySelector('.map-route');
-  const markersContainer = container.querySelector('.map-markers');
+  const existing = state.mapInstances[mapId];
 
   // If waypoint map is already initialized, just update highlights and animate pan
-  const existingState = state.mapInstances[mapId];
-  if (mapId === 'waypoint' && existingState && existingState.scale && currentWaypointIndex !== null) {
-    updateMarkerHighlights(markersContainer, currentWaypointIndex);
-    animateMapToWaypoint(container, mapId, currentWaypointIndex);
+  if (mapId === 'waypoint' && existing && existing.scale && currentWaypointIndex !== null) {
+    updateMarkerHighlights(existing.markersContainer, currentWaypointIndex);
+    stopLocating(mapId);
+    animateMapToWaypoint(existing, currentWaypointIndex);
     return;
   }
 
-  // Set map images
-  mapBase.src = './map.png';
-  mapRoute.src = './route.svg';
-
-  // Route overlay is same size as map, no offset needed
-  mapRoute.style.left = '0';
-  mapRoute.style.top = '0';
-
-  // Create markers
-  createMapMarkers(markersContainer, trail, mapId, currentWaypointIndex);
-
-  // Store markers container reference for scale updates
-  state.mapInstances[mapId] = state.mapInstances[mapId] || {};
-  state.mapInstances[mapId].markersContainer = markersContainer;
-
-  // Initialize map pan/zoom
-  initMapPanZoom(container, mapId, currentWaypointIndex);
+  // Moving the map by hand stops it following the visitor
+  const viewer = existing || createMapViewer(container, { onInteract: () => stopLocating(mapId) });
+  viewer.locate = null;
+  state.mapInstances[mapId] = viewer;
+
+  createMapMarkers(viewer, trail, mapId, currentWaypointIndex);
+
+  // Centre on current waypoint marker if available. The waypoint map is
+  // more zoomed in to show detail around it.
+  const waypoint = currentWaypointIndex !== null && trail.waypoints.find(w => w.index === currentWaypointIndex);
+  viewer.show({
+    src: './map.png',
+    routeSrc: './route.svg',
+    size: trail.mapSize,
+    zoomFactor: mapId === 'waypoint' ? 1.6 : 1.25,
+    centre: waypoint && waypoint.markerPositions && waypoint.markerPositions.length ? waypoint.markerPositions[0] : null
+  }).then(() => {
+    // Overlays drawn in map pixels need the map's size
+    if (state.walk) drawBreadcrumbs();
+  });
 }
 
-function createMapMarkers(markersContainer, trail, mapId, currentWaypointIndex) {
-  markersContainer.innerHTML = '';
+function createMapMarkers(viewer, trail, mapId, currentWaypointIndex) {
+  viewer.clearMarkers();
   trail.waypoints.forEach(waypoint => {
-    waypoint.markerPositions.forEach((pos, posIndex) => {
-      const marker = document.createElement('div');
-      marker.className = 'map-marker';
+    waypoint.markerPositions.forEach(pos => {
+      const marker = viewer.addMarker(pos, {
+        symbol: waypoint.markerSymbol,
+        colour: waypoint.markerColour,
+        textColour: waypoint.markerTextColour
+      });
       if (currentWaypointIndex === waypoint.index) {
         marker.classList.add('current');
       }
+      if (progress.isVisited(waypoint)) {
+        marker.classList.add('visited');
+      }
+      if (currentWaypointIndex !== waypoint.index && !isWaypointShown(waypoint)) {
+        marker.classList.add('filtered-out');
+      }
       marker.dataset.waypointIndex = waypoint.index;
       marker.dataset.mapId = mapId;
 
-      // Position marker - coordinates in trail.json are relative to map origin
-      marker.style.left = `${pos.x}px`;
-      marker.style.top = `${pos.y}px`;
-
-      marker.innerHTML = `
-        <div class="map-marker-circle" style="background-color: ${waypoint.markerColour}; color: ${waypoint.markerTextColour || '#FFFFFF'}">
-          ${waypoint.markerSymbol}
-        </div>
-      `;
-
       marker.addEventListener('click', (e) => {
         e.stopPropagation();
         navigateTo(waypoint.index);
       });
-
-      markersContainer.appendChild(marker);
     });
   });
 }
 
 function updateMarkerHighlights(markersContainer, currentWaypointIndex) {
   markersContainer.querySelectorAll('.map-marker').forEach(marker => {
-    marker.classList.toggle('current', parseInt(marker.dataset.waypointIndex) === currentWaypointIndex);
+    const waypointIndex = parseInt(marker.dataset.waypointIndex);
+    const isCurrent = waypointIndex === currentWaypointIndex;
+    marker.classList.toggle('current', isCurrent);
+    marker.classList.toggle('filtered-out', !isCurrent && !isWaypointShown(state.trail.waypoints[waypointIndex - 1]));
   });
 }
 
-function animateMapToWaypoint(container, mapId, waypointIndex) {
-  const mapState = state.mapInstances[mapId];
+// Bring a waypoint's marker into view, unless it's already well inside it
+function animateMapToWaypoint(viewer, waypointIndex) {
   const waypoint = state.trail.waypoints.find(w => w.index === waypointIndex);
-  if (!waypoint || !waypoint.markerPositions || !waypoint.markerPositions.length) return;
-
-  const viewport = container.querySelector('.map-viewport');
-  const content = container.querySelector('.map-content');
-  const viewportRect = viewport.getBoundingClientRect();
+  if (!waypoint || !waypoint.markerPositions.length) return;
 
   const pos = waypoint.markerPositions[0];
-  const markerMapX = pos.x;
-  const markerMapY = pos.y;
-
-  // Check if marker is already visible in viewport
-  const markerScreenX = markerMapX * mapState.scale + mapState.x;
-  const markerScreenY = markerMapY * mapState.scale + mapState.y;
-  const margin = 40;
-  const isVisible = markerScreenX >= margin && markerScreenX <= viewportRect.width - margin
-                 && markerScreenY >= margin && markerScreenY <= viewportRect.height - margin;
-
-  if (isVisible) return;
-
-  // Calculate target position to center marker
-  let targetX = (viewportRect.width / 2) - (markerMapX * mapState.scale);
-  let targetY = (viewportRect.height / 2) - (markerMapY * mapState.scale);
-
-  // Constrain
-  const tempState = { scale: mapState.scale, x: targetX, y: targetY };
-  constrainMapPosition(tempState, viewportRect.width, viewportRect.height, 1521, 2021);
-  targetX = tempState.x;
-  targetY = tempState.y;
-
-  // Clear any existing transition, then force a reflow before applying new one
-  content.style.transition = '';
-  content.offsetHeight; // Force reflow
-
-  // Animate with CSS transition
-  content.style.transition = 'transform 0.4s ease-out';
-  mapState.x = targetX;
-  mapState.y = targetY;
-  updateMapTransform(content, targetX, targetY, mapState.scale, mapId);
-
-  // Remove transition after animation completes (setTimeout is more
-  // reliable than transitionend which can fire early from bubbling)
-  setTimeout(() => {
-    content.style.transition = '';
-  }, 420);
-}
-
-// Initialize map pan and zoom
-function initMapPanZoom(container, mapId, currentWaypointIndex = null) {
-  const viewport = container.querySelector('.map-viewport');
-  const content = container.querySelector('.map-content');
-  const mapBase = container.querySelector('.map-base');
-
-  // Wait for map image to load to get dimensions
-  if (!mapBase.complete) {
-    mapBase.onload = () => initMapPanZoomWithDimensions(container, mapId, viewport, content, currentWaypointIndex);
-  } else {
-    initMapPanZoomWithDimensions(container, mapId, viewport, content, currentWaypointIndex);
-  }
-}
-
-function initMapPanZoomWithDimensions(container, mapId, viewport, content, currentWaypointIndex = null) {
-  const mapBase = container.querySelector('.map-base');
-
-  // Map dimensions:
-  // map.png is 1521x2021 pixels
-  const mapWidth = 1521;
-  const mapHeight = 2021;
-
-  const viewportRect = viewport.getBoundingClientRect();
-  const viewportWidth = viewportRect.width;
-  const viewportHeight = viewportRect.height;
-
-
-  // Calculate minimum scale - map should fit within viewport at min zoom (with small margin for centering)
-  const scaleToFitWidth = viewportWidth / mapWidth;
-  const scaleToFitHeight = viewportHeight / mapHeight;
-  // Use 0.98 factor so the map is slightly smaller than viewport at min zoom, triggering centering
-  const minScale = Math.max(scaleToFitWidth, scaleToFitHeight) * 0.98;
-
-  // Waypoint map is more zoomed in to show detail around the current marker
-  const zoomFactor = (mapId === 'waypoint') ? 1.6 : 1.25;
-  const defaultScale = minScale * zoomFactor;
-  const maxScale = 1; // Full resolution
-
-  let currentScale = defaultScale;
-  let currentX = 0;
-  let currentY = -viewportHeight * 0.25; // Pan up by 25%
-
-  // Center on current waypoint marker if available
-  if (currentWaypointIndex !== null && state.trail) {
-    const waypoint = state.trail.waypoints.find(w => w.index === currentWaypointIndex);
-    if (waypoint && waypoint.markerPositions && waypoint.markerPositions.length > 0) {
-      const pos = waypoint.markerPositions[0];
-      const markerMapX = pos.x;
-      const markerMapY = pos.y;
-      currentX = (viewportWidth / 2) - (markerMapX * currentScale);
-      currentY = (viewportHeight / 2) - (markerMapY * currentScale);
-    }
-  }
-
-  // Ensure initial position is within valid constraints
-  const initState = { scale: currentScale, x: currentX, y: currentY };
-  constrainMapPosition(initState, viewportWidth, viewportHeight, mapWidth, mapHeight);
-  currentX = initState.x;
-  currentY = initState.y;
-
-
-  // Store map state (preserve existing properties like markersContainer)
-  state.mapInstances[mapId] = {
-    ...state.mapInstances[mapId],
-    scale: currentScale,
-    x: currentX,
-    y: currentY,
-    minScale,
-    maxScale
-  };
-
-  // Apply initial transform
-  updateMapTransform(content, currentX, currentY, currentScale, mapId);
-
-  // Set up Hammer.js for gestures
-  const hammer = new Hammer.Manager(viewport, {
-    recognizers: [
-      [Hammer.Pan, { direction: Hammer.DIRECTION_ALL }],
-      [Hammer.Pinch, { enable: true }]
-    ]
-  });
-
-  let startScale, startX, startY;
-
-  hammer.on('panstart pinchstart', (e) => {
-    const mapState = state.mapInstances[mapId];
-    startScale = mapState.scale;
-    startX = mapState.x;
-    startY = mapState.y;
-  });
-
-  hammer.on('panmove', (e) => {
-    const mapState = state.mapInstances[mapId];
-    mapState.x = startX + e.deltaX;
-    mapState.y = startY + e.deltaY;
-    // Use current viewport dimensions
-    const currentRect = viewport.getBoundingClientRect();
-    constrainMapPosition(mapState, currentRect.width, currentRect.height, mapWidth, mapHeight);
-    updateMapTransform(content, mapState.x, mapState.y, mapState.scale, mapId);
-  });
-
-  hammer.on('pinchmove', (e) => {
-    const mapState = state.mapInstances[mapId];
-
-    // Recalculate min scale based on current viewport (with margin for centering)
-    const rect = viewport.getBoundingClientRect();
-    const currentMinScale = Math.max(rect.width / mapWidth, rect.height / mapHeight) * 0.98;
-
-    let newScale = startScale * e.scale;
-    newScale = Math.max(currentMinScale, Math.min(mapState.maxScale, newScale));
-
-    // Zoom towards pinch center
-    const centerX = e.center.x - rect.left;
-    const centerY = e.center.y - rect.top;
-
-    const scaleDiff = newScale / mapState.scale;
-    mapState.x = centerX - (centerX - mapState.x) * scaleDiff;
-    mapState.y = centerY - (centerY - mapState.y) * scaleDiff;
-    mapState.scale = newScale;
-
-    // Use current viewport dimensions
-    constrainMapPosition(mapState, rect.width, rect.height, mapWidth, mapHeight);
-    updateMapTransform(content, mapState.x, mapState.y, mapState.scale, mapId);
-  });
-
-  // Mouse drag for desktop panning
-  let isDragging = false;
-  let dragStartX, dragStartY, dragStartMapX, dragStartMapY;
-
-  viewport.addEventListener('mousedown', (e) => {
-    if (e.button !== 0) return; // Only left mouse button
-    isDragging = true;
-    const mapState = state.mapInstances[mapId];
-    dragStartX = e.clientX;
-    dragStartY = e.clientY;
-    dragStartMapX = mapState.x;
-    dragStartMapY = mapState.y;
-    viewport.style.cursor = 'grabbing';
-  });
-
-  window.addEventListener('mousemove', (e) => {
-    if (!isDragging) return;
-    const mapState = state.mapInstances[mapId];
-    mapState.x = dragStartMapX + (e.clientX - dragStartX);
-    mapState.y = dragStartMapY + (e.clientY - dragStartY);
-    // Use current viewport dimensions instead of cached values
-    const currentRect = viewport.getBoundingClientRect();
-    constrainMapPosition(mapState, currentRect.width, currentRect.height, mapWidth, mapHeight);
-    updateMapTransform(content, mapState.x, mapState.y, mapState.scale, mapId);
-  });
-
-  window.addEventListener('mouseup', () => {
-    isDragging = false;
-    viewport.style.cursor = 'grab';
-  });
-
-  // Set default cursor
-  viewport.style.cursor = 'grab';
-
-  // Scroll wheel for desktop zooming
-  viewport.addEventListener('wheel', (e) => {
-    e.preventDefault();
-    const mapState = state.mapInstances[mapId];
-
-    // Recalculate min scale based on current viewport (with margin for centering)
-    const rect = viewport.getBoundingClientRect();
-    const currentMinScale = Math.max(rect.width / mapWidth, rect.height / mapHeight) * 0.98;
-
-    // Calculate zoom factor based on wheel delta
-    const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-    let newScale = mapState.scale * zoomFactor;
-    newScale = Math.max(currentMinScale, Math.min(mapState.maxScale, newScale));
-
-    // Zoom towards mouse position
-    const mouseX = e.clientX - rect.left;
-    const mouseY = e.clientY - rect.top;
-
-    const scaleDiff = newScale / mapState.scale;
-    mapState.x = mouseX - (mouseX - mapState.x) * scaleDiff;
-    mapState.y = mouseY - (mouseY - mapState.y) * scaleDiff;
-    mapState.scale = newScale;
-
-    // Use current viewport dimensions
-    constrainMapPosition(mapState, rect.width, rect.height, mapWidth, mapHeight);
-    updateMapTransform(content, mapState.x, mapState.y, mapState.scale, mapId);
-  }, { passive: false });
-}
-
-function updateMapTransform(content, x, y, scale, mapId) {
-  content.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
-
-  // Counter-scale markers and user location dot so they stay at fixed screen size
-  if (mapId && state.mapInstances[mapId] && state.mapInstances[mapId].markersContainer) {
-    const counterScale = 1 / scale;
-    const markers = state.mapInstances[mapId].markersContainer.querySelectorAll('.map-marker');
-    markers.forEach(marker => {
-      marker.style.transform = `translate(-50%, -50%) scale(${counterScale})`;
-    });
-    const userDot = state.mapInstances[mapId].markersContainer.querySelector('.user-location');
-    if (userDot) {
-      userDot.style.transform = `translate(-50%, -50%) scale(${counterScale})`;
-    }
-  }
-}
-
-function constrainMapPosition(mapState, viewportWidth, viewportHeight, mapWidth, mapHeight) {
-  const scaledWidth = mapWidth * mapState.scale;
-  const scaledHeight = mapHeight * mapState.scale;
-
-  let minX, maxX, minY, maxY;
-
-  // If map is smaller than viewport, center it; otherwise constrain to edges
-  if (scaledWidth <= viewportWidth) {
-    // Center horizontally
-    const centerX = (viewportWidth - scaledWidth) / 2;
-    minX = maxX = centerX;
-  } else {
-    minX = viewportWidth - scaledWidth;
-    maxX = 0;
-  }
-
-  if (scaledHeight <= viewportHeight) {
-    // Center vertically
-    const centerY = (viewportHeight - scaledHeight) / 2;
-    minY = maxY = centerY;
-  } else {
-    minY = viewportHeight - scaledHeight;
-    maxY = 0;
-  }
-
-
-  mapState.x = Math.max(minX, Math.min(maxX, mapState.x));
-  mapState.y = Math.max(minY, Math.min(maxY, mapState.y));
+  if (viewer.isInView(pos, 40)) return;
+  viewer.animateTo(pos);
 }
 
 // Navigation
@@ -630,9 +355,7 @@ function setupNavigation() {
   });
 
   // Intro page - First waypoint button
-  document.querySelector('.first-waypoint-btn').addEventListener('click', () => {
-    navigateTo(1);
-  });
+  document.querySelector('.first-waypoint-btn').addEventListener('click', navigateNext);
 
   // Back buttons
   document.getElementById('intro-back').addEventListener('click', (e) => {
@@ -645,27 +368,30 @@ function setupNavigation() {
     navigateTo('cover');
   });
 
-  // Pagination buttons
-  elements.pages.intro.querySelector('.pagination-btn.next').addEventListener('click', () => {
-    navigateTo(1); // First waypoint
+  document.getElementById('finish-back').addEventListener('click', (e) => {
+    e.preventDefault();
+    navigateTo('cover');
   });
 
-  elements.pages.waypoint.querySelector('.pagination-btn.prev').addEventListener('click', () => {
-    const currentIndex = typeof state.currentPage === 'number' ? state.currentPage : 1;
-    if (currentIndex === 1) {
-      navigateTo('intro');
-    } else {
-      navigateTo(currentIndex - 1);
-    }
+  document.getElementById('list-back').addEventListener('click', (e) => {
+    e.preventDefault();
+    navigateTo('cover');
   });
 
-  elements.pages.waypoint.querySelector('.pagination-btn.next').addEventListener('click', () => {
-    const currentIndex = typeof state.currentPage === 'number' ? state.currentPage : 1;
-    if (currentIndex < state.trail.waypoints.length) {
-      navigateTo(currentIndex + 1);
-    }
+  // Waypoint list links on the cover and intro pages
+  ['cover-list', 'intro-list'].forEach(id => {
+    document.getElementById(id).addEventListener('click', (e) => {
+      e.preventDefault();
+      navigateTo('list');
+    });
   });
 
+  // Pagination buttons
+  elements.pages.intro.querySelector('.pagination-btn.next').addEventListener('click', navigateNext);
+  elements.pages.waypoint.querySelector('.pagination-btn.prev').addEventListener('click', navigatePrevious);
+  elements.pages.waypoint.querySelector('.pagination-btn.next').addEventListener('click', navigateNext);
+  elements.pages.finish.querySelector('.pagination-btn.prev').addEventListener('click', navigatePrevious);
+
   // Set up swipe navigation on non-map areas
   setupSwipeNavigation();
 }
@@ -680,25 +406,13 @@ function setupSwipeNavigation() {
   // Swipe on waypoint info area
   const waypointInfo = elements.pages.waypoint.querySelector('.waypoint-info');
   const waypointHammer = new Hammer(waypointInfo);
-  waypointHammer.on('swipeleft', () => {
-    const currentIndex = typeof state.currentPage === 'number' ? state.currentPage : 1;
-    if (currentIndex < state.trail.waypoints.length) {
-      navigateTo(currentIndex + 1);
-    }
-  });
-  waypointHammer.on('swiperight', () => {
-    const currentIndex = typeof state.currentPage === 'number' ? state.currentPage : 1;
-    if (currentIndex === 1) {
-      navigateTo('intro');
-    } else {
-      navigateTo(currentIndex - 1);
-    }
-  });
+  waypointHammer.on('swipeleft', navigateNext);
+  waypointHammer.on('swiperight', navigatePrevious);
 
   // Keyboard navigation
   document.addEventListener('keydown', (e) => {
     // Ignore if an overlay is open
-    if (elements.photoOverlay.classList.contains('visible') ||
+    if (state.photoViewer.isOpen() ||
         elements.webviewOverlay.classList.contains('visible')) {
       return;
     }
@@ -707,6 +421,10 @@ function setupSwipeNavigation() {
       navigateNext();
     } else if (e.key === 'ArrowLeft') {
       navigatePrevious();
+    } else if (e.key === 'r' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      toggleReadAloud(false);
+    } else if (e.key === 'Escape' && state.speech) {
+      stopReading();
     }
   });
 }
@@ -715,22 +433,30 @@ function navigateNext() {
   if (state.currentPage === 'cover') {
     navigateTo('intro');
   } else if (state.currentPage === 'intro') {
-    navigateTo(1);
-  } else if (typeof state.currentPage === 'number' && state.currentPage < state.trail.waypoints.length) {
-    navigateTo(state.currentPage + 1);
+    navigateTo(getAdjacentWaypoint(0, 1) || 'finish');
+  } else if (typeof state.currentPage === 'number') {
+    navigateTo(getAdjacentWaypoint(state.currentPage, 1) || 'finish');
   }
 }
 
 function navigatePrevious() {
   if (state.currentPage === 'intro') {
     navigateTo('cover');
+  } else if (state.currentPage === 'finish') {
+    navigateTo(getAdjacentWaypoint(state.trail.waypoints.length + 1, -1) || 'intro');
   } else if (typeof state.currentPage === 'number') {
-    if (state.currentPage === 1) {
-      navigateTo('intro');
-    } else {
-      navigateTo(state.currentPage - 1);
-    }
+    navigateTo(getAdjacentWaypoint(state.currentPage, -1) || 'intro');
+  }
+}
+
+// The waypoint before or after another in trail order, stepping over those
+// the feature filter hides when filterNavigation is on. Null past either end.
+function getAdjacentWaypoint(waypointIndex, step) {
+  const waypoints = state.trail.waypoints;
+  for (let i = waypointIndex + step; i >= 1 && i <= waypoints.length; i += step) {
+    if (!state.filterNavigation || isWaypointShown(waypoints[i - 1])) return i;
   }
+  return null;
 }
 
 function navigateTo(page, updateHistory = true) {
@@ -738,7 +464,7 @@ function navigateTo(page, updateHistory = true) {
   state.currentPage = page;
 
   // Determine animation direction
-  const direction = getNavigationDirection(previousPage, page);
+  const direction = getNavigationDirection(previousPage, page, state.trail.waypoints.length);
 
   // Hide all pages
   Object.values(elements.pages).forEach(p => {
@@ -751,80 +477,40 @@ function navigateTo(page, updateHistory = true) {
     targetPage = elements.pages.cover;
   } else if (page === 'intro') {
     targetPage = elements.pages.intro;
+  } else if (page === 'list') {
+    targetPage = elements.pages.list;
+    pages.list.show();
+  } else if (page === 'finish') {
+    targetPage = elements.pages.finish;
+    pages.finish.show();
   } else {
     targetPage = elements.pages.waypoint;
-    populateWaypointPage(page);
-  }
+    pages.waypoint.show(page);
+    updateAudioControls();
+    updateReadAloudControls();
 
-  targetPage.classList.add('active');
+    // Record progress for the cover's resume button and the finish page
+    progress.openWaypoint(page);
+    markVisited(page);
+    pages.cover.updateProgress();
 
-  // Update URL
-  if (updateHistory) {
-    const url = getUrlForPage(page);
-    history.pushState({ page }, '', url);
+    state.viewedWaypoints.add(page);
+    if (state.nearbyWaypoint === page) showNearbyCard(null);
   }
-}
 
-function getNavigationDirection(from, to) {
-  const fromIndex = from === 'cover' ? -1 : from === 'intro' ? 0 : from;
-  const toIndex = to === 'cover' ? -1 : to === 'intro' ? 0 : to;
-  return toIndex > fromIndex ? 'left' : 'right';
-}
-
-function getTrailBasePath() {
-  // Extract the trail base path (e.g., /tree-trail) from the current URL
-  const path = window.location.pathname;
-  const match = path.match(/^(\/[^/]+)/);
-  return match ? match[1] : '/tree-trail';
-}
+  targetPage.classList.add('active');
+  updateDirections();
+  continueReading(page);
 
-function getUrlForPage(page) {
-  const base = getTrailBasePath();
-  if (page === 'cover') {
-    return base + '/';
-  } else if (page === 'intro') {
-    return base + '/intro';
-  } else {
-    return base + '/' + page;
-  }
+  // Update URL
+  if (updateHistory) router.push(page, getPageQuery());
 }
 
-function handleRoute() {
-  // Check for SPA redirect from 404.html (GitHub Pages)
-  let path = sessionStorage.getItem('spa-redirect-path');
-  if (path) {
-    sessionStorage.removeItem('spa-redirect-path');
-    // Update browser URL to the intended path without adding history entry
-    history.replaceState(null, '', path);
-  } else {
-    path = window.location.pathname;
-  }
-
-  const parts = path.split('/').filter(Boolean);
-  const lastPart = parts[parts.length - 1];
-
-  let page = 'cover';
-  if (lastPart === 'intro') {
-    page = 'intro';
-  } else if (/^\d+$/.test(lastPart)) {
-    page = parseInt(lastPart, 10);
-  }
-
+// Show the page in the URL, with the feature filter from its query
+function handleRoute(page, search) {
+  readFeatureFilter(search);
   navigateTo(page, false);
-}
-
-// Waypoint features toggle
-function setupWaypointFeaturesToggle() {
-  const waypointInfo = document.querySelector('.waypoint-info');
-  const thumbnail = document.querySelector('.waypoint-thumbnail');
-
-  waypointInfo.addEventListener('click', (e) => {
-    // Don't toggle if clicking on the thumbnail (which opens the photo overlay)
-    if (thumbnail.contains(e.target)) {
-      return;
-    }
-    waypointInfo.classList.toggle('expanded');
-  });
+  updateFeatureFilter();
 }
 
 // Map interactions (map key toggle)
@@ -845,6 +531,140 @@ function setupMapInteractions() {
       }
     });
   });
+
+  document.querySelectorAll('.map-locate-btn').forEach(btn => {
+    const mapId = btn.closest('.map-container').id.replace(/-map$/, '');
+    btn.addEventListener('click', () => toggleLocate(mapId));
+  });
+  updateLocateButtons();
+
+  setupFeatureFilter();
+}
+
+// Feature filter
+//
+// The trail key on the intro page, and a copy in each map's key, doubles as
+// a filter: tapping a feature shows only the waypoints that have it on the
+// maps, and tapping more adds theirs. The filter is kept in the URL query
+// (?features=military,arts) so a filtered trail can be shared, and "Skip
+// other waypoints" (&skip=1) makes previous/next step over hidden waypoints.
+
+function getWaypointFeatureIds(waypoint) {
+  return waypoint.features.map(entry => entry.id);
+}
+
+function isWaypointShown(waypoint) {
+  if (state.featureFilter.size === 0) return true;
+  return getWaypointFeatureIds(waypoint).some(id => state.featureFilter.has(id));
+}
+
+function readFeatureFilter(search) {
+  const params = new URLSearchParams(search);
+  const featureIds = (params.get('features') || '').split(',')
+    .filter(id => state.trail.features.some(feature => feature.id === id));
+  state.featureFilter = new Set(featureIds);
+  state.filterNavigation = featureIds.length > 0 && params.get('skip') === '1';
+}
+
+// The query kept on every page: the feature filter, and any ?lang=
+function getPageQuery() {
+  const params = [];
+  if (state.featureFilter.size > 0) {
+    params.push(`features=${[...state.featureFilter].map(encodeURIComponent).join(',')}`);
+    if (state.filterNavigation) params.push('skip=1');
+  }
+  if (state.requestedLanguage) params.push(`lang=${encodeURIComponent(state.requestedLanguage)}`);
+  return params.length ? `?${params.join('&')}` : '';
+}
+
+function setupFeatureFilter() {
+  const features = getFilterableFeatures(state.trail);
+  if (!features.length) return;
+
+  // Intro page key: the filterable items are already marked up as buttons
+  const keyGrid = elements.pages.intro.querySelector('.trail-key-grid');
+  keyGrid.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-filter-feature]');
+    if (item) toggleFeatureFilter(item.dataset.filterFeature);
+  });
+  keyGrid.addEventListener('keydown', (e) => {
+    const item = e.target.closest('[data-filter-feature]');
+    if (item && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      toggleFeatureFilter(item.dataset.filterFeature);
+    }
+  });
+  keyGrid.after(createFilterSkip());
+
+  // Map keys
+  document.querySelectorAll('.map-key').forEach(mapKey => {
+    const filter = document.createElement('div');
+    filter.className = 'map-filter';
+    filter.innerHTML = `
+      <div class="map-filter-title">${t('showWaypointsWith')}</div>
+      <div class="map-filter-chips">
+        ${features.map(feature => `
+          <button class="map-filter-chip" data-filter-feature="${feature.id}" aria-pressed="false">
+            ${feature.iconColour
+              ? `<span class="trail-key-icon" style="background-color: ${feature.iconColour}; -webkit-mask-image: url('../../images/${feature.icon}'); mask-image: url('../../images/${feature.icon}');"></span>`
+              : `<span class="trail-key-icon"><img src="../../images/${feature.icon}" alt=""></span>`}
+            <span></span>
+          </button>
+        `).join('')}
+      </div>
+    `;
+    filter.querySelectorAll('.map-filter-chip').forEach((chip, i) => {
+      chip.lastElementChild.textContent = features[i].title;
+      chip.addEventListener('click', () => toggleFeatureFilter(chip.dataset.filterFeature));
+    });
+    filter.appendChild(createFilterSkip());
+    mapKey.appendChild(filter);
+  });
+}
+
+// "Skip other waypoints" checkbox, shown while a filter is on
+function createFilterSkip() {
+  const label = document.createElement('label');
+  label.className = 'filter-skip hidden';
+  label.innerHTML = `<input type="checkbox"> ${t('skipOtherWaypoints')}`;
+  label.querySelector('input').addEventListener('change', (e) => {
+    state.filterNavigation = e.target.checked;
+    updateFeatureFilter();
+  });
+  return label;
+}
+
+function toggleFeatureFilter(featureId) {
+  if (state.featureFilter.has(featureId)) {
+    state.featureFilter.delete(featureId);
+  } else {
+    state.featureFilter.add(featureId);
+  }
+  if (state.featureFilter.size === 0) state.filterNavigation = false;
+  updateFeatureFilter();
+}
+
+// Bring the markers, filter controls, Next label and URL in line with the filter
+function updateFeatureFilter() {
+  const current = typeof state.currentPage === 'number' ? state.currentPage : null;
+  Object.entries(state.mapInstances).forEach(([mapId, instance]) => {
+    updateMarkerHighlights(instance.markersContainer, mapId === 'waypoint' ? current : null);
+  });
+
+  const filtering = state.featureFilter.size > 0;
+  document.querySelectorAll('[data-filter-feature]').forEach(item => {
+    const selected = state.featureFilter.has(item.dataset.filterFeature);
+    item.setAttribute('aria-pressed', selected);
+    item.classList.toggle('filter-off', filtering && !selected);
+  });
+  document.querySelectorAll('.filter-skip').forEach(label => {
+    label.classList.toggle('hidden', !filtering);
+    label.querySelector('input').checked = state.filterNavigation;
+  });
+
+  if (typeof state.currentPage === 'number') pages.waypoint.updateNextLabel(state.currentPage);
+  if (state.currentPage === 'list') pages.list.update();
+  router.replace(state.currentPage, getPageQuery());
 }
 
 // Overlays
@@ -854,408 +674,933 @@ function setupOverlays() {
 }
 
 function setupPhotoOverlay() {
-  const overlay = elements.photoOverlay;
-  const backdrop = overlay.querySelector('.photo-overlay-backdrop');
-  const image = overlay.querySelector('.photo-overlay-image');
-  const prevBtn = overlay.querySelector('.photo-overlay-nav.prev');
-  const nextBtn = overlay.querySelector('.photo-overlay-nav.next');
+  // Reading aloud pauses while the photos are open
+  state.photoViewer = createPhotoViewer(elements.photoOverlay, {
+    photoCountText: count => (count === 1 ? t('onePhoto') : t('photoCount', { count })),
+    onOpen: pauseReading,
+    onClose: resumeReading
+  });
 
   // Open photo overlay when thumbnail or thumbnail icon is clicked
-  elements.pages.waypoint.querySelector('.waypoint-thumbnail').addEventListener('click', () => {
-    openPhotoOverlay();
-  });
-  elements.pages.waypoint.querySelector('.waypoint-thumbnail-btn').addEventListener('click', () => {
-    openPhotoOverlay();
+  elements.pages.waypoint.querySelector('.waypoint-thumbnail').addEventListener('click', openPhotoOverlay);
+  elements.pages.waypoint.querySelector('.waypoint-thumbnail-btn').addEventListener('click', openPhotoOverlay);
+}
+
+function openPhotoOverlay() {
+  const waypoint = state.trail.waypoints[state.currentPage - 1];
+  state.photoViewer.open(waypoint.photos.map(photo => getPhotoPath(waypoint, photo)));
+}
+
+function setupWebviewOverlay() {
+  const overlay = elements.webviewOverlay;
+  const iframe = overlay.querySelector('iframe');
+  const urlDisplay = overlay.querySelector('.webview-url');
+
+  // Open external URL in new tab when read more is clicked
+  document.getElementById('read-more-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    const url = e.currentTarget.dataset.url;
+    window.open(url, '_blank');
   });
 
-  // Close on backdrop or titlebar click
-  backdrop.addEventListener('click', closePhotoOverlay);
-  overlay.querySelector('.photo-overlay-titlebar').addEventListener('click', closePhotoOverlay);
+  // Close button
+  document.getElementById('webview-done').addEventListener('click', closeWebview);
+
+  // Refresh button
+  document.getElementById('webview-refresh').addEventListener('click', () => {
+    iframe.src = iframe.src;
+  });
 
-  // Navigation
-  prevBtn.addEventListener('click', () => navigatePhoto(-1));
-  nextBtn.addEventListener('click', () => navigatePhoto(1));
+  // Open in external browser
+  document.getElementById('webview-open-external').addEventListener('click', () => {
+    window.open(iframe.src, '_blank');
+  });
 }
 
-function openPhotoOverlay() {
-  const waypoint = state.trail.waypoints[state.currentPage - 1];
-  state.currentPhotoIndex = 0;
-  const photoCount = waypoint.photos.length;
-  elements.photoOverlay.querySelector('.photo-overlay-photo-count').textContent = `${photoCount} photo${photoCount !== 1 ? 's' : ''}`;
-  updatePhotoOverlay(waypoint);
-  elements.photoOverlay.classList.add('visible');
-}
-
-function closePhotoOverlay() {
-  elements.photoOverlay.classList.remove('visible');
-  // Clean up photo zoom state
-  if (state.photoZoom && state.photoZoom.hammer) {
-    state.photoZoom.hammer.destroy();
+function openWebview(url) {
+  const overlay = elements.webviewOverlay;
+  const iframe = overlay.querySelector('iframe');
+  const urlDisplay = overlay.querySelector('.webview-url');
+
+  // Extract domain for display
+  try {
+    const urlObj = new URL(url);
+    urlDisplay.textContent = urlObj.hostname;
+  } catch {
+    urlDisplay.textContent = url;
   }
-  state.photoZoom = null;
+
+  iframe.src = url;
+  overlay.classList.add('visible');
 }
 
-function initPhotoPanZoom() {
-  const overlay = elements.photoOverlay;
-  const content = overlay.querySelector('.photo-overlay-content');
-  const image = overlay.querySelector('.photo-overlay-image');
+function closeWebview() {
+  const overlay = elements.webviewOverlay;
+  const iframe = overlay.querySelector('iframe');
 
-  // Wait for image to load to get natural dimensions
-  const setupZoom = () => {
-    const imageWidth = image.naturalWidth;
-    const imageHeight = image.naturalHeight;
+  overlay.classList.remove('visible');
+  iframe.src = '';
+}
 
-    if (!imageWidth || !imageHeight) return;
 
-    // Wait for overlay to be visible and have dimensions
-    const attemptSetup = () => {
-      const contentRect = content.getBoundingClientRect();
+// GPS Location
+// Each trail.json can carry a georeference: control points pairing a map
+// pixel with the GPS coordinates measured there (see gps-calibration.md).
+// Two points give a north-up fit; three or more give an affine fit that
+// copes with rotated or skewed illustrated maps. Trails without a
+// georeference don't show the location dot.
+function gpsToPixel(lat, lng) {
+  return state.georeference ? state.georeference.toPixel(lat, lng) : null;
+}
+
+function showGpsError(error) {
+  showGpsStatus(t(getGpsErrorKey(error)));
+}
+
+function showGpsStatus(message) {
+  Object.values(state.mapInstances).forEach(instance => setGpsStatus(instance, message));
+}
 
-      // If overlay isn't visible yet or has no dimensions, try again next frame
-      if (!overlay.classList.contains('visible') || contentRect.width === 0 || contentRect.height === 0) {
-        requestAnimationFrame(attemptSetup);
-        return;
+function startGeolocation() {
+  if (!state.georeference) return;
+
+  let compassStarted = false;
+
+  watchPosition({
+    onFix: (position) => {
+      state.lastFixAt = position.timestamp;
+      state.userLocation = { lat: position.coords.latitude, lng: position.coords.longitude };
+
+      recordBreadcrumb(position);
+      updateLocationDots(position.coords);
+      trackWalkedDistance(position.coords);
+      updateProximity(position.coords);
+      updateGpsHeading(position.coords);
+      if (state.currentPage === 'list') pages.list.update();
+
+      // Wait for a fix before starting the compass, so visitors browsing at
+      // home aren't asked for motion permission on iOS
+      if (!compassStarted) {
+        compassStarted = true;
+        startCompass();
       }
+    },
+    // Any dot already shown is left to go stale
+    onError: showGpsError
+  });
+
+  setInterval(updateStaleFix, 5000);
+}
 
-      const viewportWidth = contentRect.width;
-      const viewportHeight = contentRect.height;
-
-      // Calculate scales
-    // Min scale = contain mode (full image visible, may have background)
-    const minScale = Math.min(viewportWidth / imageWidth, viewportHeight / imageHeight);
-    // Default scale = cover mode (fills viewport, no background visible)
-    const coverScale = Math.max(viewportWidth / imageWidth, viewportHeight / imageHeight);
-    const defaultScale = coverScale;
-    // Max scale = full resolution or 3x cover, whichever is larger
-    const maxScale = Math.max(1, coverScale * 3);
-
-    // Center the image initially
-    const scaledWidth = imageWidth * defaultScale;
-    const scaledHeight = imageHeight * defaultScale;
-    const initialX = (viewportWidth - scaledWidth) / 2;
-    const initialY = (viewportHeight - scaledHeight) / 2;
-
-    // Clean up previous hammer instance if exists
-    if (state.photoZoom && state.photoZoom.hammer) {
-      state.photoZoom.hammer.destroy();
+// Move the dot and accuracy circle in each map instance
+function updateLocationDots(coords) {
+  const pixel = gpsToPixel(coords.latitude, coords.longitude);
+  const accuracyRadius = coords.accuracy / state.georeference.metresPerPixel;
+  state.userPixel = pixel;
+
+  Object.values(state.mapInstances).forEach(instance => {
+    if (!instance || !instance.markersContainer) return;
+
+    let dot = instance.markersContainer.querySelector('.user-location');
+    let accuracy = instance.markersContainer.querySelector('.user-location-accuracy');
+    if (!isOnMap(instance, pixel)) {
+      if (dot) dot.style.display = 'none';
+      if (accuracy) accuracy.style.display = 'none';
+      setGpsStatus(instance, t('outsideCemetery'));
+      return;
+    }
+    setGpsStatus(instance, null);
+
+    if (!dot) {
+      // The accuracy circle is sized in map pixels, so it sits outside the
+      // counter-scaled dot
+      accuracy = document.createElement('div');
+      accuracy.className = 'user-location-accuracy';
+      instance.markersContainer.appendChild(accuracy);
+
+      dot = document.createElement('div');
+      dot.className = 'user-location';
+      dot.innerHTML = '<div class="user-location-heading hidden"></div><div class="user-location-dot"></div>';
+      instance.markersContainer.appendChild(dot);
     }
 
-    state.photoZoom = {
-      scale: defaultScale,
-      x: initialX,
-      y: initialY,
-      minScale,
-      maxScale,
-      imageWidth,
-      imageHeight,
-      hammer: null
-    };
+    dot.style.display = '';
+    dot.style.left = `${pixel.x}px`;
+    dot.style.top = `${pixel.y}px`;
 
-    // Apply initial transform
-    updatePhotoTransform();
+    accuracy.style.display = '';
+    accuracy.style.left = `${pixel.x}px`;
+    accuracy.style.top = `${pixel.y}px`;
+    accuracy.style.width = accuracy.style.height = `${accuracyRadius * 2}px`;
 
-    // Set up Hammer.js for gestures
-    const hammer = new Hammer.Manager(content, {
-      recognizers: [
-        [Hammer.Pan, { direction: Hammer.DIRECTION_ALL }],
-        [Hammer.Pinch, { enable: true }]
-      ]
-    });
-    state.photoZoom.hammer = hammer;
+    // Counter-scale like markers
+    if (instance.scale) {
+      const counterScale = 1 / instance.scale;
+      dot.style.transform = `translate(-50%, -50%) scale(${counterScale})`;
+    }
+  });
 
-    let startScale, startX, startY;
+  updateStaleFix();
+  updateHeadingCones();
+  updateLocateButtons();
+  updateDirections();
 
-    hammer.on('panstart pinchstart', () => {
-      startScale = state.photoZoom.scale;
-      startX = state.photoZoom.x;
-      startY = state.photoZoom.y;
-    });
+  // Keep following maps centred on the visitor
+  Object.keys(state.mapInstances).forEach(mapId => {
+    if (state.mapInstances[mapId].locate === 'following') centreMapOnUser(mapId, false);
+  });
+}
 
-    hammer.on('panmove', (e) => {
-      state.photoZoom.x = startX + e.deltaX;
-      state.photoZoom.y = startY + e.deltaY;
-      constrainPhotoPosition();
-      updatePhotoTransform();
-    });
+function isOnMap(instance, pixel) {
+  return !!(pixel && instance.mapWidth
+    && pixel.x >= 0 && pixel.x <= instance.mapWidth
+    && pixel.y >= 0 && pixel.y <= instance.mapHeight);
+}
 
-    hammer.on('pinchmove', (e) => {
-      const rect = content.getBoundingClientRect();
+// Locate / follow me
+//
+// The locate button on each map centres it on the visitor, zooming in if the
+// map is zoomed right out. Tapping it again while centred follows the
+// visitor, recentring on every fix until the map is moved by hand.
 
-      let newScale = startScale * e.scale;
-      newScale = Math.max(state.photoZoom.minScale, Math.min(state.photoZoom.maxScale, newScale));
+function toggleLocate(mapId) {
+  const instance = state.mapInstances[mapId];
+  if (!instance || !isOnMap(instance, state.userPixel)) return;
 
-      // Zoom towards pinch center
-      const centerX = e.center.x - rect.left;
-      const centerY = e.center.y - rect.top;
+  if (instance.locate === 'following') {
+    instance.locate = null;
+  } else {
+    instance.locate = instance.locate === 'centred' ? 'following' : 'centred';
+    centreMapOnUser(mapId, instance.locate === 'centred');
+  }
+  updateLocateButtons();
+}
 
-      const scaleDiff = newScale / state.photoZoom.scale;
-      state.photoZoom.x = centerX - (centerX - state.photoZoom.x) * scaleDiff;
-      state.photoZoom.y = centerY - (centerY - state.photoZoom.y) * scaleDiff;
-      state.photoZoom.scale = newScale;
+function stopLocating(mapId) {
+  const instance = state.mapInstances[mapId];
+  if (!instance || !instance.locate) return;
+  instance.locate = null;
+  updateLocateButtons();
+}
 
-      constrainPhotoPosition();
-      updatePhotoTransform();
-    });
+function centreMapOnUser(mapId, zoomIn) {
+  const instance = state.mapInstances[mapId];
+  const scale = zoomIn
+    ? Math.min(instance.maxScale, Math.max(instance.scale, instance.minScale * 2))
+    : instance.scale;
+  instance.animateTo(state.userPixel, scale);
+}
 
-    // Mouse drag for desktop panning
-    let isDragging = false;
-    let dragStartX, dragStartY, dragStartPhotoX, dragStartPhotoY;
-
-    content.addEventListener('mousedown', (e) => {
-      if (e.button !== 0) return;
-      isDragging = true;
-      dragStartX = e.clientX;
-      dragStartY = e.clientY;
-      dragStartPhotoX = state.photoZoom.x;
-      dragStartPhotoY = state.photoZoom.y;
-      content.style.cursor = 'grabbing';
-      e.preventDefault();
-    });
+// Locate buttons show on georeferenced trails, and only work while the
+// visitor is on the map
+function updateLocateButtons() {
+  Object.values(state.mapInstances).forEach(instance => {
+    if (!instance.container) return;
+    const btn = instance.container.querySelector('.map-locate-btn');
+    const onMap = isOnMap(instance, state.userPixel);
+    if (!onMap) instance.locate = null;
+
+    btn.classList.toggle('hidden', !state.georeference);
+    btn.classList.toggle('following', instance.locate === 'following');
+    btn.disabled = !onMap;
+    btn.querySelector('.material-symbols-rounded').textContent = onMap ? 'my_location' : 'location_disabled';
+  });
+}
 
-    const onMouseMove = (e) => {
-      if (!isDragging || !state.photoZoom) return;
-      state.photoZoom.x = dragStartPhotoX + (e.clientX - dragStartX);
-      state.photoZoom.y = dragStartPhotoY + (e.clientY - dragStartY);
-      constrainPhotoPosition();
-      updatePhotoTransform();
-    };
+function updateStaleFix() {
+  const stale = isFixStale(state.lastFixAt);
+  document.querySelectorAll('.user-location, .user-location-accuracy').forEach(el => {
+    el.classList.toggle('stale', stale);
+  });
+}
 
-    const onMouseUp = () => {
-      isDragging = false;
-      content.style.cursor = 'grab';
-    };
+// Show a short explanation in the map corner, or clear it with null
+function setGpsStatus(instance, message) {
+  if (!instance || !instance.container) return;
 
-    window.addEventListener('mousemove', onMouseMove);
-    window.addEventListener('mouseup', onMouseUp);
+  let chip = instance.container.querySelector('.gps-status');
+  if (!message) {
+    if (chip) chip.classList.add('hidden');
+    return;
+  }
 
-    content.style.cursor = 'grab';
+  if (!chip) {
+    chip = document.createElement('div');
+    chip.className = 'gps-status';
+    chip.setAttribute('role', 'status');
+    chip.innerHTML = '<span class="material-symbols-rounded">location_off</span><span class="gps-status-text"></span>';
+    instance.container.appendChild(chip);
+  }
+  chip.querySelector('.gps-status-text').textContent = message;
+  chip.classList.remove('hidden');
+}
 
-    // Scroll wheel for desktop zooming
-    content.addEventListener('wheel', (e) => {
-      e.preventDefault();
-      if (!state.photoZoom) return;
+// Directions
+//
+// On a waypoint page, the waypoint map shows the shortest walk along the
+// trail's paths from the visitor to the waypoint, with its length and
+// walking time. The paths are read from route.svg (see route.js); lengths
+// use the georeference's average scale.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Draw a line in map pixels under a map's markers, in an SVG overlay with
+// the given class. Pass no points to hide it.
+function drawMapLine(instance, className, points) {
+  let svg = instance.container.querySelector(`.${className}`);
+  if (!points || !points.length) {
+    if (svg) svg.classList.add('hidden');
+    return;
+  }
+
+  if (!svg) {
+    svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', `map-line ${className}`);
+    svg.setAttribute('viewBox', `0 0 ${instance.mapWidth} ${instance.mapHeight}`);
+    svg.style.width = `${instance.mapWidth}px`;
+    svg.style.height = `${instance.mapHeight}px`;
+    svg.appendChild(document.createElementNS(SVG_NS, 'polyline'));
+    instance.markersContainer.before(svg);
+  }
 
-      const rect = content.getBoundingClientRect();
-      const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-      let newScale = state.photoZoom.scale * zoomFactor;
-      newScale = Math.max(state.photoZoom.minScale, Math.min(state.photoZoom.maxScale, newScale));
+  svg.classList.remove('hidden');
+  svg.querySelector('polyline').setAttribute('points', points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' '));
+}
 
-      // Zoom towards mouse position
-      const mouseX = e.clientX - rect.left;
-      const mouseY = e.clientY - rect.top;
+async function setupRouteGraph() {
+  try {
+    state.routeGraph = await loadRouteGraph();
+    if (!state.routeGraph) return;
+    updateDirections();
+  } catch (error) {
+    console.error('Failed to load route:', error);
+  }
+}
 
-      const scaleDiff = newScale / state.photoZoom.scale;
-      state.photoZoom.x = mouseX - (mouseX - state.photoZoom.x) * scaleDiff;
-      state.photoZoom.y = mouseY - (mouseY - state.photoZoom.y) * scaleDiff;
-      state.photoZoom.scale = newScale;
+// Shortest route to any of the waypoint's markers
+function getRouteToWaypoint(waypoint) {
+  return waypoint.markerPositions
+    .map(pos => findRoute(state.routeGraph, state.userPixel, pos))
+    .filter(Boolean)
+    .reduce((best, route) => (!best || route.length < best.length ? route : best), null);
+}
 
-      constrainPhotoPosition();
-      updatePhotoTransform();
-    }, { passive: false });
-    }; // end attemptSetup
+function updateDirections() {
+  const instance = state.mapInstances.waypoint;
+  if (!instance || !instance.container) return;
 
-    requestAnimationFrame(attemptSetup);
-  };
+  const label = instance.container.querySelector('.directions-label');
 
-  if (image.complete && image.naturalWidth) {
-    setupZoom();
-  } else {
-    image.onload = setupZoom;
+  const waypoint = typeof state.currentPage === 'number' ? state.trail.waypoints[state.currentPage - 1] : null;
+  const route = waypoint && state.routeGraph && isOnMap(instance, state.userPixel)
+    ? getRouteToWaypoint(waypoint)
+    : null;
+
+  label.classList.toggle('hidden', !route);
+  drawMapLine(instance, 'map-directions', route && route.points);
+  if (!route) return;
+
+  label.querySelector('.directions-label-text').textContent =
+    format.walk(route.length * state.georeference.metresPerPixel);
+}
+
+// Walk recording
+//
+// Visitors, and volunteers surveying paths for future route.svg files, can
+// record the walk they actually take. Fixes are sampled every
+// BREADCRUMB_SPACING metres into a breadcrumb line on the maps, and saved to
+// IndexedDB as they come in so a reload mid-walk loses nothing. A finished
+// walk can be exported as GPX. Recording only needs GPS: on a trail without
+// a georeference there's no line on the maps, but the walk is still saved
+// and can be exported.
+
+const BREADCRUMB_SPACING = 5; // metres between recorded points
+const BREADCRUMB_MAX_ACCURACY = 30; // metres; vaguer fixes are skipped
+
+function getWalkKey() {
+  return router.base.slice(1);
+}
+
+async function setupWalkRecording() {
+  if (!('indexedDB' in window)) return;
+
+  document.querySelectorAll('.map-record-btn').forEach(btn => {
+    btn.addEventListener('click', toggleRecording);
+  });
+  document.getElementById('walk-banner-export').addEventListener('click', exportWalk);
+  document.getElementById('walk-banner-discard').addEventListener('click', discardWalk);
+
+  try {
+    state.walk = (await loadWalk(getWalkKey())) || null;
+  } catch (error) {
+    console.error('Failed to load recorded walk:', error);
   }
+  updateWalkControls();
+  updateWalkWatch();
 }
 
-function updatePhotoTransform() {
-  const image = elements.photoOverlay.querySelector('.photo-overlay-image');
-  if (!state.photoZoom) return;
+function persistWalk() {
+  saveWalk(getWalkKey(), state.walk).catch(error => {
+    console.error('Failed to save recorded walk:', error);
+  });
+}
 
-  const { x, y, scale } = state.photoZoom;
-  image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
-  image.style.transformOrigin = '0 0';
+function toggleRecording() {
+  if (state.walk && state.walk.recording) {
+    state.walk.recording = false;
+  } else {
+    // A new recording replaces any finished walk
+    state.walk = { recording: true, startedAt: new Date().toISOString(), points: [] };
+  }
+  persistWalk();
+  updateWalkControls();
+  updateWalkWatch();
 }
 
-function constrainPhotoPosition() {
-  if (!state.photoZoom) return;
+// Trails with a georeference watch the GPS from the start (see
+// startGeolocation). Others only need it while a walk is being recorded.
+function updateWalkWatch() {
+  if (state.georeference) return;
+
+  const recording = !!(state.walk && state.walk.recording);
+  if (recording && !state.stopWalkWatch) {
+    state.stopWalkWatch = watchPosition({
+      onFix: (position) => {
+        showGpsStatus(null);
+        recordBreadcrumb(position);
+      },
+      onError: showGpsError
+    });
+  } else if (!recording && state.stopWalkWatch) {
+    state.stopWalkWatch();
+    state.stopWalkWatch = null;
+    showGpsStatus(null);
+  }
+}
 
-  const content = elements.photoOverlay.querySelector('.photo-overlay-content');
-  const contentRect = content.getBoundingClientRect();
-  const viewportWidth = contentRect.width;
-  const viewportHeight = contentRect.height;
+function recordBreadcrumb(position) {
+  if (!state.walk || !state.walk.recording) return;
+  if (position.coords.accuracy > BREADCRUMB_MAX_ACCURACY) return;
 
-  const { scale, imageWidth, imageHeight } = state.photoZoom;
-  const scaledWidth = imageWidth * scale;
-  const scaledHeight = imageHeight * scale;
+  const point = {
+    lat: position.coords.latitude,
+    lng: position.coords.longitude,
+    time: new Date(position.timestamp).toISOString()
+  };
+  const last = state.walk.points[state.walk.points.length - 1];
+  if (last && distanceMetres(last, point) < BREADCRUMB_SPACING) return;
 
-  let minX, maxX, minY, maxY;
+  state.walk.points.push(point);
+  persistWalk();
+  drawBreadcrumbs();
+}
 
-  // Center image if smaller than viewport, otherwise constrain to edges
-  if (scaledWidth <= viewportWidth) {
-    const centerX = (viewportWidth - scaledWidth) / 2;
-    minX = maxX = centerX;
-  } else {
-    minX = viewportWidth - scaledWidth;
-    maxX = 0;
+function drawBreadcrumbs() {
+  const points = state.walk && state.georeference ? state.walk.points.map(p => gpsToPixel(p.lat, p.lng)) : null;
+  Object.values(state.mapInstances).forEach(instance => {
+    if (instance.container && instance.mapWidth) drawMapLine(instance, 'map-breadcrumbs', points);
+  });
+}
+
+function updateWalkControls() {
+  const recording = !!(state.walk && state.walk.recording);
+
+  document.querySelectorAll('.map-record-btn').forEach(btn => {
+    btn.classList.remove('hidden');
+    btn.classList.toggle('recording', recording);
+    btn.setAttribute('aria-label', recording ? t('stopRecording') : t('recordWalk'));
+  });
+
+  // Offer the finished walk for export until it's discarded
+  const finished = !!(state.walk && !recording && state.walk.points.length > 1);
+  elements.walkBanner.classList.toggle('hidden', !finished);
+  if (finished) {
+    elements.walkBanner.querySelector('.walk-banner-text').textContent =
+      t('walkRecorded', { distance: format.kilometres(walkLength(state.walk)) });
   }
 
-  if (scaledHeight <= viewportHeight) {
-    const centerY = (viewportHeight - scaledHeight) / 2;
-    minY = maxY = centerY;
-  } else {
-    minY = viewportHeight - scaledHeight;
-    maxY = 0;
+  drawBreadcrumbs();
+}
+
+function exportWalk() {
+  const date = state.walk.startedAt.slice(0, 10);
+  const gpx = walkToGpx(state.walk, `${state.trail.name} walk, ${date}`);
+  const url = URL.createObjectURL(new Blob([gpx], { type: 'application/gpx+xml' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${getWalkKey()}-walk-${date}.gpx`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function discardWalk() {
+  if (!confirm(t('discardWalkConfirm'))) return;
+  state.walk = null;
+  deleteWalk(getWalkKey()).catch(error => {
+    console.error('Failed to delete recorded walk:', error);
+  });
+  updateWalkControls();
+}
+
+// Heading
+//
+// The location dot carries a cone showing which way the visitor is facing:
+// the GPS course while they're walking, which is steadier than the compass
+// on the move, and the device compass while they stand still. The
+// georeference turns compass bearings into angles on the map image, which
+// isn't necessarily drawn north-up.
+
+const GPS_HEADING_MIN_SPEED = 0.5; // m/s; slower than this the course is noise
+const GPS_HEADING_HOLD_MS = 3000; // Ignore the compass this long after a GPS heading
+
+function updateGpsHeading(coords) {
+  if (!Number.isFinite(coords.heading) || !(coords.speed >= GPS_HEADING_MIN_SPEED)) return;
+  state.gpsHeadingAt = Date.now();
+  state.heading = coords.heading;
+  updateHeadingCones();
+}
+
+function onCompassHeading(heading) {
+  if (Date.now() - state.gpsHeadingAt < GPS_HEADING_HOLD_MS) return;
+  state.heading = heading;
+  updateHeadingCones();
+}
+
+function startCompass() {
+  if (!hasCompass()) return;
+
+  if (!compassNeedsPermission()) {
+    watchCompass(onCompassHeading);
+    return;
   }
 
-  state.photoZoom.x = Math.max(minX, Math.min(maxX, state.photoZoom.x));
-  state.photoZoom.y = Math.max(minY, Math.min(maxY, state.photoZoom.y));
+  // iOS only grants the compass in response to a tap
+  if (sessionStorage.getItem('compass-prompt-dismissed') === 'true') return;
+
+  const prompt = document.getElementById('compass-prompt');
+  const hidePrompt = () => {
+    prompt.classList.add('hidden');
+    sessionStorage.setItem('compass-prompt-dismissed', 'true');
+  };
+
+  document.getElementById('compass-prompt-allow').addEventListener('click', () => {
+    hidePrompt();
+    requestCompassPermission().then(granted => { if (granted) watchCompass(onCompassHeading); });
+  });
+  document.getElementById('compass-prompt-dismiss').addEventListener('click', hidePrompt);
+
+  prompt.classList.remove('hidden');
 }
 
-function navigatePhoto(direction) {
-  const waypoint = state.trail.waypoints[state.currentPage - 1];
-  const newIndex = state.currentPhotoIndex + direction;
+function updateHeadingCones() {
+  const angle = state.heading === null ? null : state.georeference.headingToAngle(state.heading);
+  document.querySelectorAll('.user-location-heading').forEach(cone => {
+    cone.classList.toggle('hidden', angle === null);
+    if (angle !== null) cone.style.transform = `rotate(${angle}deg)`;
+  });
+}
+
+// Proximity
+//
+// While walking, offer the waypoint the visitor is standing at in a
+// "You're near" card. The card appears within the trail's proximityRadius
+// (metres, set in trail.json) of one of the waypoint's markers, and only goes
+// again beyond PROXIMITY_EXIT_FACTOR times that, so GPS jitter at the edge
+// doesn't make it flicker. Waypoints already viewed this visit aren't offered.
+
+const PROXIMITY_RADIUS = 15; // metres, when trail.json doesn't set one
+const PROXIMITY_EXIT_FACTOR = 1.5;
+const PROXIMITY_MAX_ACCURACY = 30; // metres; vaguer readings are ignored
+
+// Distance in metres to the nearest of a waypoint's markers
+function distanceToWaypoint(location, waypointIndex) {
+  const markers = state.waypointLocations[waypointIndex - 1] || [];
+  return Math.min(...markers.map(marker => distanceMetres(location, marker)));
+}
+
+function updateProximity(coords) {
+  if (coords.accuracy > PROXIMITY_MAX_ACCURACY) return;
 
-  if (newIndex >= 0 && newIndex < waypoint.photos.length) {
-    state.currentPhotoIndex = newIndex;
-    updatePhotoOverlay(waypoint);
+  const location = { lat: coords.latitude, lng: coords.longitude };
+  const radius = state.trail.proximityRadius || PROXIMITY_RADIUS;
+
+  // Standing at a waypoint counts as visiting it
+  state.trail.waypoints.forEach((waypoint, i) => {
+    if (distanceToWaypoint(location, i + 1) <= radius) markVisited(i + 1);
+  });
+
+  // Keep offering the current waypoint until the visitor has clearly left it
+  const current = state.nearbyWaypoint;
+  if (current && !state.viewedWaypoints.has(current)
+      && distanceToWaypoint(location, current) <= radius * PROXIMITY_EXIT_FACTOR) {
+    return;
   }
+
+  let nearest = null;
+  let nearestDistance = radius;
+  state.trail.waypoints.forEach((waypoint, i) => {
+    const waypointIndex = i + 1;
+    if (state.viewedWaypoints.has(waypointIndex)) return;
+    const distance = distanceToWaypoint(location, waypointIndex);
+    if (distance <= nearestDistance) {
+      nearest = waypointIndex;
+      nearestDistance = distance;
+    }
+  });
+
+  showNearbyCard(nearest);
 }
 
-function updatePhotoOverlay(waypoint) {
-  const overlay = elements.photoOverlay;
-  const image = overlay.querySelector('.photo-overlay-image');
-  const prevBtn = overlay.querySelector('.photo-overlay-nav.prev');
-  const nextBtn = overlay.querySelector('.photo-overlay-nav.next');
-  const indicators = overlay.querySelector('.photo-overlay-indicators');
+function showNearbyCard(waypointIndex) {
+  state.nearbyWaypoint = waypointIndex;
+  elements.nearbyCard.classList.toggle('hidden', !waypointIndex);
+  if (!waypointIndex) return;
 
-  // Reset transform before loading new image
-  image.style.transform = '';
+  const waypoint = state.trail.waypoints[waypointIndex - 1];
+  elements.nearbyCard.querySelector('.nearby-card-title').textContent = waypoint.title;
+}
 
-  image.src = `./photos/${waypoint.id}/${waypoint.photos[state.currentPhotoIndex]}`;
+function setupNearbyCard() {
+  document.getElementById('nearby-card-open').addEventListener('click', () => {
+    if (state.nearbyWaypoint) navigateTo(state.nearbyWaypoint);
+  });
 
-  // Initialize zoom/pan after image loads
-  initPhotoPanZoom();
+  // Dismissing counts as viewed, so the card doesn't come straight back
+  document.getElementById('nearby-card-dismiss').addEventListener('click', () => {
+    state.viewedWaypoints.add(state.nearbyWaypoint);
+    showNearbyCard(null);
+  });
+}
 
-  prevBtn.disabled = state.currentPhotoIndex === 0;
-  nextBtn.disabled = state.currentPhotoIndex === waypoint.photos.length - 1;
+// Audio guide
+//
+// Waypoints can have narration: trail.json's optional audio field names a
+// file in the trail's audio/{waypoint id}/ folder. A single audio element,
+// outside the pages, plays it, so narration carries on as the visitor moves
+// between pages, with the mini-player and the Media Session (lock screen and
+// headphone controls) showing what's playing. "Play all" goes through the
+// waypoints in order, opening each one as its narration starts.
+
+function getAudioUrl(waypoint) {
+  return getAudioPath(waypoint, router.base);
+}
 
-  indicators.innerHTML = waypoint.photos.map((_, i) =>
-    `<div class="photo-overlay-indicator ${i === state.currentPhotoIndex ? 'active' : ''}"></div>`
-  ).join('');
+// Next waypoint index with narration, counting on from waypointIndex by step
+// and skipping waypoints the filter hides when previous/next do
+function findAudioWaypoint(waypointIndex, step) {
+  const waypoints = state.trail.waypoints;
+  for (let i = waypointIndex + step; i >= 1 && i <= waypoints.length; i += step) {
+    const skipped = state.filterNavigation && !isWaypointShown(waypoints[i - 1]);
+    if (waypoints[i - 1].audio && !skipped) return i;
+  }
+  return null;
 }
 
-function setupWebviewOverlay() {
-  const overlay = elements.webviewOverlay;
-  const iframe = overlay.querySelector('iframe');
-  const urlDisplay = overlay.querySelector('.webview-url');
+function setupAudioGuide() {
+  if (!state.trail.waypoints.some(waypoint => waypoint.audio)) return;
 
-  // Open external URL in new tab when read more is clicked
-  document.getElementById('read-more-link').addEventListener('click', (e) => {
-    e.preventDefault();
-    const url = e.currentTarget.dataset.url;
-    window.open(url, '_blank');
+  const audio = new Audio();
+  audio.preload = 'none';
+  state.audio = audio;
+
+  audio.addEventListener('play', () => {
+    if (state.speech) stopReading();
+    updateAudioControls();
+  });
+  audio.addEventListener('pause', updateAudioControls);
+  audio.addEventListener('timeupdate', updateAudioProgress);
+  audio.addEventListener('ended', () => {
+    if (!state.playAll) return;
+    const next = findAudioWaypoint(state.audioWaypoint, 1);
+    if (next) {
+      skipToAudio(next);
+    } else {
+      state.playAll = false;
+      updateAudioControls();
+    }
+  });
+  audio.addEventListener('error', () => {
+    if (!audio.getAttribute('src')) return;
+    state.playAll = false;
+    updateAudioControls();
+    elements.audioPlayer.querySelector('.audio-player-label').textContent = t('audioUnavailable');
   });
 
-  // Close button
-  document.getElementById('webview-done').addEventListener('click', closeWebview);
+  const page = elements.pages.waypoint;
+  page.querySelector('#waypoint-listen').addEventListener('click', () => {
+    const waypointIndex = state.currentPage;
+    if (state.audioWaypoint === waypointIndex && !audio.paused) {
+      audio.pause();
+    } else {
+      playWaypointAudio(waypointIndex);
+    }
+  });
+  page.querySelector('#waypoint-play-all').addEventListener('click', () => {
+    state.playAll = true;
+    playWaypointAudio(state.currentPage);
+  });
 
-  // Refresh button
-  document.getElementById('webview-refresh').addEventListener('click', () => {
-    iframe.src = iframe.src;
+  document.getElementById('audio-player-toggle').addEventListener('click', () => {
+    if (audio.paused) audio.play().catch(() => {});
+    else audio.pause();
   });
+  document.getElementById('audio-player-open').addEventListener('click', () => {
+    if (state.audioWaypoint && state.currentPage !== state.audioWaypoint) navigateTo(state.audioWaypoint);
+  });
+  document.getElementById('audio-player-next').addEventListener('click', () => {
+    const next = findAudioWaypoint(state.audioWaypoint, 1);
+    if (next) skipToAudio(next);
+  });
+  document.getElementById('audio-player-close').addEventListener('click', stopAudio);
+
+  if ('mediaSession' in navigator) {
+    const session = navigator.mediaSession;
+    session.setActionHandler('play', () => audio.play().catch(() => {}));
+    session.setActionHandler('pause', () => audio.pause());
+    session.setActionHandler('stop', stopAudio);
+    session.setActionHandler('previoustrack', () => {
+      const previous = findAudioWaypoint(state.audioWaypoint, -1);
+      if (previous) skipToAudio(previous);
+    });
+    session.setActionHandler('nexttrack', () => {
+      const next = findAudioWaypoint(state.audioWaypoint, 1);
+      if (next) skipToAudio(next);
+    });
+  }
+}
 
-  // Open in external browser
-  document.getElementById('webview-open-external').addEventListener('click', () => {
-    window.open(iframe.src, '_blank');
+function playWaypointAudio(waypointIndex) {
+  const audio = state.audio;
+  const waypoint = state.trail.waypoints[waypointIndex - 1];
+  if (!audio || !waypoint || !waypoint.audio) return;
+
+  if (state.audioWaypoint !== waypointIndex) {
+    state.audioWaypoint = waypointIndex;
+    audio.src = getAudioUrl(waypoint);
+    updateMediaSession(waypoint);
+  }
+  audio.play().catch(() => {});
+  updateAudioControls();
+}
+
+// Move the audio guide to another waypoint. In play-all mode the page
+// follows the narration.
+function skipToAudio(waypointIndex) {
+  if (state.playAll && state.currentPage !== waypointIndex) navigateTo(waypointIndex);
+  playWaypointAudio(waypointIndex);
+}
+
+function stopAudio() {
+  const audio = state.audio;
+  audio.pause();
+  audio.removeAttribute('src');
+  audio.load();
+  state.audioWaypoint = null;
+  state.playAll = false;
+  if ('mediaSession' in navigator) navigator.mediaSession.metadata = null;
+  updateAudioControls();
+}
+
+function updateMediaSession(waypoint) {
+  if (!('mediaSession' in navigator)) return;
+
+  const artwork = waypoint.photos && waypoint.photos.length > 0
+    ? [{ src: getThumbnailPath(waypoint, waypoint.photos[0], router.base), type: 'image/jpeg' }]
+    : [];
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: waypoint.title,
+    artist: state.trail.name,
+    album: t('audioGuide'),
+    artwork
   });
 }
 
-function openWebview(url) {
-  const overlay = elements.webviewOverlay;
-  const iframe = overlay.querySelector('iframe');
-  const urlDisplay = overlay.querySelector('.webview-url');
+// Sync the mini-player, the waypoint page's Listen button and the Media
+// Session with the audio element
+function updateAudioControls() {
+  const audio = state.audio;
+  if (!audio) return;
+
+  const playing = !audio.paused;
+  const player = elements.audioPlayer;
+  const waypoint = state.audioWaypoint && state.trail.waypoints[state.audioWaypoint - 1];
+
+  player.classList.toggle('hidden', !waypoint);
+  if (waypoint) {
+    player.querySelector('.audio-player-label').textContent = state.playAll ? t('playingAll') : t('audioGuide');
+    player.querySelector('.audio-player-title').textContent = waypoint.title;
+    const toggle = player.querySelector('.audio-player-toggle');
+    toggle.querySelector('.material-symbols-rounded').textContent = playing ? 'pause' : 'play_arrow';
+    toggle.setAttribute('aria-label', playing ? t('pause') : t('play'));
+    player.querySelector('.audio-player-next').classList.toggle('hidden',
+      !state.playAll || !findAudioWaypoint(state.audioWaypoint, 1));
+  }
 
-  // Extract domain for display
-  try {
-    const urlObj = new URL(url);
-    urlDisplay.textContent = urlObj.hostname;
-  } catch {
-    urlDisplay.textContent = url;
+  const listen = elements.pages.waypoint.querySelector('#waypoint-listen');
+  const listening = playing && state.audioWaypoint === state.currentPage;
+  listen.querySelector('.material-symbols-rounded').textContent = listening ? 'pause_circle' : 'play_circle';
+  listen.querySelector('.waypoint-audio-label').textContent = listening ? t('pause') : t('listen');
+
+  if ('mediaSession' in navigator) {
+    navigator.mediaSession.playbackState = waypoint ? (playing ? 'playing' : 'paused') : 'none';
   }
+}
 
-  iframe.src = url;
-  overlay.classList.add('visible');
+function updateAudioProgress() {
+  const audio = state.audio;
+  const fraction = audio.duration ? audio.currentTime / audio.duration : 0;
+  elements.audioPlayer.querySelector('.audio-player-progress-bar').style.width = `${fraction * 100}%`;
 }
 
-function closeWebview() {
-  const overlay = elements.webviewOverlay;
-  const iframe = overlay.querySelector('iframe');
+// Read aloud
+//
+// Waypoints without recorded narration can be read out by the browser's
+// speech synthesis. The title and each sentence of the description are
+// queued as separate utterances, so the sentence being spoken can be
+// highlighted as each one starts; boundary events would be finer grained,
+// but many voices never fire them. Paragraphs with links or emphasis are
+// highlighted whole, as a sentence can start or end inside the markup.
+// "Read all" moves on to the next waypoint once a page has been read.
+
+function canReadAloud() {
+  return 'speechSynthesis' in window;
+}
 
-  overlay.classList.remove('visible');
-  iframe.src = '';
+// Split text into sentences, keeping the spaces so the pieces join back up
+function splitSentences(text) {
+  return (text || '').match(/[^.!?]*[.!?]+["'”’)]*\s*|[^.!?]+$/g) || [];
 }
 
+// Mark the parts of a rendered description that read aloud highlights: a
+// span per sentence of plain blocks, or the block itself
+function markSentences(container) {
+  container.querySelectorAll('p, li, h2, h3, h4, h5, h6, figcaption').forEach(block => {
+    if (block.children.length) {
+      block.classList.add('waypoint-sentence');
+      return;
+    }
+    block.replaceChildren(...splitSentences(block.textContent).map(sentence => {
+      const span = document.createElement('span');
+      span.className = 'waypoint-sentence';
+      span.textContent = sentence;
+      return span;
+    }));
+  });
+}
 
-// GPS Location
-// Map corner coordinates: NW (0,0) and SE (1521,2021)
-const MAP_NW_LAT = 51.48241;
-const MAP_NW_LNG = -0.21812;
-const MAP_SE_LAT = 51.47831;
-const MAP_SE_LNG = -0.21297;
-const MAP_WIDTH = 1521;
-const MAP_HEIGHT = 2021;
+function setupReadAloud() {
+  if (!canReadAloud()) return;
 
-function gpsToPixel(lat, lng) {
-  const x = (lng - MAP_NW_LNG) / (MAP_SE_LNG - MAP_NW_LNG) * MAP_WIDTH;
-  const y = (MAP_NW_LAT - lat) / (MAP_NW_LAT - MAP_SE_LAT) * MAP_HEIGHT;
-  return { x, y };
+  const page = elements.pages.waypoint;
+  page.querySelector('#waypoint-read-aloud').addEventListener('click', () => toggleReadAloud(false));
+  page.querySelector('#waypoint-read-all').addEventListener('click', () => readWaypoint(state.currentPage, true));
+
+  // Chrome carries on speaking after the page has gone
+  window.addEventListener('pagehide', () => speechSynthesis.cancel());
 }
 
-function startGeolocation() {
-  if (!navigator.geolocation) return;
-
-  navigator.geolocation.watchPosition(
-    (position) => {
-      const { latitude, longitude } = position.coords;
-      const pixel = gpsToPixel(latitude, longitude);
-      const inBounds = pixel.x >= 0 && pixel.x <= MAP_WIDTH && pixel.y >= 0 && pixel.y <= MAP_HEIGHT;
-
-      // Update dot in each map instance
-      Object.keys(state.mapInstances).forEach(mapId => {
-        const instance = state.mapInstances[mapId];
-        if (!instance || !instance.markersContainer) return;
-
-        let dot = instance.markersContainer.querySelector('.user-location');
-
-        if (!inBounds) {
-          if (dot) dot.style.display = 'none';
-          return;
-        }
-
-        if (!dot) {
-          dot = document.createElement('div');
-          dot.className = 'user-location';
-          dot.innerHTML = '<div class="user-location-dot"></div>';
-          instance.markersContainer.appendChild(dot);
-        }
-
-        dot.style.display = '';
-        dot.style.left = `${pixel.x}px`;
-        dot.style.top = `${pixel.y}px`;
-
-        // Counter-scale like markers
-        if (instance.scale) {
-          const counterScale = 1 / instance.scale;
-          dot.style.transform = `translate(-50%, -50%) scale(${counterScale})`;
-        }
-      });
-    },
-    (error) => {
-      console.log('Geolocation error:', error.message);
-    },
-    {
-      enableHighAccuracy: true,
-      maximumAge: 5000,
-      timeout: 10000
+function toggleReadAloud(readAll) {
+  if (!canReadAloud() || typeof state.currentPage !== 'number') return;
+
+  if (state.speech && state.speech.waypointIndex === state.currentPage) {
+    stopReading();
+  } else {
+    readWaypoint(state.currentPage, readAll);
+  }
+}
+
+function readWaypoint(waypointIndex, readAll) {
+  speechSynthesis.cancel();
+  if (state.audio && !state.audio.paused) state.audio.pause();
+
+  const page = elements.pages.waypoint;
+  const parts = [page.querySelector('.waypoint-title'), ...page.querySelectorAll('.waypoint-sentence')]
+    .flatMap(element => splitSentences(element.textContent).map(text => ({ element, text: text.trim() })))
+    .filter(part => part.text);
+
+  const speech = { waypointIndex, readAll, pausedByOverlay: false };
+  state.speech = speech;
+
+  parts.forEach((part, i) => {
+    const utterance = new SpeechSynthesisUtterance(part.text);
+    utterance.lang = document.documentElement.lang || 'en-GB';
+    utterance.onstart = () => {
+      if (state.speech === speech) highlightSpoken(part.element);
+    };
+    // Cancelling fires 'interrupted' or 'canceled' on the queued utterances
+    utterance.onerror = (e) => {
+      if (state.speech === speech && e.error !== 'interrupted' && e.error !== 'canceled') stopReading();
+    };
+    if (i === parts.length - 1) {
+      utterance.onend = () => {
+        if (state.speech === speech) finishReading();
+      };
     }
-  );
+    speechSynthesis.speak(utterance);
+  });
+
+  updateReadAloudControls();
+}
+
+function finishReading() {
+  const { waypointIndex, readAll } = state.speech;
+  highlightSpoken(null);
+
+  // Reads on through the waypoints Next would go to, so skipping
+  // filtered-out waypoints when the filter does
+  const next = readAll ? getAdjacentWaypoint(waypointIndex, 1) : null;
+  if (next) {
+    navigateTo(next); // Carries on reading, see continueReading
+  } else {
+    state.speech = null;
+    updateReadAloudControls();
+  }
+}
+
+function stopReading() {
+  state.speech = null;
+  speechSynthesis.cancel();
+  highlightSpoken(null);
+  updateReadAloudControls();
+}
+
+// After navigating: in "Read all" mode read the new waypoint, otherwise stop
+function continueReading(page) {
+  if (!state.speech) return;
+
+  if (state.speech.readAll && typeof page === 'number') {
+    readWaypoint(page, true);
+  } else {
+    stopReading();
+  }
+}
+
+// The photo overlay pauses reading until it closes
+function pauseReading() {
+  if (!state.speech || speechSynthesis.paused) return;
+  speechSynthesis.pause();
+  state.speech.pausedByOverlay = true;
+}
+
+function resumeReading() {
+  if (!state.speech || !state.speech.pausedByOverlay) return;
+  state.speech.pausedByOverlay = false;
+  speechSynthesis.resume();
+}
+
+function highlightSpoken(element) {
+  elements.pages.waypoint.querySelectorAll('.speaking').forEach(el => el.classList.remove('speaking'));
+  if (element) element.classList.add('speaking');
+}
+
+function updateReadAloudControls() {
+  const button = elements.pages.waypoint.querySelector('#waypoint-read-aloud');
+  const reading = Boolean(state.speech) && state.speech.waypointIndex === state.currentPage;
+  button.querySelector('.material-symbols-rounded').textContent = reading ? 'stop_circle' : 'record_voice_over';
+  button.querySelector('.waypoint-audio-label').textContent = reading ? t('stop') : t('readAloud');
 }
 
 // Initialize when DOM is ready
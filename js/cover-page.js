@@ -0,0 +1,132 @@
+/**
+ * Cover page: the trail's name and map, the visitor's progress, and the
+ * offline download panel.
+ *
+ * The progress ring counts the waypoints visited (see walk-progress.js),
+ * and the resume button goes back to the last one opened. The offline
+ * panel offers the trail's files for download with their size, then the
+ * download's size and a button to remove it (see offline-download.js).
+ *
+ * app is the trail app's context: { trail, slug, files, t, format,
+ * progress, setupMap, navigateTo }.
+ */
+
+import {
+  getOfflineDownload, removeOfflineDownload, getDownloadSize, downloadTrail
+} from './offline-download.js';
+
+export function createCoverPage(page, app) {
+  const { trail, t, progress } = app;
+
+  page.querySelector('.cover-header-identifier').textContent = trail.identifier;
+  page.querySelector('.cover-header-name').textContent = trail.name;
+  app.setupMap(page.querySelector('#cover-map'), 'cover');
+
+  page.querySelector('.cover-progress-resume').addEventListener('click', () => {
+    if (progress.lastWaypoint) app.navigateTo(progress.lastWaypoint);
+  });
+
+  const updateProgress = () => {
+    const panel = page.querySelector('.cover-progress');
+    const waypoints = trail.waypoints;
+    const visitedCount = progress.countVisited(waypoints);
+    const lastWaypoint = waypoints[progress.lastWaypoint - 1];
+
+    panel.classList.toggle('hidden', visitedCount === 0);
+    panel.querySelector('.cover-progress-value').style.strokeDasharray =
+      `${(visitedCount / waypoints.length) * 100} 100`;
+    panel.querySelector('.cover-progress-text').textContent = t('visitedCount', { count: visitedCount, total: waypoints.length });
+
+    const resume = panel.querySelector('.cover-progress-resume');
+    resume.classList.toggle('hidden', !lastWaypoint);
+    if (lastWaypoint) resume.setAttribute('aria-label', t('resumeAt', { title: lastWaypoint.title }));
+  };
+
+  updateProgress();
+  setupOfflineDownload(page.querySelector('.cover-offline'), app).catch(error => {
+    console.error('Failed to set up offline download:', error);
+  });
+
+  return { updateProgress };
+}
+
+async function setupOfflineDownload(panel, { slug, files, t, format }) {
+  if (!('caches' in window)) {
+    panel.classList.add('hidden');
+    return;
+  }
+
+  const icon = panel.querySelector('.cover-offline-icon');
+  const status = panel.querySelector('.cover-offline-status');
+  const progress = panel.querySelector('.cover-offline-progress');
+  const progressBar = panel.querySelector('.cover-offline-progress-bar');
+  const button = panel.querySelector('.cover-offline-btn');
+  let download = await getOfflineDownload(slug).catch(() => null);
+  // undefined until measured, null if it couldn't be
+  let downloadSize;
+
+  // A download from before photos were added to the trail is out of date
+  const isOutdated = () => download && files.some(file => !download.files.includes(file));
+
+  const render = () => {
+    icon.textContent = download ? 'offline_pin' : 'download_for_offline';
+    progress.classList.add('hidden');
+    button.disabled = false;
+    let size = null;
+    if (downloadSize === null) {
+      size = t('sizeUnknown');
+    } else if (downloadSize !== undefined) {
+      size = format.bytes(downloadSize);
+    }
+    if (!download) {
+      status.textContent = t('offlinePrompt');
+      button.textContent = size ? t('downloadSize', { size }) : t('download');
+    } else if (isOutdated()) {
+      status.textContent = t('offlineChanged');
+      button.textContent = size ? t('updateSize', { size }) : t('update');
+    } else {
+      status.textContent = t('offlineAvailable', { size: format.bytes(download.bytes) });
+      button.textContent = t('remove');
+    }
+  };
+
+  button.addEventListener('click', async () => {
+    if (download && !isOutdated()) {
+      await removeOfflineDownload(slug);
+      download = null;
+      render();
+      return;
+    }
+
+    button.disabled = true;
+    progress.classList.remove('hidden');
+    progressBar.style.width = '0';
+    status.textContent = t('offlineDownloading', { done: 0, total: files.length });
+
+    // Ask the browser not to evict the trail when storage runs low
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist().catch(() => {});
+    }
+
+    try {
+      download = await downloadTrail(slug, files, (done, total, bytes) => {
+        status.textContent = t('offlineDownloadingSize', { done, total, size: format.bytes(bytes) });
+        progressBar.style.width = `${(done / total) * 100}%`;
+      });
+      render();
+      status.textContent = t('offlineComplete', { count: download.fileCount, size: format.bytes(download.bytes) });
+    } catch (error) {
+      console.error('Failed to download trail:', error);
+      render();
+      status.textContent = t('offlineFailed');
+    }
+  });
+
+  render();
+
+  // Size the download once it's on offer; not while a download is running
+  if (!download || isOutdated()) {
+    downloadSize = await getDownloadSize(slug, files);
+    if (!button.disabled && (!download || isOutdated())) render();
+  }
+}
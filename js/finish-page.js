@@ -0,0 +1,67 @@
+/**
+ * Finish page: a summary of the walk (waypoints visited, time on the trail
+ * and distance walked, see walk-progress.js), the trail's feedback form if
+ * it has one, and links to the other trails in trails.json.
+ *
+ * app is the trail app's context: { trail, slug, t, format, progress }.
+ */
+
+export function createFinishPage(page, app) {
+  const { trail, t, format, progress } = app;
+
+  const show = () => {
+    progress.finishWalk();
+
+    page.querySelector('.header-title').textContent = trail.shortTitle;
+    page.querySelector('.finish-name').textContent = `${trail.identifier}: ${trail.name}`;
+
+    const stats = [{
+      icon: 'check_circle',
+      value: t('visitedOfTotal', { visited: progress.countVisited(trail.waypoints), total: trail.waypoints.length }),
+      label: t('waypointsVisited')
+    }];
+    const walk = progress.getWalk();
+    if (walk) {
+      stats.push({ icon: 'schedule', value: format.duration(walk.elapsed), label: t('onTheTrail') });
+      if (walk.distance > 0) {
+        stats.push({ icon: 'directions_walk', value: format.distance(walk.distance), label: t('walked') });
+      }
+    }
+    page.querySelector('.finish-stats').innerHTML = stats.map(stat => `
+      <li class="finish-stat">
+        <span class="material-symbols-rounded">${stat.icon}</span>
+        <span class="finish-stat-value">${stat.value}</span>
+        <span class="finish-stat-label">${stat.label}</span>
+      </li>
+    `).join('');
+
+    // Optional feedback form, set per trail in trail.json
+    const feedback = page.querySelector('.finish-feedback');
+    feedback.classList.toggle('hidden', !trail.feedbackUrl);
+    if (trail.feedbackUrl) feedback.href = trail.feedbackUrl;
+
+    populateOtherTrails(page.querySelector('.finish-trails'), app.slug);
+  };
+
+  return { show };
+}
+
+// Link to the other trails listed in trails.json
+async function populateOtherTrails(section, slug) {
+  try {
+    const response = await fetch('/trails.json');
+    const trails = (await response.json()).filter(entry => entry.slug !== slug);
+    section.querySelector('.finish-trails-list').innerHTML = trails.map(entry => `
+      <a class="finish-trail" href="/${entry.slug}/">
+        <span class="finish-trail-text">
+          <span class="finish-trail-identifier">${entry.identifier}</span><br>
+          <span class="finish-trail-name">${entry.name}</span>
+        </span>
+        <span class="material-symbols-rounded">chevron_right</span>
+      </a>
+    `).join('');
+    section.classList.toggle('hidden', trails.length === 0);
+  } catch (error) {
+    section.classList.add('hidden');
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Formatting: durations, distances, walking estimates and file sizes as
+ * shown to visitors, in the language the trail is shown in. The words come
+ * from ui-strings.js through t; numbers use the language's own decimal
+ * separator.
+ */
+
+export const WALKING_SPEED = 1; // metres per second, an unhurried cemetery pace
+
+export function createFormatters(t, language) {
+  // To one decimal place, with the language's decimal separator
+  const kilometres = metres => {
+    const km = (metres / 1000).toLocaleString(language, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    return t('kilometres', { distance: km });
+  };
+
+  return {
+    kilometres,
+
+    duration(ms) {
+      const minutes = Math.max(1, Math.round(ms / 60000));
+      if (minutes < 60) return t('minutes', { minutes });
+      return t('hoursMinutes', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+    },
+
+    // To the nearest 10 m, or in km from 1 km
+    distance(metres) {
+      if (metres < 1000) return t('metres', { distance: Math.round(metres / 10) * 10 });
+      return kilometres(metres);
+    },
+
+    // A walk's length and how long it takes at WALKING_SPEED
+    walk(metres) {
+      const distance = metres < 100 ? Math.round(metres) : Math.round(metres / 10) * 10;
+      const minutes = Math.max(1, Math.round(metres / WALKING_SPEED / 60));
+      return t('walkEstimate', { distance, minutes });
+    },
+
+    bytes(bytes) {
+      if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+  };
+}
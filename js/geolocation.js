@@ -0,0 +1,107 @@
+/**
+ * Geolocation: the visitor's GPS position and the device compass, with the
+ * browser differences smoothed over. What the app does with them (the
+ * location dot, proximity, directions) is up to the caller.
+ */
+
+// A fix older than this shows as a grey dot
+const STALE_FIX_SECONDS = 30;
+
+// ui-strings.js keys for the status chip, by GeolocationPositionError code
+const GPS_ERROR_KEYS = {
+  1: 'locationOff', // PERMISSION_DENIED
+  2: 'locationUnavailable', // POSITION_UNAVAILABLE
+  3: 'locationTimeout' // TIMEOUT
+};
+
+/**
+ * The ui-strings.js key describing a GeolocationPositionError
+ */
+export function getGpsErrorKey(error) {
+  return GPS_ERROR_KEYS[error.code] || 'locationUnavailable';
+}
+
+/**
+ * Whether the latest fix, taken at lastFixAt (ms), is too old to trust
+ */
+export function isFixStale(lastFixAt, now = Date.now()) {
+  return !lastFixAt || now - lastFixAt > STALE_FIX_SECONDS * 1000;
+}
+
+/**
+ * Watch the GPS position, calling onFix(position) with each fix and
+ * onError(error) when there isn't one. Returns a function that stops
+ * watching.
+ */
+export function watchPosition({ geolocation = navigator.geolocation, onFix, onError }) {
+  if (!geolocation) return () => {};
+
+  const watchId = geolocation.watchPosition(
+    onFix,
+    onError,
+    {
+      enableHighAccuracy: true,
+      maximumAge: 5000,
+      timeout: 10000
+    }
+  );
+  return () => geolocation.clearWatch(watchId);
+}
+
+/**
+ * Compass heading from a deviceorientation event, in degrees clockwise
+ * from north relative to the top of the screen, or null if the event isn't
+ * a compass reading. screenAngle is the screen's rotation from portrait.
+ */
+export function headingFromOrientation(e, screenAngle = 0) {
+  // iOS gives a compass heading directly; elsewhere alpha is only a compass
+  // reading when the event is absolute (counter-clockwise from north)
+  let heading;
+  if (Number.isFinite(e.webkitCompassHeading)) {
+    heading = e.webkitCompassHeading;
+  } else if (e.absolute && Number.isFinite(e.alpha)) {
+    heading = 360 - e.alpha;
+  } else {
+    return null;
+  }
+
+  // Headings are relative to the top of the device, not the screen
+  return (heading + screenAngle) % 360;
+}
+
+export function hasCompass(win = window) {
+  return typeof win.DeviceOrientationEvent !== 'undefined';
+}
+
+/**
+ * iOS only grants the compass in response to a tap, through
+ * requestCompassPermission
+ */
+export function compassNeedsPermission(win = window) {
+  return hasCompass(win) && typeof win.DeviceOrientationEvent.requestPermission === 'function';
+}
+
+/**
+ * Ask for the compass; resolves with whether it was granted
+ */
+export function requestCompassPermission(win = window) {
+  return win.DeviceOrientationEvent.requestPermission()
+    .then(result => result === 'granted')
+    .catch(() => false);
+}
+
+/**
+ * Listen to the compass, calling onHeading(heading) with each reading.
+ * Returns a function that stops listening.
+ */
+export function watchCompass(onHeading, win = window) {
+  const eventName = 'ondeviceorientationabsolute' in win ? 'deviceorientationabsolute' : 'deviceorientation';
+  const listener = (e) => {
+    const screenAngle = win.screen.orientation ? win.screen.orientation.angle : (win.orientation || 0);
+    const heading = headingFromOrientation(e, screenAngle);
+    if (heading !== null) onHeading(heading);
+  };
+
+  win.addEventListener(eventName, listener);
+  return () => win.removeEventListener(eventName, listener);
+}
@@ -0,0 +1,199 @@
+/**
+ * Georeferencing: fits a transform between GPS coordinates and map pixels
+ * from surveyed control points ({ x, y, lat, lng }).
+ *
+ * Shared by the visitor app (location dot) and the admin (calibration).
+ */
+
+const EARTH_RADIUS = 6378137; // metres
+const DEG = Math.PI / 180;
+
+/**
+ * Project lat/lng onto a flat east/north plane in metres around an origin.
+ * Accurate to well under a metre over an area the size of the cemetery.
+ */
+function toLocal(lat, lng, origin) {
+  return {
+    east: (lng - origin.lng) * DEG * EARTH_RADIUS * Math.cos(origin.lat * DEG),
+    north: (lat - origin.lat) * DEG * EARTH_RADIUS
+  };
+}
+
+/**
+ * Inverse of toLocal
+ */
+function fromLocal(east, north, origin) {
+  return {
+    lat: origin.lat + north / (EARTH_RADIUS * DEG),
+    lng: origin.lng + east / (EARTH_RADIUS * DEG * Math.cos(origin.lat * DEG))
+  };
+}
+
+/**
+ * Great-circle distance in metres between two { lat, lng } points
+ */
+export function distanceMetres(a, b) {
+  const dLat = (b.lat - a.lat) * DEG;
+  const dLng = (b.lng - a.lng) * DEG;
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(a.lat * DEG) * Math.cos(b.lat * DEG) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Solve a 3x3 linear system by Cramer's rule. Returns null if singular.
+ */
+function solve3(m, r) {
+  const det3 = (c) =>
+    c[0][0] * (c[1][1] * c[2][2] - c[1][2] * c[2][1])
+    - c[0][1] * (c[1][0] * c[2][2] - c[1][2] * c[2][0])
+    + c[0][2] * (c[1][0] * c[2][1] - c[1][1] * c[2][0]);
+
+  const det = det3(m);
+  if (Math.abs(det) < 1e-9) return null;
+
+  return [0, 1, 2].map(col => {
+    const replaced = m.map((row, i) => row.map((value, j) => (j === col ? r[i] : value)));
+    return det3(replaced) / det;
+  });
+}
+
+/**
+ * Fit pixel = A·[east, north] + offset to the control points.
+ *
+ * Two points give the north-up model the app has always used: x scales with
+ * longitude and y with latitude, independently. Three or more points give a
+ * least-squares affine fit, which also absorbs rotation and skew in
+ * hand-drawn maps.
+ */
+function fitCoefficients(local) {
+  if (local.length === 2) {
+    const [p, q] = local;
+    if (Math.abs(q.east - p.east) < 1e-3 || Math.abs(q.north - p.north) < 1e-3) return null;
+    const scaleX = (q.x - p.x) / (q.east - p.east);
+    const scaleY = (q.y - p.y) / (q.north - p.north);
+    return {
+      xEast: scaleX, xNorth: 0, x0: p.x - scaleX * p.east,
+      yEast: 0, yNorth: scaleY, y0: p.y - scaleY * p.north
+    };
+  }
+
+  // Normal equations for least squares, shared by the x and y fits
+  let ee = 0, en = 0, nn = 0, e = 0, n = 0;
+  let xe = 0, xn = 0, x = 0, ye = 0, yn = 0, y = 0;
+  local.forEach(p => {
+    ee += p.east * p.east;
+    en += p.east * p.north;
+    nn += p.north * p.north;
+    e += p.east;
+    n += p.north;
+    xe += p.x * p.east;
+    xn += p.x * p.north;
+    x += p.x;
+    ye += p.y * p.east;
+    yn += p.y * p.north;
+    y += p.y;
+  });
+
+  // Points along a line (or nearly) leave the fit free to swing about it.
+  // The normal equations' determinant scales with the points' spread, so
+  // compare it to that rather than to a fixed tolerance.
+  const count = local.length;
+  const spreadEE = ee - e * e / count;
+  const spreadNN = nn - n * n / count;
+  const spreadEN = en - e * n / count;
+  if (spreadEE * spreadNN - spreadEN ** 2 <= 1e-6 * (spreadEE + spreadNN) ** 2) return null;
+
+  const normal = [[ee, en, e], [en, nn, n], [e, n, count]];
+  const xFit = solve3(normal, [xe, xn, x]);
+  const yFit = solve3(normal, [ye, yn, y]);
+  if (!xFit || !yFit) return null;
+
+  return {
+    xEast: xFit[0], xNorth: xFit[1], x0: xFit[2],
+    yEast: yFit[0], yNorth: yFit[1], y0: yFit[2]
+  };
+}
+
+/**
+ * Fit a georeference from control points.
+ *
+ * Returns null when there aren't enough usable points. Otherwise returns:
+ *   method         - 'linear' (two points) or 'affine' (three or more)
+ *   toPixel        - (lat, lng) => { x, y }
+ *   toLatLng       - (x, y) => { lat, lng }
+ *   headingToAngle - (heading) => degrees clockwise from the top of the image
+ *                    for a compass bearing (degrees clockwise from true north)
+ *   residuals      - per control point used: { point, dx, dy, pixels, metres },
+ *                    how far the fitted transform misses that point. Points
+ *                    with missing coordinates are left out of the fit.
+ *   rmsMetres      - root-mean-square of the residuals in metres
+ *   metresPerPixel - average ground distance covered by one map pixel
+ */
+export function fitGeoreference(controlPoints) {
+  const points = (controlPoints || []).filter(p =>
+    [p.x, p.y, p.lat, p.lng].every(Number.isFinite)
+  );
+  if (points.length < 2) return null;
+
+  const origin = {
+    lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+    lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length
+  };
+  const local = points.map(p => ({ ...toLocal(p.lat, p.lng, origin), x: p.x, y: p.y }));
+
+  const c = fitCoefficients(local);
+  if (!c) return null;
+
+  const det = c.xEast * c.yNorth - c.xNorth * c.yEast;
+  if (Math.abs(det) < 1e-12) return null;
+
+  const toPixel = (lat, lng) => {
+    const { east, north } = toLocal(lat, lng, origin);
+    return {
+      x: c.xEast * east + c.xNorth * north + c.x0,
+      y: c.yEast * east + c.yNorth * north + c.y0
+    };
+  };
+
+  const toLatLng = (x, y) => {
+    const dx = x - c.x0;
+    const dy = y - c.y0;
+    const east = (c.yNorth * dx - c.xNorth * dy) / det;
+    const north = (c.xEast * dy - c.yEast * dx) / det;
+    return fromLocal(east, north, origin);
+  };
+
+  const headingToAngle = (heading) => {
+    const east = Math.sin(heading * DEG);
+    const north = Math.cos(heading * DEG);
+    const dx = c.xEast * east + c.xNorth * north;
+    const dy = c.yEast * east + c.yNorth * north;
+    return (Math.atan2(dx, -dy) / DEG + 360) % 360;
+  };
+
+  const residuals = points.map(p => {
+    const predicted = toPixel(p.lat, p.lng);
+    const dx = predicted.x - p.x;
+    const dy = predicted.y - p.y;
+    return {
+      point: p,
+      dx,
+      dy,
+      pixels: Math.hypot(dx, dy),
+      metres: distanceMetres(toLatLng(p.x, p.y), p)
+    };
+  });
+
+  const rmsMetres = Math.sqrt(residuals.reduce((sum, r) => sum + r.metres ** 2, 0) / residuals.length);
+
+  return {
+    method: points.length === 2 ? 'linear' : 'affine',
+    toPixel,
+    toLatLng,
+    headingToAngle,
+    residuals,
+    rmsMetres,
+    metresPerPixel: 1 / Math.sqrt(Math.abs(det))
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * The home page's trails and language. Trails are loaded once and shared by
+ * the trail cards, search and the combined map (see loadTrailList in
+ * trail-data.js), each in the visitor's language where it's been
+ * translated. The page's own text uses the language chosen on a trail's
+ * switcher, or the browser's, where ui-strings.js has it.
+ */
+
+import { loadTrailList } from './trail-data.js';
+import { chooseLanguage, getPreferredLanguages, localiseTrail } from './trail-translations.js';
+import { UI_STRINGS, createTranslator } from './ui-strings.js';
+
+export const homeLanguage = chooseLanguage(Object.keys(UI_STRINGS), getPreferredLanguages());
+export const t = createTranslator(homeLanguage);
+
+let trailsPromise = null;
+
+/**
+ * Resolves with [{ slug, entry, trail }], trail localised; a failed load is
+ * tried again on the next call, such as the next search once back online
+ */
+export function getHomeTrails() {
+  if (!trailsPromise) {
+    const preferred = getPreferredLanguages();
+    trailsPromise = loadTrailList().then(trails => trails.map(({ slug, entry, trail }) => ({
+      slug,
+      entry,
+      trail: trail && localiseTrail(trail, chooseLanguage(trail.languages, preferred))
+    })));
+    trailsPromise.catch(() => {
+      trailsPromise = null;
+    });
+  }
+  return trailsPromise;
+}
@@ -0,0 +1,48 @@
+/**
+ * Intro page: the trail's description, its key of features and the
+ * cemetery's history. Features some waypoints have are marked up as
+ * buttons, which the feature filter in app.js listens to.
+ *
+ * app is the trail app's context: { trail, t }.
+ */
+
+import { getFilterableFeatures } from './trail-data.js';
+import { renderMarkdown } from './markdown.js';
+
+// The intro's content doesn't change, so it's filled in once
+export function populateIntroPage(page, { trail, t }) {
+  const totalPages = trail.waypoints.length + 1; // +1 for intro
+
+  page.querySelector('.header-title').textContent = trail.shortTitle;
+  page.querySelector('.total-pages').textContent = totalPages;
+  page.querySelector('.intro-identifier').textContent = trail.identifier;
+  page.querySelector('.intro-name').textContent = trail.name;
+  page.querySelector('.intro-description').textContent = trail.description;
+
+  // Populate trail key/features. Features some waypoints have filter the maps.
+  const keyGrid = page.querySelector('.trail-key-grid');
+  const filterable = getFilterableFeatures(trail);
+  keyGrid.innerHTML = trail.features.map(feature => {
+    let extraClass = '';
+    if (feature.id === 'time') extraClass = ' trail-key-time';
+    if (feature.id === 'accessibility') extraClass = ' trail-key-accessibility';
+    const filter = filterable.includes(feature)
+      ? ` data-filter-feature="${feature.id}" role="button" tabindex="0" aria-pressed="false"`
+      : '';
+    return `
+    <li class="trail-key-item${extraClass}"${filter}>
+      ${feature.iconColour
+        ? `<div class="trail-key-icon" style="background-color: ${feature.iconColour}; -webkit-mask-image: url('../../images/${feature.icon}'); mask-image: url('../../images/${feature.icon}');"></div>`
+        : `<div class="trail-key-icon"><img src="../../images/${feature.icon}" alt=""></div>`}
+      <div class="trail-key-text">
+        <div class="trail-key-item-title">${feature.title}</div>
+        ${feature.description ? `<div class="trail-key-item-description">${feature.description}</div>` : ''}
+      </div>
+    </li>
+  `;
+  }).join('');
+
+  // Populate cemetery description, with its headings below the page's h2
+  const descriptionHtml = renderMarkdown(trail.cemeteryDescription, { headingLevel: 3 });
+  page.querySelector('.cemetery-description').innerHTML = `<h2>${t('fulhamCemetery')}</h2>` + descriptionHtml;
+}
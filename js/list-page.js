@@ -0,0 +1,101 @@
+/**
+ * Waypoint list page: every waypoint the feature filter shows on one
+ * scrolling page, as an alternative to paging through them. It can be
+ * sorted in trail order or, on georeferenced trails once there's a GPS
+ * fix, by distance from the visitor, re-sorting as they walk.
+ *
+ * app is the trail app's context: { trail, t, format, progress,
+ * canSortByDistance, getLocation, distanceToWaypoint, isWaypointShown,
+ * navigateTo }.
+ */
+
+import { getThumbnailPath, getWaypointFeatures } from './trail-data.js';
+
+export function createListPage(page, app) {
+  const { trail, t } = app;
+  const list = page.querySelector('.waypoint-list');
+  let sort = 'trail'; // 'trail' or 'distance'
+
+  // Apply the filter, visited ticks, distances and sort order to the list
+  const update = () => {
+    const waypoints = trail.waypoints;
+    const location = app.getLocation();
+
+    page.querySelectorAll('.list-sort-btn').forEach(btn => {
+      btn.setAttribute('aria-pressed', btn.dataset.sort === sort);
+    });
+
+    const entries = [...list.children].map(entry => {
+      const waypointIndex = parseInt(entry.dataset.waypointIndex, 10);
+      const waypoint = waypoints[waypointIndex - 1];
+      const distance = location ? app.distanceToWaypoint(location, waypointIndex) : Infinity;
+      entry.classList.toggle('hidden', !app.isWaypointShown(waypoint));
+      entry.classList.toggle('visited', app.progress.isVisited(waypoint));
+      entry.querySelector('.waypoint-list-distance').textContent = Number.isFinite(distance) ? app.format.distance(distance) : '';
+      return { entry, waypointIndex, distance };
+    });
+
+    const byDistance = sort === 'distance' && location;
+    entries.sort((a, b) => (byDistance ? a.distance - b.distance : 0) || a.waypointIndex - b.waypointIndex);
+    // Only move entries when the order has changed, so scrolling isn't disturbed
+    if (entries.some(({ entry }, i) => list.children[i] !== entry)) {
+      entries.forEach(({ entry }) => list.appendChild(entry));
+    }
+
+    const shown = entries.filter(({ entry }) => !entry.classList.contains('hidden')).length;
+    let status = shown === waypoints.length
+      ? t('waypointCount', { count: shown })
+      : t('waypointsShown', { count: shown, total: waypoints.length });
+    if (sort === 'distance' && !location) status = t('findingLocation');
+    page.querySelector('.list-status').textContent = status;
+  };
+
+  // Fill in every waypoint, then bring them up to date
+  const show = () => {
+    page.querySelector('.header-title').textContent = trail.shortTitle;
+
+    list.innerHTML = trail.waypoints.map(waypoint => {
+      const hasPhotos = waypoint.photos && waypoint.photos.length > 0;
+      return `
+      <li class="waypoint-list-entry" data-waypoint-index="${waypoint.index}">
+        <button class="waypoint-list-item" data-waypoint-index="${waypoint.index}">
+          <span class="waypoint-list-thumb">
+            ${hasPhotos ? `<img src="${getThumbnailPath(waypoint, waypoint.photos[0])}" alt="" loading="lazy">` : ''}
+            <span class="waypoint-list-marker" style="background-color: ${waypoint.markerColour}; color: ${waypoint.markerTextColour || '#FFFFFF'}">${waypoint.markerSymbol}</span>
+          </span>
+          <span class="waypoint-list-text">
+            <span class="waypoint-list-title"></span>
+            <span class="waypoint-list-features">
+              ${getWaypointFeatures(trail, waypoint).map(feature => feature.iconColour
+                ? `<span class="waypoint-list-feature-icon" title="${feature.title}" style="background-color: ${feature.iconColour}; -webkit-mask-image: url('../../images/${feature.icon}'); mask-image: url('../../images/${feature.icon}');"></span>`
+                : `<span class="waypoint-list-feature-icon" title="${feature.title}"><img src="../../images/${feature.icon}" alt=""></span>`).join('')}
+            </span>
+          </span>
+          <span class="waypoint-list-distance"></span>
+        </button>
+      </li>
+    `;
+    }).join('');
+
+    list.querySelectorAll('.waypoint-list-title').forEach((title, i) => {
+      title.textContent = trail.waypoints[i].title;
+    });
+
+    update();
+  };
+
+  page.querySelectorAll('.list-sort-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      sort = btn.dataset.sort;
+      update();
+    });
+  });
+  page.querySelector('.list-sort-btn[data-sort="distance"]').disabled = !app.canSortByDistance;
+
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('.waypoint-list-item');
+    if (item) app.navigateTo(parseInt(item.dataset.waypointIndex, 10));
+  });
+
+  return { show, update };
+}
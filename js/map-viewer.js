@@ -0,0 +1,163 @@
+/**
+ * Map viewer: an illustrated map with markers that can be panned and
+ * zoomed, used for the trail maps and the home page's combined map.
+ *
+ * It works on existing markup:
+ *   .map-container > .map-viewport > .map-content >
+ *     img.map-base, img.map-route (optional), .map-markers
+ *
+ * The viewer is also the map's view state ({ x, y, scale, minScale,
+ * maxScale, mapWidth, mapHeight }), updated in place, so callers can keep
+ * their own properties on it. Markers and the location dot are
+ * counter-scaled so they stay the same size on screen.
+ */
+
+import { getMinScale, constrainMapPosition, centreOn, isPointInView } from './pan-zoom.js';
+import { attachPanZoom, animateTransform } from './pan-zoom-gestures.js';
+
+const MAX_SCALE = 1; // Full resolution
+
+/**
+ * Create a viewer for the map in container. onInteract is called as the
+ * visitor starts moving the map by hand. Hammer is passed on to
+ * attachPanZoom, defaulting to the window's global.
+ */
+export function createMapViewer(container, { onInteract = () => {}, Hammer } = {}) {
+  const viewport = container.querySelector('.map-viewport');
+  const content = container.querySelector('.map-content');
+  const mapBase = container.querySelector('.map-base');
+  const mapRoute = container.querySelector('.map-route');
+  const markersContainer = container.querySelector('.map-markers');
+  let gestures = null;
+
+  const viewer = {
+    container,
+    markersContainer,
+    x: 0,
+    y: 0,
+    scale: 0, // Zero until the map has loaded
+    minScale: 0,
+    maxScale: MAX_SCALE,
+    mapWidth: 0,
+    mapHeight: 0,
+
+    /**
+     * Load the map image, and the route overlay if given, and place the
+     * map. size is the map's size in pixels, which markers are laid out
+     * against, falling back to the image's own size. The map starts
+     * zoomFactor times fully zoomed out, centred on the map point centre
+     * if given. Resolves once the map is placed.
+     */
+    show({ src, routeSrc = null, size = null, zoomFactor = 1, centre = null }) {
+      if (mapRoute && routeSrc) {
+        // Route overlay is same size as map, no offset needed
+        mapRoute.src = routeSrc;
+        mapRoute.style.left = '0';
+        mapRoute.style.top = '0';
+      }
+
+      mapBase.src = src;
+      const loaded = mapBase.complete && mapBase.naturalWidth
+        ? Promise.resolve()
+        : new Promise(resolve => { mapBase.onload = resolve; });
+
+      return loaded.then(() => {
+        place(size && size.width && size.height
+          ? size
+          : { width: mapBase.naturalWidth, height: mapBase.naturalHeight }, zoomFactor, centre);
+        return viewer;
+      });
+    },
+
+    /**
+     * Add a marker at a map point. With href the marker is a link.
+     */
+    addMarker(pos, { symbol = '', colour, textColour = '#FFFFFF', href = null }) {
+      const marker = container.ownerDocument.createElement(href ? 'a' : 'div');
+      marker.className = 'map-marker';
+      if (href) marker.href = href;
+
+      // Position marker - coordinates are relative to map origin
+      marker.style.left = `${pos.x}px`;
+      marker.style.top = `${pos.y}px`;
+      if (viewer.scale) marker.style.transform = `translate(-50%, -50%) scale(${1 / viewer.scale})`;
+
+      marker.innerHTML = `<div class="map-marker-circle" style="background-color: ${colour}; color: ${textColour}"></div>`;
+      marker.firstElementChild.textContent = symbol;
+
+      markersContainer.appendChild(marker);
+      return marker;
+    },
+
+    clearMarkers() {
+      markersContainer.querySelectorAll('.map-marker').forEach(marker => marker.remove());
+    },
+
+    /**
+     * Whether a map point is on screen, at least margin pixels inside the
+     * viewport's edges
+     */
+    isInView(point, margin = 0) {
+      const rect = viewport.getBoundingClientRect();
+      return isPointInView(viewer, point, rect.width, rect.height, margin);
+    },
+
+    /**
+     * Pan (and zoom) smoothly to centre a map point, as far as the map's
+     * edges allow
+     */
+    animateTo(point, scale = viewer.scale) {
+      const rect = viewport.getBoundingClientRect();
+      const target = centreOn(point, scale, rect.width, rect.height);
+      constrainMapPosition(target, rect.width, rect.height, viewer.mapWidth, viewer.mapHeight);
+      animateTransform(content, () => {
+        Object.assign(viewer, target);
+        render();
+      });
+    },
+
+    render
+  };
+
+  function render() {
+    const { x, y, scale } = viewer;
+    content.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+
+    // Counter-scale markers and user location dot so they stay at fixed screen size
+    const counterScale = 1 / scale;
+    markersContainer.querySelectorAll('.map-marker, .user-location').forEach(element => {
+      element.style.transform = `translate(-50%, -50%) scale(${counterScale})`;
+    });
+  }
+
+  function place({ width: mapWidth, height: mapHeight }, zoomFactor, centre) {
+    mapBase.style.width = `${mapWidth}px`;
+    mapBase.style.height = `${mapHeight}px`;
+
+    const rect = viewport.getBoundingClientRect();
+    const minScale = getMinScale(rect.width, rect.height, mapWidth, mapHeight);
+    const scale = minScale * zoomFactor;
+
+    // Without a centre, start at the left with the map panned up a quarter
+    // of the viewport
+    const start = centre
+      ? centreOn(centre, scale, rect.width, rect.height)
+      : { scale, x: 0, y: -rect.height * 0.25 };
+    Object.assign(viewer, start, { minScale, mapWidth, mapHeight });
+    constrainMapPosition(viewer, rect.width, rect.height, mapWidth, mapHeight);
+    render();
+
+    if (!gestures) {
+      gestures = attachPanZoom(viewport, viewer, {
+        constrain: (view, r) => constrainMapPosition(view, r.width, r.height, viewer.mapWidth, viewer.mapHeight),
+        render,
+        getMinScale: r => getMinScale(r.width, r.height, viewer.mapWidth, viewer.mapHeight),
+        maxScale: MAX_SCALE,
+        onInteract,
+        Hammer
+      });
+    }
+  }
+
+  return viewer;
+}
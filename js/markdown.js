@@ -0,0 +1,402 @@
+/**
+ * Markdown for the text in trail.json: a subset of CommonMark covering
+ * paragraphs, line breaks, headings, bullet and numbered lists (not nested),
+ * blockquotes, rules, bold, italic, code, links and images. An image on a
+ * line of its own becomes a figure, captioned with its title:
+ *   ![The chapel in 1900](photos/chapel.jpg "The chapel before the bombing")
+ *
+ * Text is parsed into a tree and HTML is only ever written from that tree,
+ * so the output is safe to assign to innerHTML: every tag comes from the
+ * list above, all text is escaped, and raw HTML in the source shows as
+ * typed. Links and images whose URLs have a scheme outside an allowlist
+ * (javascript:, data: and the like) lose their URL and keep their text.
+ */
+
+const LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const IMAGE_SCHEMES = ['http', 'https'];
+
+// Characters a backslash makes literal
+const ESCAPABLE = '\\`*_{}[]()#+-.!<>|"\'~';
+
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^ {0,3}([-*+]|(\d{1,9})[.)])[ \t]+(.*)$/;
+const BLANK = /^[ \t]*$/;
+
+// [text](url "title"), allowing one level of brackets in the text and of
+// parentheses in the URL, as in Wikipedia links
+const LINK = /^\[((?:\\.|[^\\[\]]|\[(?:\\.|[^\\[\]])*\])*)\]\([ \t\n]*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:[ \t\n]+("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'))?[ \t\n]*\)/;
+const AUTOLINK = /^<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*)>/i;
+const CODE = /^(`+)(?!`)([\s\S]*?[^`])\1(?!`)/;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function unescapeBackslashes(text) {
+  return text.replace(/\\(.)/g, (match, char) => (ESCAPABLE.includes(char) ? char : match));
+}
+
+/**
+ * The URL if it's relative or its scheme is allowed, otherwise null.
+ * Browsers ignore whitespace and control characters in a scheme
+ * ("java\tscript:"), so they're ignored here too.
+ */
+function safeUrl(url, schemes) {
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\u0000-\u0020\u007F]/g, ''));
+  if (!scheme) return url;
+  return schemes.includes(scheme[1].toLowerCase()) ? url : null;
+}
+
+// Inline parsing
+
+function isSpace(char) {
+  return char === undefined || /\s/.test(char);
+}
+
+function isWordChar(char) {
+  return char !== undefined && /[\p{L}\p{N}]/u.test(char);
+}
+
+function runLength(text, i) {
+  let end = i;
+  while (text[end] === text[i]) end++;
+  return end - i;
+}
+
+// Index of the run of exactly delimiter that closes emphasis opened before
+// from, or -1. Closers follow a non-space; _ closers can't be mid-word.
+function findCloser(text, from, delimiter) {
+  let j = from;
+  while (j < text.length) {
+    j = text.indexOf(delimiter[0], j);
+    if (j === -1) return -1;
+    const length = runLength(text, j);
+    const closes = length === delimiter.length && j > from && !isSpace(text[j - 1]) && text[j - 1] !== '\\' &&
+      (delimiter[0] !== '_' || !isWordChar(text[j + length]));
+    if (closes) return j;
+    j += length;
+  }
+  return -1;
+}
+
+// Emphasis opened by the run of * or _ at i, as { literal, node, length }
+// where literal is any of the run left over, as in "***bold**"
+function parseEmphasis(text, i) {
+  const char = text[i];
+  const length = runLength(text, i);
+  if (isSpace(text[i + length]) || (char === '_' && isWordChar(text[i - 1]))) return null;
+
+  for (let size = Math.min(length, 3); size > 0; size--) {
+    const delimiter = char.repeat(size);
+    const start = i + length; // Content starts after the whole run
+    const close = findCloser(text, start, delimiter);
+    if (close === -1) continue;
+
+    const children = parseInline(text.slice(start, close));
+    const node = size === 3
+      ? { type: 'em', children: [{ type: 'strong', children }] }
+      : { type: size === 2 ? 'strong' : 'em', children };
+    return { literal: char.repeat(length - size), node, length: close + size - i };
+  }
+  return null;
+}
+
+function parseLink(text, i, isImage) {
+  const match = LINK.exec(text.slice(isImage ? i + 1 : i));
+  if (!match) return null;
+
+  let url = match[2];
+  if (url.startsWith('<')) url = url.slice(1, -1);
+  const node = {
+    url: unescapeBackslashes(url),
+    title: match[3] ? unescapeBackslashes(match[3].slice(1, -1)) : ''
+  };
+  if (isImage) {
+    Object.assign(node, { type: 'image', alt: toText(parseInline(match[1])) });
+  } else {
+    Object.assign(node, { type: 'link', children: parseInline(match[1]) });
+  }
+  return [node, match[0].length + (isImage ? 1 : 0)];
+}
+
+/**
+ * Parse a paragraph's text into inline nodes: text, strong, em, code,
+ * link, image and break
+ */
+function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+  const push = (node) => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+    nodes.push(node);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    let parsed = null;
+
+    if (char === '\\' && text[i + 1] === '\n') {
+      push({ type: 'break' });
+      i += 2;
+      continue;
+    }
+    if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+    if (char === '\n') {
+      // Two or more spaces before a newline make a line break; otherwise
+      // it's a soft break, shown as a space
+      const hard = / {2,}$/.test(buffer);
+      buffer = buffer.replace(/ +$/, '');
+      if (hard) push({ type: 'break' });
+      else buffer += '\n';
+      i++;
+      while (text[i] === ' ' || text[i] === '\t') i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const match = CODE.exec(text.slice(i));
+      if (match) parsed = [{ type: 'code', value: match[2].replace(/\n/g, ' ') }, match[0].length];
+      else {
+        // An unclosed run of backticks is literal, all of it
+        const length = runLength(text, i);
+        buffer += text.slice(i, i + length);
+        i += length;
+        continue;
+      }
+    } else if (char === '!' && text[i + 1] === '[') {
+      parsed = parseLink(text, i, true);
+    } else if (char === '[') {
+      parsed = parseLink(text, i, false);
+    } else if (char === '<') {
+      const match = AUTOLINK.exec(text.slice(i));
+      if (match) parsed = [{ type: 'link', url: match[1], title: '', children: [{ type: 'text', value: match[1] }] }, match[0].length];
+    } else if (char === '*' || char === '_') {
+      const emphasis = parseEmphasis(text, i);
+      if (emphasis) {
+        buffer += emphasis.literal;
+        parsed = [emphasis.node, emphasis.length];
+      } else {
+        const length = runLength(text, i);
+        buffer += text.slice(i, i + length);
+        i += length;
+        continue;
+      }
+    }
+
+    if (parsed) {
+      push(parsed[0]);
+      i += parsed[1];
+    } else {
+      buffer += char;
+      i++;
+    }
+  }
+
+  if (buffer) nodes.push({ type: 'text', value: buffer });
+  return nodes;
+}
+
+// Block parsing
+
+function isBlockStart(line) {
+  const item = LIST_ITEM.exec(line);
+  // Only lists starting at 1 can interrupt a paragraph, so a line like
+  // "1865. The chapel opens" carries on the paragraph before it
+  const listStart = item && !BLANK.test(item[3]) && (!item[2] || item[2] === '1');
+  return HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || Boolean(listStart);
+}
+
+// Marker type of a list item: the bullet character, or the numbered
+// list's delimiter
+function listMarker(match) {
+  return match[2] ? match[1].slice(-1) : match[1];
+}
+
+function parseList(lines, i) {
+  const first = LIST_ITEM.exec(lines[i]);
+  const marker = listMarker(first);
+  const list = {
+    type: 'list',
+    ordered: Boolean(first[2]),
+    start: first[2] ? parseInt(first[2], 10) : 1,
+    items: []
+  };
+
+  while (i < lines.length) {
+    const match = LIST_ITEM.exec(lines[i]);
+    if (!match || listMarker(match) !== marker) break;
+
+    const itemLines = [match[3]];
+    i++;
+    // Continuation lines, until a blank line or the next item or block
+    while (i < lines.length && !BLANK.test(lines[i]) && !isBlockStart(lines[i]) && !LIST_ITEM.test(lines[i])) {
+      itemLines.push(lines[i].trim());
+      i++;
+    }
+    list.items.push(parseInline(itemLines.join('\n').trim()));
+
+    // A blank line between items keeps the list going
+    let next = i;
+    while (next < lines.length && BLANK.test(lines[next])) next++;
+    const nextItem = next < lines.length && LIST_ITEM.exec(lines[next]);
+    if (!nextItem || listMarker(nextItem) !== marker) break;
+    i = next;
+  }
+  return [list, i];
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    if (BLANK.test(line)) {
+      i++;
+    } else if ((match = HEADING.exec(line))) {
+      blocks.push({ type: 'heading', depth: match[1].length, children: parseInline(match[2] || '') });
+      i++;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && (match = QUOTE.exec(lines[i]))) {
+        quoted.push(match[1]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+    } else if ((match = LIST_ITEM.exec(line)) && !BLANK.test(match[3])) {
+      let list;
+      [list, i] = parseList(lines, i);
+      blocks.push(list);
+    } else {
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && !BLANK.test(lines[i]) && !isBlockStart(lines[i])) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      const children = parseInline(paragraph.join('\n').replace(/[ \t]+$/, ''));
+      // An image on its own is a figure
+      if (children.length === 1 && children[0].type === 'image') {
+        blocks.push({ type: 'figure', image: children[0] });
+      } else {
+        blocks.push({ type: 'paragraph', children });
+      }
+    }
+  }
+  return blocks;
+}
+
+function parse(text) {
+  return parseBlocks((text || '').replace(/\r\n?/g, '\n').split('\n'));
+}
+
+// Rendering
+
+function renderImage(image) {
+  const src = safeUrl(image.url, IMAGE_SCHEMES);
+  if (src === null) return escapeHtml(image.alt);
+  return `<img src="${escapeHtml(src)}" alt="${escapeHtml(image.alt)}" loading="lazy">`;
+}
+
+function renderInline(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text': return escapeHtml(node.value);
+      case 'strong': return `<strong>${renderInline(node.children)}</strong>`;
+      case 'em': return `<em>${renderInline(node.children)}</em>`;
+      case 'code': return `<code>${escapeHtml(node.value)}</code>`;
+      case 'break': return '<br>';
+      case 'image': return renderImage(node);
+      case 'link': {
+        const href = safeUrl(node.url, LINK_SCHEMES);
+        if (href === null) return renderInline(node.children);
+        const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+        // Web links open in a new tab so the trail stays open
+        const target = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${escapeHtml(href)}"${title}${target}>${renderInline(node.children)}</a>`;
+      }
+      default: return '';
+    }
+  }).join('');
+}
+
+function renderBlocks(blocks, headingLevel) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'paragraph': return `<p>${renderInline(block.children)}</p>`;
+      case 'heading': {
+        const level = Math.min(6, headingLevel + block.depth - 1);
+        return `<h${level}>${renderInline(block.children)}</h${level}>`;
+      }
+      case 'rule': return '<hr>';
+      case 'blockquote': return `<blockquote>${renderBlocks(block.children, headingLevel)}</blockquote>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        return `<${tag}${start}>${block.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`;
+      }
+      case 'figure': {
+        const { image } = block;
+        if (safeUrl(image.url, IMAGE_SCHEMES) === null) return `<p>${escapeHtml(image.alt)}</p>`;
+        const caption = image.title ? `<figcaption>${escapeHtml(image.title)}</figcaption>` : '';
+        return `<figure>${renderImage(image)}${caption}</figure>`;
+      }
+      default: return '';
+    }
+  }).join('');
+}
+
+/**
+ * Render Markdown as HTML that's safe to assign to innerHTML. headingLevel
+ * sets the element for #, so text under a page's own h2 can start at h3.
+ */
+export function renderMarkdown(text, { headingLevel = 1 } = {}) {
+  return renderBlocks(parse(text), headingLevel);
+}
+
+function toText(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text': return node.value;
+      case 'code': return node.value;
+      case 'break': return '\n';
+      case 'image': return node.alt;
+      default: return toText(node.children || []);
+    }
+  }).join('');
+}
+
+/**
+ * The plain text of some Markdown, with blocks separated by blank lines,
+ * for search and anywhere else markup would get in the way
+ */
+export function markdownToText(text) {
+  const blockText = (block) => {
+    switch (block.type) {
+      case 'blockquote': return block.children.map(blockText).join('\n\n');
+      case 'list': return block.items.map(toText).join('\n');
+      case 'figure': return block.image.title || block.image.alt;
+      case 'rule': return '';
+      default: return toText(block.children);
+    }
+  };
+  return parse(text).map(blockText).filter(Boolean).join('\n\n');
+}
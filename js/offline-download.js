@@ -0,0 +1,144 @@
+/**
+ * Offline download: saving a whole trail before setting off, rather than
+ * relying on the service worker picking files up as they're viewed. Files
+ * go into the same per-trail cache sw.js serves from, plus a marker entry
+ * recording the finished download, which the home page checks for its
+ * "available offline" badge. Removing the download deletes the whole trail
+ * cache.
+ *
+ * Before downloading, the trail's size is added up from HEAD requests, so
+ * visitors on a data plan know what they're in for. The size is kept in
+ * localStorage and only measured again when the trail's files change.
+ *
+ * caches, fetch and storage default to the window's, and can be passed in
+ * for tests.
+ */
+
+const TRAIL_CACHE_PREFIX = 'fc-trails-trail-'; // Must match sw.js
+const OFFLINE_MARKER = 'offline-download';
+const DOWNLOAD_CONCURRENCY = 4;
+
+export function getTrailCacheName(slug) {
+  return TRAIL_CACHE_PREFIX + slug;
+}
+
+function getMarkerUrl(slug) {
+  return `/${slug}/${OFFLINE_MARKER}`;
+}
+
+// Run task on each file, a few at a time
+async function forEachFile(files, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < files.length) await task(files[next++]);
+  };
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+}
+
+/**
+ * The trail's saved download ({ files, fileCount, bytes, downloadedAt }),
+ * or null if it hasn't been downloaded
+ */
+export async function getOfflineDownload(slug, { caches = globalThis.caches } = {}) {
+  if (!caches || !(await caches.has(getTrailCacheName(slug)))) return null;
+  const cache = await caches.open(getTrailCacheName(slug));
+  const marker = await cache.match(getMarkerUrl(slug));
+  return marker ? marker.json() : null;
+}
+
+// Deletes everything cached for the trail, not just the downloaded files
+export async function removeOfflineDownload(slug, { caches = globalThis.caches } = {}) {
+  await caches.delete(getTrailCacheName(slug));
+}
+
+// The total size of the files from their Content-Length headers, or null if
+// any file's size couldn't be found (such as when offline), rather than an
+// undercount. Files missing from the server count as 0, as the download
+// skips them.
+async function measureDownloadSize(files, fetchFile) {
+  let bytes = 0;
+  let known = true;
+  await forEachFile(files, async (file) => {
+    if (!known) return;
+    try {
+      const response = await fetchFile(file, { method: 'HEAD' });
+      const length = parseInt(response.headers.get('Content-Length'), 10);
+      if (response.ok && length >= 0) {
+        bytes += length;
+      } else if (response.status !== 404) {
+        known = false;
+      }
+    } catch (error) {
+      known = false;
+    }
+  });
+  return known ? bytes : null;
+}
+
+/**
+ * The files' total download size in bytes, measured once for this list of
+ * files, or null if it couldn't be measured
+ */
+export async function getDownloadSize(slug, files, { fetch: fetchFile = globalThis.fetch, storage } = {}) {
+  const key = `trail-download-size-${slug}`;
+  const getStorage = () => storage || globalThis.localStorage;
+  try {
+    const saved = JSON.parse(getStorage().getItem(key));
+    if (saved && saved.files.join('\n') === files.join('\n')) return saved.bytes;
+  } catch (error) {
+    // Measured again below
+  }
+
+  const bytes = await measureDownloadSize(files, fetchFile);
+  if (bytes !== null) {
+    try {
+      getStorage().setItem(key, JSON.stringify({ files, bytes }));
+    } catch (error) {
+      // Storage may be full or disabled; the size is measured again next time
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Fetch and cache every file, a few at a time, calling onProgress(done,
+ * total, bytes) after each. Files missing from the server (404) are
+ * skipped; any other failure stops the download and rejects. Resolves with
+ * the saved download (see getOfflineDownload).
+ */
+export async function downloadTrail(slug, files, onProgress, {
+  caches = globalThis.caches, fetch: fetchFile = globalThis.fetch
+} = {}) {
+  const cache = await caches.open(getTrailCacheName(slug));
+  let done = 0;
+  let fileCount = 0;
+  let bytes = 0;
+  let failed = false;
+
+  await forEachFile(files, async (file) => {
+    if (failed) return;
+    try {
+      // 'reload' gets the current file rather than the worker's cached copy
+      const response = await fetchFile(file, { cache: 'reload' });
+      if (response.ok) {
+        const blob = await response.blob();
+        await cache.put(file, new Response(blob, { headers: response.headers }));
+        fileCount++;
+        bytes += blob.size;
+      } else if (response.status !== 404) {
+        throw new Error(`${file}: HTTP ${response.status}`);
+      }
+    } catch (error) {
+      failed = true;
+      throw error;
+    }
+    done++;
+    onProgress(done, files.length, bytes);
+  });
+
+  const download = { files, fileCount, bytes, downloadedAt: new Date().toISOString() };
+  await cache.put(getMarkerUrl(slug), new Response(JSON.stringify(download), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+  return download;
+}
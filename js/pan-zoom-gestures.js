@@ -0,0 +1,135 @@
+/**
+ * Pan and zoom gestures, shared by the maps and the photo overlay: touch
+ * (Hammer.js pan and pinch), mouse drag and the scroll wheel. The maths is
+ * in pan-zoom.js; this wires it to the DOM.
+ *
+ * Hammer.js is loaded as a global from its CDN; pass it in as the Hammer
+ * option to use another copy, such as in tests.
+ */
+
+import { zoomAround } from './pan-zoom.js';
+
+const ANIMATION_MS = 400;
+
+/**
+ * Pan and zoom a view ({ x, y, scale }) with gestures on surface. After
+ * each change the view is passed through constrain(view, rect) and then
+ * render(view), where rect is the surface's current bounding rect.
+ * getMinScale(rect) and maxScale bound zooming, and onInteract is called as
+ * the visitor starts moving the view themselves. Hammer defaults to the
+ * window's global.
+ *
+ * Returns { destroy }, which removes the gestures again.
+ */
+export function attachPanZoom(surface, view, {
+  constrain, render, getMinScale, maxScale, onInteract = () => {},
+  Hammer = surface.ownerDocument.defaultView.Hammer
+}) {
+  const win = surface.ownerDocument.defaultView;
+
+  const update = (rect) => {
+    constrain(view, rect);
+    render(view);
+  };
+
+  const moveTo = (x, y) => {
+    view.x = x;
+    view.y = y;
+    update(surface.getBoundingClientRect());
+  };
+
+  // Zoom towards a point given in client coordinates
+  const zoomTo = (scale, clientX, clientY) => {
+    const rect = surface.getBoundingClientRect();
+    zoomAround(view, scale, clientX - rect.left, clientY - rect.top, getMinScale(rect), maxScale);
+    update(rect);
+  };
+
+  const hammer = new Hammer.Manager(surface, {
+    recognizers: [
+      [Hammer.Pan, { direction: Hammer.DIRECTION_ALL }],
+      [Hammer.Pinch, { enable: true }]
+    ]
+  });
+
+  let startScale, startX, startY;
+
+  hammer.on('panstart pinchstart', () => {
+    onInteract();
+    startScale = view.scale;
+    startX = view.x;
+    startY = view.y;
+  });
+
+  hammer.on('panmove', (e) => moveTo(startX + e.deltaX, startY + e.deltaY));
+  hammer.on('pinchmove', (e) => zoomTo(startScale * e.scale, e.center.x, e.center.y));
+
+  // Mouse drag for desktop panning
+  let isDragging = false;
+  let dragStartX, dragStartY, dragStartViewX, dragStartViewY;
+
+  const onMouseDown = (e) => {
+    if (e.button !== 0) return; // Only left mouse button
+    isDragging = true;
+    onInteract();
+    dragStartX = e.clientX;
+    dragStartY = e.clientY;
+    dragStartViewX = view.x;
+    dragStartViewY = view.y;
+    surface.style.cursor = 'grabbing';
+    e.preventDefault();
+  };
+
+  const onMouseMove = (e) => {
+    if (!isDragging) return;
+    moveTo(dragStartViewX + (e.clientX - dragStartX), dragStartViewY + (e.clientY - dragStartY));
+  };
+
+  const onMouseUp = () => {
+    isDragging = false;
+    surface.style.cursor = 'grab';
+  };
+
+  // Scroll wheel for desktop zooming, towards the mouse position
+  const onWheel = (e) => {
+    e.preventDefault();
+    onInteract();
+    const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+    zoomTo(view.scale * zoomFactor, e.clientX, e.clientY);
+  };
+
+  surface.addEventListener('mousedown', onMouseDown);
+  surface.addEventListener('wheel', onWheel, { passive: false });
+  win.addEventListener('mousemove', onMouseMove);
+  win.addEventListener('mouseup', onMouseUp);
+  surface.style.cursor = 'grab';
+
+  return {
+    destroy() {
+      hammer.destroy();
+      surface.removeEventListener('mousedown', onMouseDown);
+      surface.removeEventListener('wheel', onWheel);
+      win.removeEventListener('mousemove', onMouseMove);
+      win.removeEventListener('mouseup', onMouseUp);
+      surface.style.cursor = '';
+    }
+  };
+}
+
+/**
+ * Run render with a short CSS transform transition on element
+ */
+export function animateTransform(element, render) {
+  // Clear any existing transition, then force a reflow before applying new one
+  element.style.transition = '';
+  element.offsetHeight; // Force reflow
+
+  element.style.transition = `transform ${ANIMATION_MS / 1000}s ease-out`;
+  render();
+
+  // Remove transition after animation completes (setTimeout is more
+  // reliable than transitionend which can fire early from bubbling)
+  setTimeout(() => {
+    element.style.transition = '';
+  }, ANIMATION_MS + 20);
+}
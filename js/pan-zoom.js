@@ -0,0 +1,116 @@
+/**
+ * Pan and zoom maths for the maps and the photo overlay, kept free of the
+ * DOM so it can be unit tested.
+ *
+ * A view is a plain object { x, y, scale }: the content is drawn at
+ * translate(x, y) scale(scale) from its top-left corner, inside a viewport
+ * of the given size. Functions that change a view update it in place, so
+ * callers can keep their own properties on it.
+ */
+
+// Below the scale that exactly covers the viewport, so a fully zoomed out
+// map is centred rather than pinned to an edge
+const MIN_MAP_SCALE_FACTOR = 0.98;
+
+// Photos can be zoomed to full resolution or three times the cover scale,
+// whichever is larger
+const PHOTO_ZOOM_FACTOR = 3;
+
+/**
+ * Smallest scale a map can be zoomed out to: just under the scale at which
+ * it covers the viewport
+ */
+export function getMinScale(viewportWidth, viewportHeight, mapWidth, mapHeight) {
+  return Math.max(viewportWidth / mapWidth, viewportHeight / mapHeight) * MIN_MAP_SCALE_FACTOR;
+}
+
+/**
+ * Scales for a photo: { minScale } shows the whole photo (contain),
+ * { defaultScale } fills the viewport (cover) and { maxScale } is the most
+ * it can be zoomed in
+ */
+export function getPhotoScales(viewportWidth, viewportHeight, imageWidth, imageHeight) {
+  const minScale = Math.min(viewportWidth / imageWidth, viewportHeight / imageHeight);
+  const coverScale = Math.max(viewportWidth / imageWidth, viewportHeight / imageHeight);
+  return {
+    minScale,
+    defaultScale: coverScale,
+    maxScale: Math.max(1, coverScale * PHOTO_ZOOM_FACTOR)
+  };
+}
+
+// Clamp the view so the content covers the viewport, or is centred in it
+// along any axis where it is smaller
+function constrainView(view, viewportWidth, viewportHeight, contentWidth, contentHeight) {
+  const scaledWidth = contentWidth * view.scale;
+  const scaledHeight = contentHeight * view.scale;
+
+  let minX, maxX, minY, maxY;
+
+  if (scaledWidth <= viewportWidth) {
+    minX = maxX = (viewportWidth - scaledWidth) / 2;
+  } else {
+    minX = viewportWidth - scaledWidth;
+    maxX = 0;
+  }
+
+  if (scaledHeight <= viewportHeight) {
+    minY = maxY = (viewportHeight - scaledHeight) / 2;
+  } else {
+    minY = viewportHeight - scaledHeight;
+    maxY = 0;
+  }
+
+  view.x = Math.max(minX, Math.min(maxX, view.x));
+  view.y = Math.max(minY, Math.min(maxY, view.y));
+}
+
+/**
+ * Keep a map's view within the map
+ */
+export function constrainMapPosition(mapState, viewportWidth, viewportHeight, mapWidth, mapHeight) {
+  constrainView(mapState, viewportWidth, viewportHeight, mapWidth, mapHeight);
+}
+
+/**
+ * Keep a photo's view within the photo. photoZoom carries the photo's
+ * imageWidth and imageHeight.
+ */
+export function constrainPhotoPosition(photoZoom, viewportWidth, viewportHeight) {
+  constrainView(photoZoom, viewportWidth, viewportHeight, photoZoom.imageWidth, photoZoom.imageHeight);
+}
+
+/**
+ * Zoom to newScale, clamped between minScale and maxScale, keeping the
+ * viewport point (px, py) fixed on screen
+ */
+export function zoomAround(view, newScale, px, py, minScale, maxScale) {
+  const scale = Math.max(minScale, Math.min(maxScale, newScale));
+  const scaleDiff = scale / view.scale;
+  view.x = px - (px - view.x) * scaleDiff;
+  view.y = py - (py - view.y) * scaleDiff;
+  view.scale = scale;
+}
+
+/**
+ * The view at the given scale with a content point in the middle of the
+ * viewport
+ */
+export function centreOn(point, scale, viewportWidth, viewportHeight) {
+  return {
+    scale,
+    x: (viewportWidth / 2) - (point.x * scale),
+    y: (viewportHeight / 2) - (point.y * scale)
+  };
+}
+
+/**
+ * Whether a content point is on screen, at least margin pixels inside the
+ * viewport's edges
+ */
+export function isPointInView(view, point, viewportWidth, viewportHeight, margin = 0) {
+  const screenX = point.x * view.scale + view.x;
+  const screenY = point.y * view.scale + view.y;
+  return screenX >= margin && screenX <= viewportWidth - margin
+    && screenY >= margin && screenY <= viewportHeight - margin;
+}
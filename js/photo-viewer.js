@@ -0,0 +1,142 @@
+/**
+ * Photo viewer: the overlay that shows a waypoint's photos full size, one
+ * at a time, with pinch/drag/wheel zoom. Photos start filling the viewport
+ * and can be zoomed out to show the whole photo.
+ *
+ * It works on the existing #photo-overlay markup. onOpen and onClose are
+ * called as the overlay is shown and hidden, and photoCountText(count)
+ * gives the title bar's text. Hammer is passed on to attachPanZoom,
+ * defaulting to the window's global.
+ */
+
+import { getPhotoScales, constrainPhotoPosition } from './pan-zoom.js';
+import { attachPanZoom } from './pan-zoom-gestures.js';
+
+const defaultPhotoCountText = count => `${count} photo${count !== 1 ? 's' : ''}`;
+
+export function createPhotoViewer(overlay, {
+  onOpen = () => {}, onClose = () => {}, photoCountText = defaultPhotoCountText, Hammer
+} = {}) {
+  const win = overlay.ownerDocument.defaultView;
+  const content = overlay.querySelector('.photo-overlay-content');
+  const image = overlay.querySelector('.photo-overlay-image');
+  const prevBtn = overlay.querySelector('.photo-overlay-nav.prev');
+  const nextBtn = overlay.querySelector('.photo-overlay-nav.next');
+  const indicators = overlay.querySelector('.photo-overlay-indicators');
+
+  let photos = [];
+  let photoIndex = 0;
+  let zoom = null; // { x, y, scale, minScale, maxScale, imageWidth, imageHeight, gestures }
+
+  function isOpen() {
+    return overlay.classList.contains('visible');
+  }
+
+  /**
+   * Show the overlay with the first of a list of photo URLs
+   */
+  function open(photoUrls) {
+    photos = photoUrls;
+    photoIndex = 0;
+    overlay.querySelector('.photo-overlay-photo-count').textContent = photoCountText(photos.length);
+    showPhoto();
+    overlay.classList.add('visible');
+    onOpen();
+  }
+
+  function close() {
+    overlay.classList.remove('visible');
+    destroyZoom();
+    onClose();
+  }
+
+  function navigate(direction) {
+    const newIndex = photoIndex + direction;
+    if (newIndex >= 0 && newIndex < photos.length) {
+      photoIndex = newIndex;
+      showPhoto();
+    }
+  }
+
+  function showPhoto() {
+    // Reset transform before loading new image
+    image.style.transform = '';
+    image.src = photos[photoIndex];
+
+    // Initialize zoom/pan after image loads
+    if (image.complete && image.naturalWidth) {
+      setupZoom();
+    } else {
+      image.onload = setupZoom;
+    }
+
+    prevBtn.disabled = photoIndex === 0;
+    nextBtn.disabled = photoIndex === photos.length - 1;
+
+    indicators.innerHTML = photos.map((_, i) =>
+      `<div class="photo-overlay-indicator ${i === photoIndex ? 'active' : ''}"></div>`
+    ).join('');
+  }
+
+  function render() {
+    const { x, y, scale } = zoom;
+    image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    image.style.transformOrigin = '0 0';
+  }
+
+  function destroyZoom() {
+    if (zoom) zoom.gestures.destroy();
+    zoom = null;
+  }
+
+  function setupZoom() {
+    const imageWidth = image.naturalWidth;
+    const imageHeight = image.naturalHeight;
+    if (!imageWidth || !imageHeight) return;
+
+    // Wait for overlay to be visible and have dimensions
+    const attemptSetup = () => {
+      const rect = content.getBoundingClientRect();
+
+      // If overlay isn't visible yet or has no dimensions, try again next frame
+      if (!isOpen() || rect.width === 0 || rect.height === 0) {
+        win.requestAnimationFrame(attemptSetup);
+        return;
+      }
+
+      // Start centred, filling the viewport
+      const { minScale, defaultScale, maxScale } = getPhotoScales(rect.width, rect.height, imageWidth, imageHeight);
+      destroyZoom();
+      zoom = {
+        scale: defaultScale,
+        x: (rect.width - imageWidth * defaultScale) / 2,
+        y: (rect.height - imageHeight * defaultScale) / 2,
+        minScale,
+        maxScale,
+        imageWidth,
+        imageHeight
+      };
+      render();
+
+      zoom.gestures = attachPanZoom(content, zoom, {
+        constrain: (view, r) => constrainPhotoPosition(view, r.width, r.height),
+        render,
+        getMinScale: () => minScale,
+        maxScale,
+        Hammer
+      });
+    };
+
+    win.requestAnimationFrame(attemptSetup);
+  }
+
+  // Close on backdrop or titlebar click
+  overlay.querySelector('.photo-overlay-backdrop').addEventListener('click', close);
+  overlay.querySelector('.photo-overlay-titlebar').addEventListener('click', close);
+
+  // Navigation
+  prevBtn.addEventListener('click', () => navigate(-1));
+  nextBtn.addEventListener('click', () => navigate(1));
+
+  return { open, close, navigate, isOpen };
+}
@@ -0,0 +1,251 @@
+/**
+ * Walking routes: turns a trail's route.svg into a graph of paths in map
+ * pixels, and finds the shortest walk between two points along it.
+ */
+
+const CURVE_STEPS = 8; // Line segments per Bézier curve
+const MAX_SEGMENT = 10; // Pixels; longer lines are split so crossings can be found
+const JOIN_DISTANCE = 20; // Pixels; path points this close are treated as connected
+
+/**
+ * Flatten SVG path data into polylines, one per subpath
+ */
+export function parsePathData(d) {
+  const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+  const polylines = [];
+  let line = null;
+  let command = null;
+  let x = 0, y = 0;
+  let startX = 0, startY = 0;
+  let i = 0;
+
+  const num = () => parseFloat(tokens[i++]);
+  const moveTo = (nx, ny) => {
+    x = startX = nx;
+    y = startY = ny;
+    line = [{ x, y }];
+    polylines.push(line);
+  };
+  const lineTo = (nx, ny) => {
+    x = nx;
+    y = ny;
+    line.push({ x, y });
+  };
+  const curveTo = (points) => {
+    const [p0, ...controls] = [{ x, y }, ...points];
+    for (let step = 1; step <= CURVE_STEPS; step++) {
+      const t = step / CURVE_STEPS;
+      // De Casteljau: repeatedly interpolate between neighbouring points
+      let pts = [p0, ...controls];
+      while (pts.length > 1) {
+        pts = pts.slice(1).map((p, j) => ({
+          x: pts[j].x + (p.x - pts[j].x) * t,
+          y: pts[j].y + (p.y - pts[j].y) * t
+        }));
+      }
+      line.push(pts[0]);
+    }
+    x = points[points.length - 1].x;
+    y = points[points.length - 1].y;
+  };
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) command = tokens[i++];
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (command.toUpperCase()) {
+      case 'M':
+        moveTo(ox + num(), oy + num());
+        command = relative ? 'l' : 'L'; // Further pairs are implicit lines
+        break;
+      case 'L':
+        lineTo(ox + num(), oy + num());
+        break;
+      case 'H':
+        lineTo(ox + num(), y);
+        break;
+      case 'V':
+        lineTo(x, oy + num());
+        break;
+      case 'C':
+        curveTo([
+          { x: ox + num(), y: oy + num() },
+          { x: ox + num(), y: oy + num() },
+          { x: ox + num(), y: oy + num() }
+        ]);
+        break;
+      case 'Q':
+        curveTo([
+          { x: ox + num(), y: oy + num() },
+          { x: ox + num(), y: oy + num() }
+        ]);
+        break;
+      case 'Z':
+        lineTo(startX, startY);
+        break;
+      default:
+        // Arcs and smooth curves aren't used by the route artwork
+        return polylines;
+    }
+  }
+  return polylines;
+}
+
+/**
+ * Read the walking paths from route.svg: the stroked paths, which excludes
+ * the filled label lettering. Coordinates are scaled from the viewBox to
+ * the image's own size, which is how the map draws it.
+ */
+export function parseRouteSvg(svgText) {
+  const svg = new DOMParser().parseFromString(svgText, 'image/svg+xml').documentElement;
+  const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const [vx = 0, vy = 0, vw, vh] = viewBox.length === 4 ? viewBox : [];
+  const scaleX = vw ? parseFloat(svg.getAttribute('width')) / vw || 1 : 1;
+  const scaleY = vh ? parseFloat(svg.getAttribute('height')) / vh || 1 : 1;
+
+  return [...svg.querySelectorAll('path[stroke]')]
+    .flatMap(path => parsePathData(path.getAttribute('d') || ''))
+    .map(line => line.map(p => ({ x: (p.x - vx) * scaleX, y: (p.y - vy) * scaleY })));
+}
+
+/**
+ * Build a graph from route polylines. Returns { nodes, edges, segments }:
+ * nodes are { x, y }, edges[n] lists { to, length } and segments are the
+ * [a, b] node pairs drawn in the artwork, used for snapping.
+ */
+export function buildRouteGraph(polylines) {
+  const nodes = [];
+  const edges = [];
+  const segments = [];
+
+  const addNode = (p) => {
+    nodes.push(p);
+    edges.push([]);
+    return nodes.length - 1;
+  };
+  const connect = (a, b) => {
+    const length = Math.hypot(nodes[a].x - nodes[b].x, nodes[a].y - nodes[b].y);
+    edges[a].push({ to: b, length });
+    edges[b].push({ to: a, length });
+  };
+
+  polylines.forEach(line => {
+    let previous = null;
+    line.forEach(point => {
+      if (previous !== null) {
+        const from = nodes[previous];
+        const pieces = Math.ceil(Math.hypot(point.x - from.x, point.y - from.y) / MAX_SEGMENT);
+        for (let k = 1; k <= pieces; k++) {
+          const node = addNode({
+            x: from.x + (point.x - from.x) * (k / pieces),
+            y: from.y + (point.y - from.y) * (k / pieces)
+          });
+          connect(previous, node);
+          segments.push([previous, node]);
+          previous = node;
+        }
+      } else {
+        previous = addNode({ ...point });
+      }
+    });
+  });
+
+  // Join paths where they meet or cross. Neighbours along the same path are
+  // joined too, which only shortcuts by less than JOIN_DISTANCE.
+  for (let a = 0; a < nodes.length; a++) {
+    for (let b = a + 1; b < nodes.length; b++) {
+      if (Math.abs(nodes[a].x - nodes[b].x) > JOIN_DISTANCE) continue;
+      if (Math.hypot(nodes[a].x - nodes[b].x, nodes[a].y - nodes[b].y) <= JOIN_DISTANCE) {
+        connect(a, b);
+      }
+    }
+  }
+
+  return { nodes, edges, segments };
+}
+
+/**
+ * Nearest point on the route to p: { point, a, b, toA, toB, offRoute }, where
+ * toA/toB are the distances along the segment to its ends
+ */
+function snapToRoute(graph, p) {
+  let best = null;
+  graph.segments.forEach(([a, b]) => {
+    const A = graph.nodes[a];
+    const B = graph.nodes[b];
+    const dx = B.x - A.x;
+    const dy = B.y - A.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - A.x) * dx + (p.y - A.y) * dy) / lengthSq)) : 0;
+    const point = { x: A.x + dx * t, y: A.y + dy * t };
+    const offRoute = Math.hypot(p.x - point.x, p.y - point.y);
+    if (!best || offRoute < best.offRoute) {
+      const length = Math.sqrt(lengthSq);
+      best = { point, a, b, toA: length * t, toB: length * (1 - t), offRoute };
+    }
+  });
+  return best;
+}
+
+/**
+ * Shortest walk along the route from one map point to another. Returns
+ * { points, length } in map pixels, including the steps on and off the
+ * route, or null if the route doesn't connect them.
+ */
+export function findRoute(graph, from, to) {
+  if (!graph.segments.length) return null;
+
+  const start = snapToRoute(graph, from);
+  const end = snapToRoute(graph, to);
+  const lead = [from, start.point];
+  const tail = [end.point, to];
+
+  // Both ends on the same segment: walk straight along it
+  if (start.a === end.a && start.b === end.b) {
+    return {
+      points: [...lead, ...tail],
+      length: start.offRoute + Math.abs(start.toA - end.toA) + end.offRoute
+    };
+  }
+
+  // Dijkstra from the start's segment ends. The graph is a few thousand
+  // nodes at most, so a linear scan for the next node is fast enough.
+  const dist = new Array(graph.nodes.length).fill(Infinity);
+  const previous = new Array(graph.nodes.length).fill(-1);
+  const done = new Array(graph.nodes.length).fill(false);
+  dist[start.a] = start.toA;
+  dist[start.b] = Math.min(dist[start.b], start.toB);
+
+  for (;;) {
+    let current = -1;
+    for (let n = 0; n < dist.length; n++) {
+      if (!done[n] && dist[n] < Infinity && (current === -1 || dist[n] < dist[current])) current = n;
+    }
+    if (current === -1) break;
+    done[current] = true;
+    if (done[end.a] && done[end.b]) break;
+
+    graph.edges[current].forEach(({ to: next, length }) => {
+      if (dist[current] + length < dist[next]) {
+        dist[next] = dist[current] + length;
+        previous[next] = current;
+      }
+    });
+  }
+
+  const viaA = dist[end.a] + end.toA;
+  const viaB = dist[end.b] + end.toB;
+  if (!Number.isFinite(Math.min(viaA, viaB))) return null;
+
+  const path = [];
+  for (let n = viaA <= viaB ? end.a : end.b; n !== -1; n = previous[n]) {
+    path.unshift(graph.nodes[n]);
+  }
+
+  return {
+    points: [...lead, ...path, ...tail],
+    length: start.offRoute + Math.min(viaA, viaB) + end.offRoute
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Routing for a trail's pages. Each trail is a single page app under
+ * /{slug}/: the cover at /{slug}/, then /intro, /list, /finish and /{n} for
+ * waypoint n. Any query (such as the feature filter) is kept on every page.
+ */
+
+const NAMED_PAGES = ['intro', 'list', 'finish'];
+
+/**
+ * The trail's base path (e.g. /tree-trail) from a URL path
+ */
+export function getTrailBasePath(pathname) {
+  const match = pathname.match(/^(\/[^/]+)/);
+  return match ? match[1] : '/tree-trail';
+}
+
+/**
+ * The page a URL path shows: 'cover', a named page, or a waypoint index
+ */
+export function parsePage(pathname) {
+  const parts = pathname.split('/').filter(Boolean);
+  const lastPart = parts[parts.length - 1];
+
+  if (NAMED_PAGES.includes(lastPart)) return lastPart;
+  if (/^\d+$/.test(lastPart)) return parseInt(lastPart, 10);
+  return 'cover';
+}
+
+export function getUrlForPage(base, page, query = '') {
+  return page === 'cover' ? `${base}/${query}` : `${base}/${page}${query}`;
+}
+
+/**
+ * Which way the page slides in going from one page to another: 'left'
+ * further along the trail, 'right' back towards the cover
+ */
+export function getNavigationDirection(from, to, waypointCount) {
+  const pageOrder = (page) => {
+    if (page === 'cover') return -1;
+    if (page === 'intro' || page === 'list') return 0;
+    if (page === 'finish') return waypointCount + 1;
+    return page;
+  };
+  return pageOrder(to) > pageOrder(from) ? 'left' : 'right';
+}
+
+/**
+ * Keep the browser's URL and history in step with the page shown.
+ * onRoute(page, search) is called from start() for the initial URL, and on
+ * back and forward.
+ */
+export function createRouter({ window: win = window, onRoute }) {
+  const base = getTrailBasePath(win.location.pathname);
+
+  const route = () => onRoute(parsePage(win.location.pathname), win.location.search);
+
+  return {
+    base,
+
+    start() {
+      // 404.html on GitHub Pages stores the path it was asked for and
+      // redirects here; put it back without adding a history entry
+      const redirectPath = win.sessionStorage.getItem('spa-redirect-path');
+      if (redirectPath) {
+        win.sessionStorage.removeItem('spa-redirect-path');
+        win.history.replaceState(null, '', redirectPath);
+      }
+      route();
+      win.addEventListener('popstate', route);
+    },
+
+    // A new history entry for a page
+    push(page, query) {
+      win.history.pushState({ page }, '', getUrlForPage(base, page, query));
+    },
+
+    // Rewrite the current entry, such as when the query changes
+    replace(page, query) {
+      win.history.replaceState(win.history.state, '', getUrlForPage(base, page, query));
+    }
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Full-text search across trails: an index of every trail's intro and
+ * waypoints, built in the browser from the trail.json files, with fuzzy
+ * matching and highlighted snippets.
+ *
+ * Titles, features and body text are searched with different weights. Each
+ * word of the query has to match a word in the document, exactly, as the
+ * start of a longer word, or within a small edit distance for typos.
+ */
+
+import { markdownToText } from './markdown.js';
+
+const FIELD_WEIGHTS = { title: 3, features: 2, text: 1 };
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, fuzzy: 0.5 };
+const MIN_PREFIX_LENGTH = 2; // Shorter query words must match exactly
+const SNIPPET_CONTEXT = 60; // Characters either side of the first match
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip accents, so "Ashburnham" matches "ashburnham" and
+// "Bronte" matches "Brontë"
+function normalise(word) {
+  return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Words with their positions in the original text, for highlighting
+function tokenise(text) {
+  return [...text.matchAll(WORD_PATTERN)].map(match => ({
+    term: normalise(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+// Titles of a waypoint's features, with any per-waypoint title overrides
+function getFeatureText(trail, entries) {
+  return entries.map(entry => {
+    const feature = trail.features.find(f => f.id === entry.id);
+    const title = entry.title || (feature && feature.title) || '';
+    const description = entry.description || '';
+    return [title, description].filter(Boolean).join(' ');
+  }).filter(Boolean).join(', ');
+}
+
+function createDocument(url, trailName, fields) {
+  const tokens = {};
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    fields[field] = fields[field] || '';
+    tokens[field] = tokenise(fields[field]);
+  });
+  return { url, trailName, fields, tokens };
+}
+
+/**
+ * Build the index from [{ slug, trail }], where trail is the trail.json
+ * upgraded to the current format (see trail-migrations.js). Results link
+ * to /{slug}/intro and /{slug}/{index}.
+ */
+export function buildSearchIndex(trails) {
+  const documents = [];
+
+  trails.forEach(({ slug, trail }) => {
+    documents.push(createDocument(`/${slug}/intro`, trail.name, {
+      title: trail.name,
+      features: trail.features.map(feature => feature.title).join(', '),
+      text: [trail.description, markdownToText(trail.cemeteryDescription)].filter(Boolean).join('\n\n')
+    }));
+
+    trail.waypoints.forEach((waypoint, i) => {
+      documents.push(createDocument(`/${slug}/${i + 1}`, trail.name, {
+        title: waypoint.title,
+        features: getFeatureText(trail, waypoint.features),
+        text: markdownToText(waypoint.description)
+      }));
+    });
+  });
+
+  // Every distinct word, so each query word is only compared with it once
+  const terms = new Set();
+  documents.forEach(doc => {
+    Object.values(doc.tokens).forEach(tokens => tokens.forEach(({ term }) => terms.add(term)));
+  });
+
+  return { documents, terms };
+}
+
+/**
+ * Levenshtein distance between two words, giving up once it is certain to
+ * exceed max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query word: none for short words, more for long ones
+function allowedEdits(queryTerm) {
+  if (queryTerm.length < 4) return 0;
+  return queryTerm.length < 8 ? 1 : 2;
+}
+
+/**
+ * How well an indexed word matches a query word: a MATCH_QUALITY value, or 0
+ */
+function matchTerm(queryTerm, term) {
+  if (term === queryTerm) return MATCH_QUALITY.exact;
+  if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) return MATCH_QUALITY.prefix;
+  const edits = allowedEdits(queryTerm);
+  if (edits && editDistance(queryTerm, term, edits) <= edits) return MATCH_QUALITY.fuzzy;
+  return 0;
+}
+
+/**
+ * Split text into { text, match } segments, marking the given ranges
+ */
+function highlight(text, ranges) {
+  const segments = [];
+  let position = 0;
+  ranges.forEach(({ start, end }) => {
+    if (start < position) return;
+    if (start > position) segments.push({ text: text.slice(position, start), match: false });
+    segments.push({ text: text.slice(start, end), match: true });
+    position = end;
+  });
+  if (position < text.length) segments.push({ text: text.slice(position), match: false });
+  return segments;
+}
+
+// A short extract of the text around its first match, or from its start if
+// nothing matched, cut at word breaks
+function makeSnippet(text, ranges) {
+  const anchor = ranges[0] || { start: 0, end: 0 };
+  let start = Math.max(0, anchor.start - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, anchor.end + SNIPPET_CONTEXT * 2);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < anchor.start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > anchor.end) end = space;
+  }
+
+  const shifted = ranges
+    .filter(range => range.start >= start && range.end <= end)
+    .map(range => ({ start: range.start - start, end: range.end - start }));
+  const segments = highlight(text.slice(start, end), shifted);
+
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
+/**
+ * Search the index. Returns up to limit results, best first, as
+ * { url, trailName, score, title, snippet }, where title and snippet are
+ * { text, match } segments for highlighting.
+ */
+export function search(index, query, limit = 20) {
+  const queryTerms = [...new Set(tokenise(query).map(token => token.term))];
+  if (!queryTerms.length) return [];
+
+  // For each query word, the indexed words it matches and how well
+  const matches = queryTerms.map(queryTerm => {
+    const matched = new Map();
+    index.terms.forEach(term => {
+      const quality = matchTerm(queryTerm, term);
+      if (quality) matched.set(term, quality);
+    });
+    return matched;
+  });
+
+  const results = [];
+  index.documents.forEach((doc, docIndex) => {
+    let score = 0;
+    const matchedTerms = new Set();
+
+    const everyWordMatches = matches.every(matched => {
+      let best = 0;
+      Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        doc.tokens[field].forEach(({ term }) => {
+          const quality = matched.get(term);
+          if (!quality) return;
+          matchedTerms.add(term);
+          best = Math.max(best, quality * weight);
+        });
+      });
+      score += best;
+      return best > 0;
+    });
+    if (!everyWordMatches) return;
+
+    // The snippet comes from the text, or the features if only they matched
+    const rangesIn = field => doc.tokens[field].filter(token => matchedTerms.has(token.term));
+    const snippetField = !rangesIn('text').length && rangesIn('features').length ? 'features' : 'text';
+    results.push({
+      docIndex,
+      url: doc.url,
+      trailName: doc.trailName,
+      score,
+      title: highlight(doc.fields.title, rangesIn('title')),
+      snippet: makeSnippet(doc.fields[snippetField], rangesIn(snippetField))
+    });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.docIndex - b.docIndex)
+    .slice(0, limit)
+    .map(({ docIndex, ...result }) => result);
+}
@@ -0,0 +1,115 @@
+/**
+ * Trail data: loading a trail's trail.json and route.svg, or every trail
+ * for the home page, and the paths of the files a trail refers to.
+ *
+ * Paths are built from the trail's base: '.' from the trail's own pages, or
+ * '/{slug}' where a full path is needed (caching, the Media Session).
+ */
+
+import { fitGeoreference } from './georeference.js';
+import { parseRouteSvg, buildRouteGraph } from './route.js';
+import { migrateTrail } from './trail-migrations.js';
+
+/**
+ * Load trail.json, upgraded to the current format (see trail-migrations.js).
+ * Resolves with { trail, georeference, waypointLocations }: the trail, the
+ * fitted GPS <-> map pixel transform, or null if the trail has none, and
+ * the GPS position of each waypoint's markers (empty without one).
+ *
+ * Once the service worker is running it answers with its cached copy
+ * straight away and revalidates in the background, posting 'trail-updated'
+ * if the file has changed. Otherwise cache: 'no-cache' makes the browser
+ * revalidate its HTTP cache — GitHub Pages serves with max-age=600, so
+ * users would see ~10-minute-stale content after admin edits — while
+ * unchanged files still come back as a cheap 304.
+ */
+export async function loadTrail(base = '.', { fetch: fetchFile = globalThis.fetch } = {}) {
+  const response = await fetchFile(`${base}/trail.json`, { cache: 'no-cache' });
+  const trail = migrateTrail(await response.json());
+  const georeference = fitGeoreference(trail.georeference && trail.georeference.controlPoints);
+  const waypointLocations = georeference
+    ? trail.waypoints.map(waypoint =>
+      waypoint.markerPositions.map(pos => georeference.toLatLng(pos.x, pos.y)))
+    : [];
+  return { trail, georeference, waypointLocations };
+}
+
+/**
+ * Load every trail listed in trails.json. Resolves with [{ slug, entry,
+ * trail }] in the list's order: entry is the trail's trails.json entry and
+ * trail its trail.json upgraded to the current format, or null if it
+ * couldn't be loaded (offline before the trail was opened, say).
+ */
+export async function loadTrailList(base = '.', { fetch: fetchFile = globalThis.fetch } = {}) {
+  const response = await fetchFile(`${base}/trails.json`, { cache: 'no-cache' });
+  const entries = await response.json();
+  return Promise.all(entries.map(async entry => {
+    try {
+      const trailResponse = await fetchFile(`${base}/${entry.slug}/trail.json`, { cache: 'no-cache' });
+      return { slug: entry.slug, entry, trail: migrateTrail(await trailResponse.json()) };
+    } catch (error) {
+      return { slug: entry.slug, entry, trail: null };
+    }
+  }));
+}
+
+/**
+ * Load the walking paths from route.svg as a graph for directions (see
+ * route.js). Resolves with null if the trail has no route.
+ */
+export async function loadRouteGraph(base = '.', { fetch: fetchFile = globalThis.fetch } = {}) {
+  const response = await fetchFile(`${base}/route.svg`);
+  if (!response.ok) return null;
+  return buildRouteGraph(parseRouteSvg(await response.text()));
+}
+
+export function getPhotoPath(waypoint, photo, base = '.') {
+  return `${base}/photos/${waypoint.id}/${photo}`;
+}
+
+// Thumbnails are in a thumbs/ subfolder, always .jpg
+export function getThumbnailPath(waypoint, photo, base = '.') {
+  const thumbName = photo.replace(/\.[^.]+$/, '.jpg');
+  return `${base}/photos/${waypoint.id}/thumbs/${thumbName}`;
+}
+
+export function getAudioPath(waypoint, base = '.') {
+  return `${base}/audio/${waypoint.id}/${waypoint.audio}`;
+}
+
+/**
+ * Every file the trail needs: trail.json, map, route, photos and
+ * thumbnails, and audio guide narration
+ */
+export function getTrailFiles(trail, base) {
+  const files = [`${base}/trail.json`, `${base}/map.png`, `${base}/route.svg`];
+  trail.waypoints.forEach(waypoint => {
+    waypoint.photos.forEach(photo => {
+      files.push(getPhotoPath(waypoint, photo, base));
+      files.push(getThumbnailPath(waypoint, photo, base));
+    });
+    if (waypoint.audio) files.push(getAudioPath(waypoint, base));
+  });
+  return files;
+}
+
+/**
+ * A waypoint's features from the trail's list, with any per-waypoint
+ * title/description overrides applied
+ */
+export function getWaypointFeatures(trail, waypoint) {
+  return waypoint.features.map(entry => {
+    const trailFeature = trail.features.find(f => f.id === entry.id);
+    if (!trailFeature) return null;
+    return { ...trailFeature, title: entry.title || trailFeature.title, description: entry.description || trailFeature.description };
+  }).filter(Boolean);
+}
+
+// Features worth filtering the maps by: ones some waypoints have, but not all
+export function getFilterableFeatures(trail) {
+  const waypoints = trail.waypoints;
+  return trail.features.filter(feature => {
+    const count = waypoints.filter(waypoint => waypoint.features.some(entry => entry.id === feature.id)).length;
+    return count > 0 && count < waypoints.length;
+  });
+}
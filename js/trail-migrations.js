@@ -0,0 +1,62 @@
+/**
+ * trail.json format versions. Each file records the version it was written
+ * in as schemaVersion (files from before versioning have none, and count as
+ * version 1). Trails are upgraded to the current version as they're loaded,
+ * by the visitor app, the home page and the admin CMS, so the rest of the
+ * code only ever sees the current shape; the admin writes it back on save.
+ *
+ * To change the format, bump CURRENT_SCHEMA_VERSION, add a migration from
+ * the previous version to MIGRATIONS, and update trail.schema.json.
+ */
+
+export const CURRENT_SCHEMA_VERSION = 3;
+
+// MIGRATIONS[n] upgrades a trail from version n + 1 to n + 2, in place
+const MIGRATIONS = [
+  // 1 -> 2: waypoint features are always { id } objects, with the optional
+  // title/description overrides, rather than either that or a bare id; and
+  // waypoints always have their list fields
+  (trail) => {
+    trail.features = trail.features || [];
+    trail.waypoints = (trail.waypoints || []).map(waypoint => ({
+      ...waypoint,
+      markerPositions: waypoint.markerPositions || [],
+      features: (waypoint.features || []).map(entry => (typeof entry === 'string' ? { id: entry } : entry)),
+      photos: waypoint.photos || []
+    }));
+  },
+
+  // 2 -> 3: translated content (see trail-translations.js). Existing trails
+  // are in English.
+  (trail) => {
+    trail.languages = trail.languages || ['en'];
+    trail.translations = trail.translations || {};
+  }
+];
+
+export function getSchemaVersion(trail) {
+  return trail.schemaVersion === undefined ? 1 : trail.schemaVersion;
+}
+
+/**
+ * Upgrade a parsed trail.json to the current version. Returns a new object,
+ * leaving trail as it was; a trail already at the current version comes back
+ * unchanged. Throws if the trail is from a newer version than this code
+ * knows, as reading it could lose whatever changed.
+ */
+export function migrateTrail(trail) {
+  const version = getSchemaVersion(trail);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`trail.json has an invalid schemaVersion: ${JSON.stringify(trail.schemaVersion)}`);
+  }
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`trail.json is schema version ${version}, but this version of the app only reads up to ${CURRENT_SCHEMA_VERSION}`);
+  }
+
+  const migrated = structuredClone(trail);
+  MIGRATIONS.slice(version - 1).forEach(migrate => migrate(migrated));
+
+  // Keep schemaVersion first in the file
+  const { schemaVersion, ...fields } = migrated;
+  return { schemaVersion: CURRENT_SCHEMA_VERSION, ...fields };
+}
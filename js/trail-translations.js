@@ -0,0 +1,194 @@
+/**
+ * Translated trail content. A trail's text fields are written in its main
+ * language, the first of trail.languages, and trail.translations holds the
+ * other languages' versions keyed by language and then by where the text
+ * is, for example
+ *
+ *   "translations": {
+ *     "fr": {
+ *       "trail": { "name": "Sentier des arbres" },
+ *       "features": { "oak": { "title": "Chêne" } },
+ *       "waypoints": { "id01": { "title": "…", "features": { "accessibility": { "description": "…" } } } }
+ *     }
+ *   }
+ *
+ * Anything not translated falls back to the main language. Features and
+ * waypoints are found by id, so reordering waypoints keeps their
+ * translations. Shared by the visitor app and the admin CMS.
+ */
+
+const TRAIL_FIELDS = ['identifier', 'name', 'shortTitle', 'description', 'cemeteryDescription'];
+const FEATURE_FIELDS = ['title', 'description'];
+const WAYPOINT_FIELDS = ['title', 'description'];
+
+/**
+ * Every text in the trail that can be translated, as { path, text } with
+ * the main language text. Paths name where the text is, and are the same
+ * in trail.translations[language]:
+ *   ['trail', field]
+ *   ['features', featureId, field]
+ *   ['waypoints', waypointId, field]
+ *   ['waypoints', waypointId, 'features', featureId, field] (a waypoint's
+ *     own title or description for one of its features)
+ * Empty fields are left out, as there's nothing to translate.
+ */
+export function listTranslatableTexts(trail) {
+  const texts = [];
+  const add = (path, text) => {
+    if (text) texts.push({ path, text });
+  };
+
+  TRAIL_FIELDS.forEach(field => add(['trail', field], trail[field]));
+  trail.features.forEach(feature => {
+    FEATURE_FIELDS.forEach(field => add(['features', feature.id, field], feature[field]));
+  });
+  trail.waypoints.forEach(waypoint => {
+    WAYPOINT_FIELDS.forEach(field => add(['waypoints', waypoint.id, field], waypoint[field]));
+    waypoint.features.forEach(entry => {
+      FEATURE_FIELDS.forEach(field => add(['waypoints', waypoint.id, 'features', entry.id, field], entry[field]));
+    });
+  });
+  return texts;
+}
+
+export function getMainLanguage(trail) {
+  return trail.languages[0];
+}
+
+/**
+ * The translation of the text at path, or '' if there isn't one
+ */
+export function getTranslation(trail, language, path) {
+  const value = path.reduce((node, key) => (node ? node[key] : undefined), trail.translations[language]);
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Set the translation of the text at path. An empty value removes it, along
+ * with any objects left empty, so untranslated text stays out of the file.
+ */
+export function setTranslation(trail, language, path, value) {
+  if (value) {
+    let node = trail.translations[language] = trail.translations[language] || {};
+    path.slice(0, -1).forEach(key => {
+      node = node[key] = node[key] || {};
+    });
+    node[path[path.length - 1]] = value;
+    return;
+  }
+
+  const removeFrom = (node, keys) => {
+    if (!node || typeof node !== 'object') return;
+    const [key, ...rest] = keys;
+    if (rest.length) removeFrom(node[key], rest);
+    if (!rest.length || (node[key] && !Object.keys(node[key]).length)) delete node[key];
+  };
+  removeFrom(trail.translations, [language, ...path]);
+}
+
+/**
+ * Remove every language's translations at path, such as ['waypoints', id]
+ * for a deleted waypoint
+ */
+export function removeTranslations(trail, path) {
+  Object.keys(trail.translations).forEach(language => setTranslation(trail, language, path, ''));
+}
+
+/**
+ * Paths of the texts that have no translation into language
+ */
+export function getMissingTranslations(trail, language) {
+  if (language === getMainLanguage(trail)) return [];
+  return listTranslatableTexts(trail)
+    .filter(({ path }) => !getTranslation(trail, language, path))
+    .map(({ path }) => path);
+}
+
+/**
+ * The trail with its text in language, falling back to the main language
+ * for anything untranslated. Returns a new object.
+ */
+export function localiseTrail(trail, language) {
+  const localised = structuredClone(trail);
+  if (language === getMainLanguage(trail) || !trail.translations[language]) return localised;
+
+  listTranslatableTexts(trail).forEach(({ path }) => {
+    const text = getTranslation(trail, language, path);
+    if (!text) return;
+
+    const [section, id, ...rest] = path;
+    if (section === 'trail') {
+      localised[id] = text;
+    } else if (section === 'features') {
+      localised.features.find(feature => feature.id === id)[rest[0]] = text;
+    } else {
+      const waypoint = localised.waypoints.find(w => w.id === id);
+      if (rest.length === 1) {
+        waypoint[rest[0]] = text;
+      } else {
+        waypoint.features.find(entry => entry.id === rest[1])[rest[2]] = text;
+      }
+    }
+  });
+  return localised;
+}
+
+/**
+ * Pick the language to show from the trail's languages, given the
+ * visitor's preferences in order (see getPreferredLanguages).
+ * 'fr-CA' matches 'fr'. Falls back to the trail's main language.
+ */
+export function chooseLanguage(available, preferred) {
+  const primary = code => code.toLowerCase().split('-')[0];
+  for (const code of preferred.filter(Boolean)) {
+    const exact = available.find(language => language.toLowerCase() === code.toLowerCase());
+    if (exact) return exact;
+    const close = available.find(language => primary(language) === primary(code));
+    if (close) return close;
+  }
+  return available[0];
+}
+
+// localStorage key for the language chosen with a trail's switcher
+const LANGUAGE_KEY = 'trail-language';
+
+/**
+ * The visitor's languages in order of preference, for chooseLanguage: one
+ * asked for with ?lang= (how the switcher passes its choice when it can't
+ * be saved), the switcher's saved choice, then the browser's
+ */
+export function getPreferredLanguages(win = window) {
+  let saved = null;
+  try {
+    saved = win.localStorage.getItem(LANGUAGE_KEY);
+  } catch (error) {
+    // Storage can be unavailable, e.g. in private browsing
+  }
+  const requested = new URLSearchParams(win.location.search).get('lang');
+  return [requested, saved, ...(win.navigator.languages || [win.navigator.language])];
+}
+
+/**
+ * Remember the visitor's choice of language, returning false if it
+ * couldn't be saved (Safari private browsing, or storage full)
+ */
+export function saveLanguage(language, win = window) {
+  try {
+    win.localStorage.setItem(LANGUAGE_KEY, language);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * A language's name in that language, e.g. 'Français' for 'fr'
+ */
+export function getLanguageName(code) {
+  try {
+    const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+  } catch (error) {
+    return code;
+  }
+}
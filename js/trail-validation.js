@@ -0,0 +1,242 @@
+/**
+ * trail.json validation: the JSON Schema in trail.schema.json, plus the
+ * checks a schema can't express — duplicate ids, references to features
+ * and waypoints that don't exist, and files the trail names but doesn't
+ * have. Used by the admin CMS before saving and by the build, so a broken
+ * trail fails the deploy.
+ *
+ * Trails are checked in the current format, so files are upgraded with
+ * migrateTrail (trail-migrations.js) first. Paths are the same in both.
+ *
+ * Problems are strings led by the path to the offending value, like
+ *   waypoints[4].features[1]: unknown feature "poppy2"
+ * Errors break the trail; warnings are worth fixing, but the trail still
+ * works without them.
+ */
+
+// Path to a property or array item, e.g. waypoints[4].features
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function problem(path, message) {
+  return path ? `${path}: ${message}` : message;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(type) {
+  return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Check a value against a JSON Schema, returning a list of error strings.
+ * Supports the keywords trail.schema.json uses: $ref (within the schema),
+ * type, required, properties, additionalProperties (as a schema), items,
+ * minItems, enum, minimum, maximum, exclusiveMinimum, minLength and
+ * pattern.
+ */
+export function validateSchema(value, schema, root = schema, path = '') {
+  if (schema.$ref) return validateSchema(value, resolveRef(schema.$ref, root), root, path);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [problem(path, `must be ${types.map(describeType).join(' or ')}`)];
+    }
+  }
+
+  const errors = [];
+  const fail = message => errors.push(problem(path, message));
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be more than ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`${JSON.stringify(value)} doesn't match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+    fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, root, childPath(path, i)));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(problem(childPath(path, key), 'is required'));
+    });
+    const properties = schema.properties || {};
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+      if (key in value) errors.push(...validateSchema(value[key], propertySchema, root, childPath(path, key)));
+    });
+    if (schema.additionalProperties) {
+      Object.keys(value).filter(key => !(key in properties)).forEach(key => {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, root, childPath(path, key)));
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Record each value's first path, reporting later repeats
+function findDuplicates(items, getKey, getPath, report) {
+  const seen = new Map();
+  items.forEach((item, i) => {
+    const key = getKey(item);
+    if (seen.has(key)) report(getPath(i), key, seen.get(key));
+    else seen.set(key, getPath(i));
+  });
+}
+
+/**
+ * Check references within a structurally valid trail. files, if given, is a
+ * Set of the paths present in the trail's folder (e.g.
+ * 'photos/id01/taihaku-1.jpg'), to check the photos and audio exist.
+ * Returns { errors, warnings }.
+ */
+export function checkTrailReferences(trail, { files = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const features = trail.features;
+  const waypoints = trail.waypoints;
+
+  findDuplicates(features, feature => feature.id, i => `features[${i}].id`, (path, id, firstPath) => {
+    errors.push(problem(path, `duplicate feature id "${id}", also used at ${firstPath}`));
+  });
+  findDuplicates(waypoints, waypoint => waypoint.id, i => `waypoints[${i}].id`, (path, id, firstPath) => {
+    errors.push(problem(path, `duplicate waypoint id "${id}", also used at ${firstPath}`));
+  });
+
+  const featureIds = new Set(features.map(feature => feature.id));
+  const waypointIds = new Set(waypoints.map(waypoint => waypoint.id));
+  const mapSize = trail.mapSize;
+
+  waypoints.forEach((waypoint, i) => {
+    const path = `waypoints[${i}]`;
+
+    // Pages and markers find waypoints by index, counting from 1
+    if (waypoint.index !== i + 1) {
+      errors.push(problem(`${path}.index`, `is ${waypoint.index} but the waypoint is number ${i + 1} in the list`));
+    }
+
+    waypoint.features.forEach((entry, j) => {
+      if (!featureIds.has(entry.id)) errors.push(problem(`${path}.features[${j}]`, `unknown feature "${entry.id}"`));
+    });
+    findDuplicates(waypoint.features, entry => entry.id, j => `${path}.features[${j}]`, (featurePath, id) => {
+      warnings.push(problem(featurePath, `feature "${id}" is listed more than once`));
+    });
+
+    if (!waypoint.markerPositions.length) {
+      warnings.push(problem(`${path}.markerPositions`, 'no markers, so the waypoint isn\'t on the map'));
+    }
+    if (mapSize) {
+      waypoint.markerPositions.forEach((pos, j) => {
+        if (pos.x > mapSize.width || pos.y > mapSize.height) {
+          warnings.push(problem(`${path}.markerPositions[${j}]`, `outside the ${mapSize.width}x${mapSize.height} map`));
+        }
+      });
+    }
+
+    findDuplicates(waypoint.photos, photo => photo, j => `${path}.photos[${j}]`, (photoPath, photo) => {
+      warnings.push(problem(photoPath, `photo "${photo}" is listed more than once`));
+    });
+
+    if (!files) return;
+    waypoint.photos.forEach((photo, j) => {
+      const photoFile = `photos/${waypoint.id}/${photo}`;
+      const thumbFile = `photos/${waypoint.id}/thumbs/${photo.replace(/\.[^.]+$/, '.jpg')}`;
+      if (!files.has(photoFile)) warnings.push(problem(`${path}.photos[${j}]`, `no file at ${photoFile}`));
+      if (!files.has(thumbFile)) warnings.push(problem(`${path}.photos[${j}]`, `no thumbnail at ${thumbFile}`));
+    });
+    if (waypoint.audio && !files.has(`audio/${waypoint.id}/${waypoint.audio}`)) {
+      warnings.push(problem(`${path}.audio`, `no file at audio/${waypoint.id}/${waypoint.audio}`));
+    }
+  });
+
+  const controlPoints = (trail.georeference && trail.georeference.controlPoints) || [];
+  controlPoints.forEach((point, i) => {
+    if (point.waypointId !== undefined && !waypointIds.has(point.waypointId)) {
+      warnings.push(problem(`georeference.controlPoints[${i}].waypointId`, `unknown waypoint "${point.waypointId}"`));
+    }
+  });
+
+  findDuplicates(trail.languages, language => language, i => `languages[${i}]`, (path, language, firstPath) => {
+    errors.push(problem(path, `duplicate language "${language}", also listed at ${firstPath}`));
+  });
+
+  // Translations are found by language and id, so ones that don't match
+  // anything in the trail are never shown
+  Object.entries(trail.translations).forEach(([language, translation]) => {
+    const path = `translations.${language}`;
+    if (language === trail.languages[0]) {
+      warnings.push(problem(path, `"${language}" is the main language, so these are never shown`));
+    } else if (!trail.languages.includes(language)) {
+      warnings.push(problem(path, `"${language}" isn't in languages, so visitors can't choose it`));
+    }
+
+    Object.keys(translation.features || {}).forEach(id => {
+      if (!featureIds.has(id)) warnings.push(problem(`${path}.features.${id}`, `unknown feature "${id}"`));
+    });
+    Object.entries(translation.waypoints || {}).forEach(([id, text]) => {
+      const waypoint = waypoints.find(w => w.id === id);
+      if (!waypoint) {
+        warnings.push(problem(`${path}.waypoints.${id}`, `unknown waypoint "${id}"`));
+        return;
+      }
+      Object.keys(text.features || {}).forEach(featureId => {
+        if (!waypoint.features.some(entry => entry.id === featureId)) {
+          warnings.push(problem(`${path}.waypoints.${id}.features.${featureId}`, `the waypoint doesn't have feature "${featureId}"`));
+        }
+      });
+    });
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate a parsed trail.json against the schema and then its references.
+ * The reference checks only run once the structure is valid, as they rely
+ * on it. Returns { errors, warnings }.
+ */
+export function validateTrail(trail, schema, { files = null } = {}) {
+  const errors = validateSchema(trail, schema);
+  if (errors.length) return { errors, warnings: [] };
+  return checkTrailReferences(trail, { files });
+}
@@ -0,0 +1,415 @@
+/**
+ * The visitor app's own text (buttons, labels, status messages) in each
+ * language it has been translated into. Trail content is translated in
+ * trail.json instead (see trail-translations.js).
+ *
+ * Text in the trail pages' and home page's markup is marked with
+ * data-i18n="key" (the element's text), or data-i18n-label,
+ * data-i18n-placeholder or data-i18n-alt for those attributes, and filled
+ * in by applyUiStrings. Strings can have {placeholders}. Anything missing from
+ * a language falls back to English.
+ */
+
+export const UI_STRINGS = {
+  en: {
+    backToTrails: 'Back to trails',
+    allWaypoints: 'All waypoints',
+    seeAllWaypoints: 'See all waypoints',
+    language: 'Language',
+    startTrail: 'Start the trail',
+    resume: 'Resume',
+    resumeAt: 'Resume at {title}',
+    visitedCount: '{count} of {total} visited',
+    key: 'Key',
+    firstWaypoint: 'First waypoint',
+    previous: 'Previous',
+    next: 'Next',
+    finish: 'Finish',
+    previousPage: 'Previous page',
+    nextPage: 'Next page',
+    allTrails: 'All trails',
+    showMapKey: 'Show map key',
+    bench: 'Bench',
+    waterPoint: 'Water point',
+    monument: 'Monument',
+    pavedPath: 'Paved path',
+    unpavedPath: 'Unpaved path',
+    centreOnLocation: 'Centre map on my location',
+    recordWalk: 'Record my walk',
+    stopRecording: 'Stop recording walk',
+    walkRecorded: 'Walk recorded · {distance}',
+    exportGpx: 'Export GPX',
+    discardWalk: 'Discard walk',
+    discardWalkConfirm: 'Discard this recorded walk?',
+    offlinePrompt: 'Download this trail to use it without signal',
+    offlineChanged: 'This trail has changed since it was downloaded',
+    offlineAvailable: 'Available offline · {size}',
+    offlineDownloading: 'Downloading {done} of {total} files',
+    offlineDownloadingSize: 'Downloading {done} of {total} files · {size}',
+    offlineComplete: 'Download complete · {count} files, {size}',
+    offlineFailed: 'Download failed. Check your signal and try again.',
+    download: 'Download',
+    downloadSize: 'Download · {size}',
+    update: 'Update',
+    updateSize: 'Update · {size}',
+    sizeUnknown: 'size unknown',
+    remove: 'Remove',
+    waypointPhotos: 'Waypoint photos',
+    waypointPhotoCount: 'Waypoint photos: {count}',
+    photoCount: '{count} photos',
+    onePhoto: '1 photo',
+    previousPhoto: 'Previous photo',
+    nextPhoto: 'Next photo',
+    showWaypointFeatures: 'Show waypoint features',
+    listen: 'Listen',
+    pause: 'Pause',
+    play: 'Play',
+    playAll: 'Play all',
+    playingAll: 'Playing all',
+    readAloud: 'Read aloud',
+    readAll: 'Read all',
+    stop: 'Stop',
+    readMore: 'Read more',
+    audioGuide: 'Audio guide',
+    audioUnavailable: 'Audio unavailable',
+    nextWaypoint: 'Next waypoint',
+    stopAudio: 'Stop audio',
+    sortWaypoints: 'Sort waypoints',
+    trailOrder: 'Trail order',
+    nearest: 'Nearest',
+    waypointCount: '{count} waypoints',
+    waypointsShown: '{count} of {total} waypoints',
+    findingLocation: 'Finding your location…',
+    endOfTrail: "You've reached the end of the trail",
+    visitedOfTotal: '{visited} of {total}',
+    waypointsVisited: 'waypoints visited',
+    onTheTrail: 'on the trail',
+    walked: 'walked',
+    minutes: '{minutes} min',
+    hoursMinutes: '{hours} h {minutes} min',
+    metres: '{distance} m',
+    kilometres: '{distance} km',
+    walkEstimate: '{distance} m, ~{minutes} min',
+    fulhamCemetery: 'Fulham Cemetery',
+    showWaypointsWith: 'Show waypoints with',
+    skipOtherWaypoints: 'Skip other waypoints',
+    feedback: 'Tell us what you thought',
+    moreTrails: 'More trails',
+    done: 'Done',
+    refresh: 'Refresh',
+    goBack: 'Go back',
+    goForward: 'Go forward',
+    share: 'Share',
+    openInBrowser: 'Open in browser',
+    youreNear: "You're near",
+    dismiss: 'Dismiss',
+    trailUpdated: 'Trail updated',
+    compassPrompt: "Show which way you're facing?",
+    allow: 'Allow',
+    notNow: 'Not now',
+    outsideCemetery: "You're outside the cemetery",
+    locationOff: 'Location access is turned off',
+    locationUnavailable: "Can't find your location",
+    locationTimeout: 'Still looking for your location',
+
+    // Home page
+    walkingTrails: 'Fulham Cemetery walking trails',
+    searchPlaceholder: 'Search for a tree, grave or name',
+    searchTrails: 'Search the trails',
+    searchOffline: 'Search isn’t available offline until the trails have been opened.',
+    noMatches: 'No matches',
+    trailsMap: 'Map of every trail',
+    cemeteryMap: 'Cemetery map',
+    startTrailLink: 'Start trail',
+    availableOffline: 'Available offline',
+    install: 'Install',
+    installPrompt: 'Add the FC Trails app to your phone for the best experience.',
+    installFullScreen: 'Removes the browser toolbars so that the trail fills the whole screen.',
+    installLinks: 'Links to more information opens in the app so you don’t have to keep jumping between apps.',
+    installReturn: 'You can get back to the trails more easily in the future.',
+    why: 'Why?',
+    hide: 'Hide',
+    howToInstall: 'How to install',
+    installIos: 'Tap the {share} button in Safari, then select {addToHomeScreen}',
+    addToHomeScreen: '“Add to Home Screen”',
+    gotIt: 'Got it'
+  },
+
+  fr: {
+    backToTrails: 'Retour aux sentiers',
+    allWaypoints: 'Toutes les étapes',
+    seeAllWaypoints: 'Voir toutes les étapes',
+    language: 'Langue',
+    startTrail: 'Commencer le sentier',
+    resume: 'Reprendre',
+    resumeAt: 'Reprendre à {title}',
+    visitedCount: '{count} sur {total} visitées',
+    key: 'Légende',
+    firstWaypoint: 'Première étape',
+    previous: 'Précédent',
+    next: 'Suivant',
+    finish: 'Fin',
+    previousPage: 'Page précédente',
+    nextPage: 'Page suivante',
+    allTrails: 'Tous les sentiers',
+    showMapKey: 'Afficher la légende',
+    bench: 'Banc',
+    waterPoint: "Point d'eau",
+    monument: 'Monument',
+    pavedPath: 'Chemin pavé',
+    unpavedPath: 'Chemin non pavé',
+    centreOnLocation: 'Centrer la carte sur ma position',
+    recordWalk: 'Enregistrer ma promenade',
+    stopRecording: "Arrêter l'enregistrement",
+    walkRecorded: 'Promenade enregistrée · {distance}',
+    exportGpx: 'Exporter en GPX',
+    discardWalk: 'Supprimer la promenade',
+    discardWalkConfirm: 'Supprimer cette promenade enregistrée ?',
+    offlinePrompt: "Téléchargez ce sentier pour l'utiliser sans réseau",
+    offlineChanged: 'Ce sentier a changé depuis son téléchargement',
+    offlineAvailable: 'Disponible hors ligne · {size}',
+    offlineDownloading: 'Téléchargement de {done} fichiers sur {total}',
+    offlineDownloadingSize: 'Téléchargement de {done} fichiers sur {total} · {size}',
+    offlineComplete: 'Téléchargement terminé · {count} fichiers, {size}',
+    offlineFailed: 'Échec du téléchargement. Vérifiez votre réseau et réessayez.',
+    download: 'Télécharger',
+    downloadSize: 'Télécharger · {size}',
+    update: 'Mettre à jour',
+    updateSize: 'Mettre à jour · {size}',
+    sizeUnknown: 'taille inconnue',
+    remove: 'Supprimer',
+    waypointPhotos: "Photos de l'étape",
+    waypointPhotoCount: "Photos de l'étape : {count}",
+    photoCount: '{count} photos',
+    onePhoto: '1 photo',
+    previousPhoto: 'Photo précédente',
+    nextPhoto: 'Photo suivante',
+    showWaypointFeatures: "Afficher les caractéristiques de l'étape",
+    listen: 'Écouter',
+    pause: 'Pause',
+    play: 'Lecture',
+    playAll: 'Tout écouter',
+    playingAll: 'Lecture de tout',
+    readAloud: 'Lire à voix haute',
+    readAll: 'Tout lire',
+    stop: 'Arrêter',
+    readMore: 'En savoir plus',
+    audioGuide: 'Audioguide',
+    audioUnavailable: 'Audio indisponible',
+    nextWaypoint: 'Étape suivante',
+    stopAudio: "Arrêter l'audio",
+    sortWaypoints: 'Trier les étapes',
+    trailOrder: 'Ordre du sentier',
+    nearest: 'Les plus proches',
+    waypointCount: '{count} étapes',
+    waypointsShown: '{count} étapes sur {total}',
+    findingLocation: 'Recherche de votre position…',
+    endOfTrail: 'Vous êtes arrivé à la fin du sentier',
+    visitedOfTotal: '{visited} sur {total}',
+    waypointsVisited: 'étapes visitées',
+    onTheTrail: 'sur le sentier',
+    walked: 'parcourus',
+    minutes: '{minutes} min',
+    hoursMinutes: '{hours} h {minutes} min',
+    metres: '{distance} m',
+    kilometres: '{distance} km',
+    walkEstimate: '{distance} m, ~{minutes} min',
+    fulhamCemetery: 'Le cimetière de Fulham',
+    showWaypointsWith: 'Afficher les étapes avec',
+    skipOtherWaypoints: 'Passer les autres étapes',
+    feedback: 'Donnez-nous votre avis',
+    moreTrails: "D'autres sentiers",
+    done: 'Terminé',
+    refresh: 'Actualiser',
+    goBack: 'Retour',
+    goForward: 'Avancer',
+    share: 'Partager',
+    openInBrowser: 'Ouvrir dans le navigateur',
+    youreNear: 'Vous êtes près de',
+    dismiss: 'Fermer',
+    trailUpdated: 'Sentier mis à jour',
+    compassPrompt: 'Afficher la direction dans laquelle vous regardez ?',
+    allow: 'Autoriser',
+    notNow: 'Pas maintenant',
+    outsideCemetery: 'Vous êtes hors du cimetière',
+    locationOff: "L'accès à la position est désactivé",
+    locationUnavailable: 'Impossible de trouver votre position',
+    locationTimeout: 'Recherche de votre position en cours',
+
+    // Home page
+    walkingTrails: 'Les sentiers de promenade du cimetière de Fulham',
+    searchPlaceholder: 'Rechercher un arbre, une tombe ou un nom',
+    searchTrails: 'Rechercher dans les sentiers',
+    searchOffline: 'La recherche hors ligne n’est disponible qu’après avoir ouvert les sentiers.',
+    noMatches: 'Aucun résultat',
+    trailsMap: 'Carte de tous les sentiers',
+    cemeteryMap: 'Plan du cimetière',
+    startTrailLink: 'Commencer',
+    availableOffline: 'Disponible hors ligne',
+    install: 'Installer',
+    installPrompt: 'Ajoutez l’application FC Trails à votre téléphone pour en profiter pleinement.',
+    installFullScreen: 'Les barres du navigateur disparaissent et le sentier occupe tout l’écran.',
+    installLinks: 'Les liens vers plus d’informations s’ouvrent dans l’application, sans passer d’une application à l’autre.',
+    installReturn: 'Vous retrouverez plus facilement les sentiers à l’avenir.',
+    why: 'Pourquoi ?',
+    hide: 'Masquer',
+    howToInstall: 'Comment installer',
+    installIos: 'Touchez le bouton {share} dans Safari, puis choisissez {addToHomeScreen}',
+    addToHomeScreen: '« Sur l’écran d’accueil »',
+    gotIt: 'Compris'
+  },
+
+  es: {
+    backToTrails: 'Volver a los senderos',
+    allWaypoints: 'Todas las paradas',
+    seeAllWaypoints: 'Ver todas las paradas',
+    language: 'Idioma',
+    startTrail: 'Empezar el sendero',
+    resume: 'Continuar',
+    resumeAt: 'Continuar en {title}',
+    visitedCount: '{count} de {total} visitadas',
+    key: 'Leyenda',
+    firstWaypoint: 'Primera parada',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    finish: 'Final',
+    previousPage: 'Página anterior',
+    nextPage: 'Página siguiente',
+    allTrails: 'Todos los senderos',
+    showMapKey: 'Mostrar la leyenda',
+    bench: 'Banco',
+    waterPoint: 'Fuente de agua',
+    monument: 'Monumento',
+    pavedPath: 'Camino pavimentado',
+    unpavedPath: 'Camino sin pavimentar',
+    centreOnLocation: 'Centrar el mapa en mi ubicación',
+    recordWalk: 'Grabar mi paseo',
+    stopRecording: 'Dejar de grabar el paseo',
+    walkRecorded: 'Paseo grabado · {distance}',
+    exportGpx: 'Exportar GPX',
+    discardWalk: 'Descartar el paseo',
+    discardWalkConfirm: '¿Descartar este paseo grabado?',
+    offlinePrompt: 'Descarga este sendero para usarlo sin cobertura',
+    offlineChanged: 'Este sendero ha cambiado desde que se descargó',
+    offlineAvailable: 'Disponible sin conexión · {size}',
+    offlineDownloading: 'Descargando {done} de {total} archivos',
+    offlineDownloadingSize: 'Descargando {done} de {total} archivos · {size}',
+    offlineComplete: 'Descarga completa · {count} archivos, {size}',
+    offlineFailed: 'La descarga ha fallado. Comprueba la cobertura y vuelve a intentarlo.',
+    download: 'Descargar',
+    downloadSize: 'Descargar · {size}',
+    update: 'Actualizar',
+    updateSize: 'Actualizar · {size}',
+    sizeUnknown: 'tamaño desconocido',
+    remove: 'Eliminar',
+    waypointPhotos: 'Fotos de la parada',
+    waypointPhotoCount: 'Fotos de la parada: {count}',
+    photoCount: '{count} fotos',
+    onePhoto: '1 foto',
+    previousPhoto: 'Foto anterior',
+    nextPhoto: 'Foto siguiente',
+    showWaypointFeatures: 'Mostrar las características de la parada',
+    listen: 'Escuchar',
+    pause: 'Pausa',
+    play: 'Reproducir',
+    playAll: 'Escuchar todo',
+    playingAll: 'Reproduciendo todo',
+    readAloud: 'Leer en voz alta',
+    readAll: 'Leer todo',
+    stop: 'Detener',
+    readMore: 'Más información',
+    audioGuide: 'Audioguía',
+    audioUnavailable: 'Audio no disponible',
+    nextWaypoint: 'Parada siguiente',
+    stopAudio: 'Detener el audio',
+    sortWaypoints: 'Ordenar las paradas',
+    trailOrder: 'Orden del sendero',
+    nearest: 'Más cercanas',
+    waypointCount: '{count} paradas',
+    waypointsShown: '{count} de {total} paradas',
+    findingLocation: 'Buscando tu ubicación…',
+    endOfTrail: 'Has llegado al final del sendero',
+    visitedOfTotal: '{visited} de {total}',
+    waypointsVisited: 'paradas visitadas',
+    onTheTrail: 'en el sendero',
+    walked: 'recorridos',
+    minutes: '{minutes} min',
+    hoursMinutes: '{hours} h {minutes} min',
+    metres: '{distance} m',
+    kilometres: '{distance} km',
+    walkEstimate: '{distance} m, ~{minutes} min',
+    fulhamCemetery: 'El cementerio de Fulham',
+    showWaypointsWith: 'Mostrar paradas con',
+    skipOtherWaypoints: 'Saltar las demás paradas',
+    feedback: 'Cuéntanos qué te ha parecido',
+    moreTrails: 'Más senderos',
+    done: 'Hecho',
+    refresh: 'Actualizar',
+    goBack: 'Atrás',
+    goForward: 'Adelante',
+    share: 'Compartir',
+    openInBrowser: 'Abrir en el navegador',
+    youreNear: 'Estás cerca de',
+    dismiss: 'Cerrar',
+    trailUpdated: 'Sendero actualizado',
+    compassPrompt: '¿Mostrar hacia dónde miras?',
+    allow: 'Permitir',
+    notNow: 'Ahora no',
+    outsideCemetery: 'Estás fuera del cementerio',
+    locationOff: 'El acceso a la ubicación está desactivado',
+    locationUnavailable: 'No se encuentra tu ubicación',
+    locationTimeout: 'Seguimos buscando tu ubicación',
+
+    // Home page
+    walkingTrails: 'Senderos del cementerio de Fulham',
+    searchPlaceholder: 'Busca un árbol, una tumba o un nombre',
+    searchTrails: 'Buscar en los senderos',
+    searchOffline: 'La búsqueda sin conexión no está disponible hasta que se hayan abierto los senderos.',
+    noMatches: 'Sin resultados',
+    trailsMap: 'Mapa de todos los senderos',
+    cemeteryMap: 'Plano del cementerio',
+    startTrailLink: 'Empezar',
+    availableOffline: 'Disponible sin conexión',
+    install: 'Instalar',
+    installPrompt: 'Añade la aplicación FC Trails a tu teléfono para disfrutarla al máximo.',
+    installFullScreen: 'Quita las barras del navegador para que el sendero ocupe toda la pantalla.',
+    installLinks: 'Los enlaces a más información se abren en la aplicación, sin tener que cambiar de una a otra.',
+    installReturn: 'Podrás volver a los senderos más fácilmente en el futuro.',
+    why: '¿Por qué?',
+    hide: 'Ocultar',
+    howToInstall: 'Cómo instalarla',
+    installIos: 'Toca el botón {share} en Safari y elige {addToHomeScreen}',
+    addToHomeScreen: '«Añadir a pantalla de inicio»',
+    gotIt: 'Entendido'
+  }
+};
+
+/**
+ * A function that looks up a string in language, e.g.
+ * t('visitedCount', { count: 3, total: 9 }), falling back to English
+ */
+export function createTranslator(language) {
+  const primary = language.toLowerCase().split('-')[0];
+  const strings = UI_STRINGS[language] || UI_STRINGS[primary] || {};
+  return (key, params = {}) => {
+    const text = strings[key] || UI_STRINGS.en[key] || key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  };
+}
+
+// Attributes filled in from data-i18n-{name}
+const TRANSLATED_ATTRIBUTES = { label: 'aria-label', placeholder: 'placeholder', alt: 'alt' };
+
+/**
+ * Fill in the data-i18n text and translated attributes within root
+ */
+export function applyUiStrings(root, t) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  Object.entries(TRANSLATED_ATTRIBUTES).forEach(([name, attribute]) => {
+    root.querySelectorAll(`[data-i18n-${name}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${name}`)));
+    });
+  });
+}
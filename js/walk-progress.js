@@ -0,0 +1,104 @@
+/**
+ * Walk progress: the waypoints a visitor has visited, the last one they
+ * opened, and the time and distance of their current walk, kept per trail
+ * in localStorage for the cover's progress ring and resume button, the
+ * visited markers on the maps and the finish page's summary.
+ *
+ * Visited waypoints are remembered across visits; time and distance are per
+ * walk, so a visit more than MAX_WALK_HOURS after the walk started starts
+ * them afresh. Progress is a nicety: if storage is full or disabled it is
+ * kept for the page's lifetime only.
+ *
+ * storage and now default to localStorage and Date.now, and can be passed in
+ * for tests.
+ */
+
+// Progress older than this belongs to an earlier visit
+export const MAX_WALK_HOURS = 8;
+
+export function createWalkProgress(key, { storage, now = Date.now } = {}) {
+  const getStorage = () => storage || globalThis.localStorage;
+
+  const load = () => {
+    try {
+      const saved = JSON.parse(getStorage().getItem(key));
+      if (saved && Array.isArray(saved.visited)) return saved;
+    } catch (error) {
+      // Unreadable progress is treated as none
+    }
+    return { visited: [], lastWaypoint: null };
+  };
+
+  const progress = load();
+
+  const save = () => {
+    try {
+      getStorage().setItem(key, JSON.stringify(progress));
+    } catch (error) {
+      // Storage may be full or disabled (private browsing)
+    }
+  };
+
+  const isCurrentWalk = () => !!progress.startedAt
+    && now() - Date.parse(progress.startedAt) < MAX_WALK_HOURS * 60 * 60 * 1000;
+
+  const isWalking = () => isCurrentWalk() && !progress.finishedAt;
+
+  return {
+    // Waypoint index of the last waypoint opened, or null
+    get lastWaypoint() {
+      return progress.lastWaypoint;
+    },
+
+    isVisited(waypoint) {
+      return progress.visited.includes(waypoint.id);
+    },
+
+    countVisited(waypoints) {
+      return waypoints.filter(waypoint => progress.visited.includes(waypoint.id)).length;
+    },
+
+    // Returns whether the waypoint is newly visited
+    markVisited(waypoint) {
+      if (progress.visited.includes(waypoint.id)) return false;
+      progress.visited.push(waypoint.id);
+      save();
+      return true;
+    },
+
+    // Opening a waypoint's page starts the walk, if one isn't under way, and
+    // makes it the one to resume at
+    openWaypoint(waypointIndex) {
+      if (!isCurrentWalk()) {
+        progress.startedAt = new Date(now()).toISOString();
+        progress.finishedAt = null;
+        progress.distance = 0;
+      }
+      progress.lastWaypoint = waypointIndex;
+      save();
+    },
+
+    // Whether a walk has started and not yet reached the finish page
+    isWalking,
+
+    addDistance(metres) {
+      if (!isWalking()) return;
+      progress.distance = (progress.distance || 0) + metres;
+      save();
+    },
+
+    // The walk's time stops when the finish page is first reached
+    finishWalk() {
+      if (!isWalking()) return;
+      progress.finishedAt = new Date(now()).toISOString();
+      save();
+    },
+
+    // The current walk's { elapsed, distance }, in ms and metres, or null
+    getWalk() {
+      if (!isCurrentWalk()) return null;
+      const end = progress.finishedAt ? Date.parse(progress.finishedAt) : now();
+      return { elapsed: end - Date.parse(progress.startedAt), distance: progress.distance || 0 };
+    }
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Recorded walks: storage in IndexedDB, so a recording survives page
+ * reloads, and export as GPX.
+ *
+ * A walk is { recording, startedAt, points: [{ lat, lng, time }] }, stored
+ * per trail under the trail's slug.
+ */
+
+import { distanceMetres } from './georeference.js';
+
+const DB_NAME = 'fc-trails';
+const DB_VERSION = 1;
+const WALKS_STORE = 'walks';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(WALKS_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request against the walks store, resolving with its result once
+ * the transaction has completed
+ */
+async function withWalksStore(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(WALKS_STORE, mode);
+    const request = makeRequest(transaction.objectStore(WALKS_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export function loadWalk(slug) {
+  return withWalksStore('readonly', store => store.get(slug));
+}
+
+export function saveWalk(slug, walk) {
+  return withWalksStore('readwrite', store => store.put(walk, slug));
+}
+
+export function deleteWalk(slug) {
+  return withWalksStore('readwrite', store => store.delete(slug));
+}
+
+/**
+ * Total length of a walk in metres
+ */
+export function walkLength(walk) {
+  return walk.points.reduce((total, point, i) =>
+    (i === 0 ? 0 : total + distanceMetres(walk.points[i - 1], point)), 0);
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * GPX 1.1 document with the walk as a single track
+ */
+export function walkToGpx(walk, name) {
+  const points = walk.points.map(p =>
+    `      <trkpt lat="${p.lat.toFixed(7)}" lon="${p.lng.toFixed(7)}"><time>${escapeXml(p.time)}</time></trkpt>`
+  ).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Fulham Cemetery Friends trails" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <time>${escapeXml(walk.startedAt)}</time>
+  </metadata>
+  <trk>
+    <name>${escapeXml(name)}</name>
+    <trkseg>
+${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
@@ -0,0 +1,136 @@
+/**
+ * Waypoint page: one waypoint's title, description, photos, features and
+ * map, filled in each time a waypoint is shown. Tapping the info panel
+ * expands it over the map; it starts expanded on tall screens.
+ *
+ * The audio guide and read aloud buttons are shown here, and kept in step
+ * with playback by app.js.
+ *
+ * app is the trail app's context: { trail, t, setupMap, getAdjacentWaypoint,
+ * canReadAloud, markSentences }.
+ */
+
+import { getPhotoPath, getThumbnailPath, getWaypointFeatures } from './trail-data.js';
+import { renderMarkdown } from './markdown.js';
+
+// Preload an image and return a promise
+function preloadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+  });
+}
+
+// Restart a CSS animation by taking its class off and putting it back
+function replayAnimation(element, className) {
+  element.classList.remove(className);
+  void element.offsetWidth;
+  element.classList.add(className);
+}
+
+export function createWaypointPage(page, app) {
+  const { trail, t } = app;
+  const totalPages = trail.waypoints.length + 1;
+  const waypointInfo = page.querySelector('.waypoint-info');
+  const thumbnail = page.querySelector('.waypoint-thumbnail');
+  const thumbnailBtn = page.querySelector('.waypoint-thumbnail-btn');
+
+  // Preload all waypoint thumbnails (first photo of each waypoint)
+  trail.waypoints.forEach(waypoint => {
+    if (waypoint.photos && waypoint.photos.length > 0) {
+      preloadImage(getThumbnailPath(waypoint, waypoint.photos[0]));
+    }
+  });
+
+  waypointInfo.addEventListener('click', (e) => {
+    // Don't toggle if clicking on the thumbnail (which opens the photo overlay)
+    if (thumbnail.contains(e.target)) {
+      return;
+    }
+    waypointInfo.classList.toggle('expanded');
+  });
+
+  // The last waypoint, or the last one the filter lets through, leads on to
+  // the finish page
+  const updateNextLabel = (waypointIndex) => {
+    page.querySelector('.pagination-btn.next .pagination-label').textContent =
+      app.getAdjacentWaypoint(waypointIndex, 1) ? t('next') : t('finish');
+  };
+
+  const show = (waypointIndex) => {
+    const waypoint = trail.waypoints[waypointIndex - 1];
+    const pageNumber = waypointIndex + 1; // +1 because intro is page 1
+
+    replayAnimation(page.querySelector('.waypoint-header'), 'fade-in');
+    const readMoreBtn = page.querySelector('.read-more-btn');
+    if (readMoreBtn) replayAnimation(readMoreBtn, 'slide-up');
+
+    page.querySelector('.header-title').textContent = trail.shortTitle;
+    page.querySelector('.current-page').textContent = pageNumber;
+    page.querySelector('.total-pages').textContent = totalPages;
+    page.querySelector('.waypoint-title').textContent = waypoint.title;
+
+    // Headings start below the waypoint's h1
+    const description = page.querySelector('.waypoint-description');
+    description.innerHTML = renderMarkdown(waypoint.description, { headingLevel: 2 });
+    app.markSentences(description);
+
+    // Set thumbnail image and border colour. Hide the thumbnail + photo button
+    // when the waypoint has no photos — otherwise rendering would crash on
+    // getThumbnailPath(undefined) and the user could click into an empty overlay.
+    const hasPhotos = waypoint.photos && waypoint.photos.length > 0;
+
+    if (hasPhotos) {
+      thumbnail.classList.remove('hidden');
+      thumbnailBtn.classList.remove('hidden');
+      thumbnail.style.borderColor = waypoint.markerColour;
+      page.querySelector('.waypoint-thumbnail img').src = getThumbnailPath(waypoint, waypoint.photos[0]);
+      thumbnailBtn.querySelector('.waypoint-photo-count').textContent = waypoint.photos.length;
+      thumbnailBtn.setAttribute('aria-label', t('waypointPhotoCount', { count: waypoint.photos.length }));
+      // Preload all photos for this waypoint
+      waypoint.photos.forEach(photo => preloadImage(getPhotoPath(waypoint, photo)));
+    } else {
+      thumbnail.classList.add('hidden');
+      thumbnailBtn.classList.add('hidden');
+    }
+
+    // Audio guide buttons for waypoints with narration, read aloud for the rest
+    const hasAudio = Boolean(waypoint.audio);
+    const readAloud = !hasAudio && app.canReadAloud();
+    page.querySelector('.waypoint-audio').classList.toggle('hidden', !hasAudio && !readAloud);
+    page.querySelector('#waypoint-listen').classList.toggle('hidden', !hasAudio);
+    page.querySelector('#waypoint-play-all').classList.toggle('hidden', !hasAudio);
+    page.querySelector('#waypoint-read-aloud').classList.toggle('hidden', !readAloud);
+    page.querySelector('#waypoint-read-all').classList.toggle('hidden', !readAloud);
+
+    // Populate features
+    page.querySelector('.waypoint-features').innerHTML = getWaypointFeatures(trail, waypoint).map(feature => `
+      <div class="waypoint-feature">
+        ${feature.iconColour
+          ? `<div class="waypoint-feature-icon" style="background-color: ${feature.iconColour}; -webkit-mask-image: url('../../images/${feature.icon}'); mask-image: url('../../images/${feature.icon}');"></div>`
+          : `<div class="waypoint-feature-icon"><img src="../../images/${feature.icon}" alt=""></div>`}
+        <div class="waypoint-feature-text">
+          <span class="waypoint-feature-title">${feature.title}</span>
+          ${feature.description ? `<span class="waypoint-feature-description">${feature.description}</span>` : ''}
+        </div>
+      </div>
+    `).join('');
+
+    // Set up read more button
+    page.querySelector('#read-more-link').dataset.url = waypoint.externalUrl;
+
+    // Update pagination buttons
+    page.querySelector('.pagination-btn.prev').disabled = false; // Can always go back to intro or previous waypoint
+    updateNextLabel(waypointIndex);
+
+    // Set up map with current waypoint highlighted
+    app.setupMap(page.querySelector('#waypoint-map'), 'waypoint', waypointIndex);
+
+    // Set initial expanded state based on viewport height
+    waypointInfo.classList.toggle('expanded', window.innerHeight >= 700);
+  };
+
+  return { show, updateNextLabel };
+}
@@ -1,15 +1,234 @@
-// Service worker - required for PWA install prompt
-// Minimal implementation: just activates immediately
+// Service worker - keeps the trails working offline
+//
+// Reception inside the cemetery is patchy, so everything a visitor needs is
+// cached as it is used:
+//   shell         - pages, bundled JS/CSS, icons and Hammer.js. Precached on
+//                   install and versioned by build, so each deploy replaces it.
+//   runtime       - other static files and web fonts, also versioned by build.
+//   trail-{slug}  - a trail's trail.json, map, route and photos, filled as the
+//                   trail is opened, plus audio guide narration once the trail
+//                   is downloaded for offline use. Kept across deploys, so
+//                   these are refreshed in the background as they're used.
+//
+// BUILD_VERSION and APP_SHELL are filled in at build time by the
+// service-worker plugin in vite.config.js. Under the dev server they keep
+// these values and the worker leaves every request to the network.
+
+const BUILD_VERSION = 'dev';
+const APP_SHELL = [];
+
+const CACHE_PREFIX = 'fc-trails-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${BUILD_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${BUILD_VERSION}`;
+const TRAIL_CACHE_PREFIX = `${CACHE_PREFIX}trail-`;
+
+// Third-party hosts whose files are needed offline
+const CACHEABLE_HOSTS = ['hammerjs.github.io', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Trail content: /{slug}/trail.json, map.png, route.svg, photos/{id}/[thumbs/]{file},
+// audio/{id}/{file}
+const TRAIL_FILE_PATTERN = /^\/([a-z0-9]+(?:-[a-z0-9]+)*)\/(trail\.json|map\.png|route\.svg|photos\/[^/]+\/(thumbs\/)?[^/]+|audio\/[^/]+\/[^/]+)$/;
+
+// How long to wait for the network before falling back to a cached copy
+const NETWORK_TIMEOUT_MS = 3000;
 
 self.addEventListener('install', (e) => {
-  self.skipWaiting();
+  e.waitUntil(precacheShell().then(() => self.skipWaiting()));
 });
 
 self.addEventListener('activate', (e) => {
-  e.waitUntil(clients.claim());
+  e.waitUntil(deleteOldCaches().then(() => clients.claim()));
 });
 
 self.addEventListener('fetch', (e) => {
-  // Pass through all requests to the network
-  return;
+  const request = e.request;
+  if (BUILD_VERSION === 'dev' || request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    if (CACHEABLE_HOSTS.includes(url.hostname)) {
+      e.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+    }
+    return;
+  }
+
+  // The admin CMS must always see the live files
+  if (isAdminRequest(request, url)) return;
+
+  if (request.mode === 'navigate') {
+    e.respondWith(networkFirst(request, SHELL_CACHE, getPageUrl(url)));
+    return;
+  }
+
+  const trailMatch = url.pathname.match(TRAIL_FILE_PATTERN);
+  if (trailMatch) {
+    const [, slug, file] = trailMatch;
+    const cacheName = TRAIL_CACHE_PREFIX + slug;
+    if (file === 'trail.json') {
+      e.respondWith(revalidateTrail(e, cacheName));
+    } else if (file.startsWith('audio/')) {
+      e.respondWith(cachedRange(request, cacheName));
+    } else {
+      e.respondWith(staleWhileRevalidate(request, cacheName));
+    }
+    return;
+  }
+
+  if (url.pathname === '/trails.json') {
+    e.respondWith(networkFirst(request, RUNTIME_CACHE));
+    return;
+  }
+
+  e.respondWith(cacheFirst(request, RUNTIME_CACHE));
 });
+
+async function precacheShell() {
+  if (BUILD_VERSION === 'dev') return;
+
+  const cache = await caches.open(SHELL_CACHE);
+  const isThirdParty = url => /^https?:/.test(url);
+
+  // cache: 'reload' skips the HTTP cache, which could still hold the
+  // previous deploy's pages
+  await cache.addAll(APP_SHELL.filter(url => !isThirdParty(url)).map(url => new Request(url, { cache: 'reload' })));
+
+  // Third-party files are best effort: a CDN hiccup shouldn't block install
+  await Promise.all(APP_SHELL.filter(isThirdParty).map(url => cache.add(url).catch(() => {})));
+}
+
+async function deleteOldCaches() {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE];
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith(CACHE_PREFIX) && !name.startsWith(TRAIL_CACHE_PREFIX) && !keep.includes(name))
+    .map(name => caches.delete(name)));
+}
+
+function isAdminRequest(request, url) {
+  if (url.pathname === '/admin' || url.pathname.startsWith('/admin/')) return true;
+  if (!request.referrer) return false;
+  return new URL(request.referrer).pathname.startsWith('/admin');
+}
+
+// Every page of a trail (/tree-trail/intro, /tree-trail/3) is the same
+// document, cached once under /{slug}/
+function getPageUrl(url) {
+  const match = url.pathname.match(/^\/([a-z0-9]+(?:-[a-z0-9]+)*)(\/|$)/);
+  return match ? `/${match[1]}/` : '/';
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('timeout')), ms);
+    promise.then(
+      value => { clearTimeout(timer); resolve(value); },
+      error => { clearTimeout(timer); reject(error); }
+    );
+  });
+}
+
+// Fresh from the network when it answers promptly, otherwise the cached copy.
+// With nothing cached, keep waiting on the network.
+async function networkFirst(request, cacheName, cacheKey = request) {
+  const cache = await caches.open(cacheName);
+  const network = fetch(request).then(response => {
+    if (response.ok) cache.put(cacheKey, response.clone());
+    return response;
+  });
+
+  try {
+    return await withTimeout(network, NETWORK_TIMEOUT_MS);
+  } catch {
+    const cached = await cache.match(cacheKey);
+    return cached || network;
+  }
+}
+
+// trail.json: answer from cache straight away and revalidate in the
+// background. The revalidation is conditional, so an unchanged file costs a
+// 304. If the content has changed, tell the page so it can offer a refresh;
+// offline, the cached copy just keeps being used.
+async function revalidateTrail(e, cacheName) {
+  const request = e.request;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const cachedText = cached ? await cached.clone().text() : null;
+
+  const network = fetch(request.url, { cache: 'no-cache' }).then(async response => {
+    if (!response.ok) return response;
+    await cache.put(request, response.clone());
+    if (cachedText !== null && cachedText !== await response.clone().text()) {
+      const client = await clients.get(e.clientId);
+      if (client) client.postMessage({ type: 'trail-updated' });
+    }
+    return response;
+  });
+
+  if (cached) {
+    e.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Audio is fetched in byte ranges, which can't be cached, so only a trail
+// downloaded for offline use has its narration in the cache. Answer ranges
+// from that copy; Safari won't play a full response to a range request.
+// The download itself asks for cache: 'reload' to get the current file.
+async function cachedRange(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = request.cache === 'reload' ? null : await cache.match(request.url);
+  if (!cached) return fetch(request);
+
+  const range = (request.headers.get('range') || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (!range || (!range[1] && !range[2])) return cached;
+
+  const body = await cached.arrayBuffer();
+  const size = body.byteLength;
+  const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+  const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+  if (start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+  }
+
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1)
+    }
+  });
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Answer from cache straight away, refreshing the copy in the background.
+// A request made with cache: 'reload', such as the offline download's,
+// waits for the network instead.
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = request.cache === 'reload' ? null : await cache.match(request);
+
+  const network = fetch(request).then(response => {
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    network.catch(() => {});
+    return cached;
+  }
+  return network;
+}
@@ -0,0 +1,197 @@
+/**
+ * Just enough of the DOM for testing the viewers without a browser:
+ * elements with classes, attributes, styles and listeners, selectors made
+ * of a tag and classes (a comma-separated list of them), and innerHTML for
+ * the simple markup the viewers write. Element sizes come from each
+ * element's rect.
+ */
+
+const VOID_ELEMENTS = ['img', 'input', 'br'];
+
+class FakeElement {
+  constructor(tagName, ownerDocument) {
+    this.tagName = tagName.toUpperCase();
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.children = [];
+    this.attributes = {};
+    this.style = {};
+    this.listeners = {};
+    this.rect = { left: 0, top: 0, width: 0, height: 0 };
+    this.text = '';
+    this.classes = new Set();
+    this.classList = {
+      add: (...names) => names.forEach(name => this.classes.add(name)),
+      remove: (...names) => names.forEach(name => this.classes.delete(name)),
+      contains: name => this.classes.has(name),
+      toggle: (name, force = !this.classes.has(name)) => {
+        if (force) this.classes.add(name);
+        else this.classes.delete(name);
+        return force;
+      }
+    };
+  }
+
+  get className() {
+    return [...this.classes].join(' ');
+  }
+
+  set className(value) {
+    this.classes = new Set(value.split(/\s+/).filter(Boolean));
+  }
+
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+
+  get textContent() {
+    return this.text + this.children.map(child => child.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.children = [];
+    this.text = String(value);
+  }
+
+  set innerHTML(html) {
+    this.children = [];
+    this.text = '';
+    parseHtml(html, this);
+  }
+
+  setAttribute(name, value) {
+    if (name === 'class') this.className = value;
+    else this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    if (name === 'class') return this.className;
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  appendChild(child) {
+    child.remove();
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    const siblings = this.parentNode.children;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentNode = null;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+
+  // Call the element's listeners for an event, as if it had been fired
+  dispatch(type, event = {}) {
+    (this.listeners[type] || []).forEach(listener => listener({ target: this, preventDefault() {}, ...event }));
+  }
+
+  getBoundingClientRect() {
+    return { ...this.rect };
+  }
+
+  matches(selector) {
+    return selector.split(',').some(part => {
+      const [, tag, classes] = part.trim().match(/^([a-z]*)((?:\.[\w-]+)*)$/);
+      return (!tag || this.tagName === tag.toUpperCase())
+        && classes.split('.').filter(Boolean).every(name => this.classes.has(name));
+    });
+  }
+
+  querySelectorAll(selector) {
+    const found = [];
+    const visit = element => element.children.forEach(child => {
+      if (child.matches(selector)) found.push(child);
+      visit(child);
+    });
+    visit(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+// Add the elements and text in html to parent
+function parseHtml(html, parent) {
+  const stack = [parent];
+  for (const [, closing, tag, attributes, text] of html.matchAll(/<(\/?)([a-z]+)([^>]*)>|([^<]+)/g)) {
+    const current = stack[stack.length - 1];
+    if (text !== undefined) {
+      if (text.trim()) current.text += text;
+    } else if (closing) {
+      stack.pop();
+    } else {
+      const element = current.appendChild(new FakeElement(tag, parent.ownerDocument));
+      for (const [, name, value] of attributes.matchAll(/([\w-]+)="([^"]*)"/g)) {
+        element.setAttribute(name, value);
+      }
+      if (!VOID_ELEMENTS.includes(tag)) stack.push(element);
+    }
+  }
+}
+
+/**
+ * A document whose body holds html, with a window that runs animation
+ * frames when asked (runFrames) and keeps its own listeners
+ */
+export function createDocument(html) {
+  const frames = [];
+  const win = {
+    listeners: {},
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    },
+    removeEventListener(type) {
+      delete this.listeners[type];
+    },
+    requestAnimationFrame: callback => frames.push(callback),
+    runFrames() {
+      frames.splice(0).forEach(callback => callback());
+    }
+  };
+  const document = {
+    defaultView: win,
+    createElement: tag => new FakeElement(tag, document)
+  };
+  document.body = new FakeElement('body', document);
+  document.body.innerHTML = html;
+  return document;
+}
+
+/**
+ * A stand-in for Hammer.js that keeps each manager's gesture handlers
+ */
+export function createFakeHammer() {
+  const managers = [];
+  class Manager {
+    constructor(element) {
+      this.element = element;
+      this.handlers = {};
+      this.destroyed = false;
+      managers.push(this);
+    }
+
+    on(events, handler) {
+      events.split(' ').forEach(event => {
+        this.handlers[event] = handler;
+      });
+    }
+
+    destroy() {
+      this.destroyed = true;
+    }
+  }
+  return { Manager, Pan: 'Pan', Pinch: 'Pinch', DIRECTION_ALL: 30, managers };
+}
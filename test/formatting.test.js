@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFormatters } from '../js/formatting.js';
+import { createTranslator } from '../js/ui-strings.js';
+
+const en = createFormatters(createTranslator('en'), 'en');
+const fr = createFormatters(createTranslator('fr'), 'fr');
+
+test('durations are in minutes, then hours and minutes', () => {
+  assert.equal(en.duration(10 * 1000), '1 min');
+  assert.equal(en.duration(25 * 60 * 1000), '25 min');
+  assert.equal(en.duration(95 * 60 * 1000), '1 h 35 min');
+});
+
+test('distances are to the nearest 10 m, then in km with the language\'s decimal separator', () => {
+  assert.equal(en.distance(343), '340 m');
+  assert.equal(en.distance(1260), '1.3 km');
+  assert.equal(fr.distance(1260), '1,3 km');
+  assert.equal(fr.kilometres(800), '0,8 km');
+});
+
+test('walks give a distance and an unhurried walking time', () => {
+  assert.equal(en.walk(42.4), '42 m, ~1 min');
+  assert.equal(en.walk(355), '360 m, ~6 min');
+});
+
+test('file sizes are in KB, then MB', () => {
+  assert.equal(en.bytes(100), '1 KB');
+  assert.equal(en.bytes(300 * 1024), '300 KB');
+  assert.equal(en.bytes(12.34 * 1024 * 1024), '12.3 MB');
+});
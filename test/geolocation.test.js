@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getGpsErrorKey, isFixStale, watchPosition, headingFromOrientation, compassNeedsPermission
+} from '../js/geolocation.js';
+
+test('GPS errors name the status chip strings', () => {
+  assert.equal(getGpsErrorKey({ code: 1 }), 'locationOff');
+  assert.equal(getGpsErrorKey({ code: 3 }), 'locationTimeout');
+  assert.equal(getGpsErrorKey({ code: 99 }), 'locationUnavailable');
+});
+
+test('a fix is stale after 30 seconds, or with no fix at all', () => {
+  assert.equal(isFixStale(null, 100000), true);
+  assert.equal(isFixStale(71000, 100000), false);
+  assert.equal(isFixStale(69000, 100000), true);
+});
+
+test('watchPosition passes on fixes and errors, and stops watching', () => {
+  const calls = [];
+  const geolocation = {
+    watchPosition(onFix, onError, options) {
+      calls.push(['watch', options.enableHighAccuracy]);
+      onFix({ coords: { latitude: 51.48 } });
+      onError({ code: 1 });
+      return 7;
+    },
+    clearWatch: id => calls.push(['clear', id])
+  };
+
+  const stop = watchPosition({
+    geolocation,
+    onFix: position => calls.push(['fix', position.coords.latitude]),
+    onError: error => calls.push(['error', error.code])
+  });
+  stop();
+
+  assert.deepEqual(calls, [['watch', true], ['fix', 51.48], ['error', 1], ['clear', 7]]);
+  assert.equal(typeof watchPosition({ geolocation: null }), 'function');
+});
+
+test('compass headings come from iOS or absolute orientation, turned with the screen', () => {
+  assert.equal(headingFromOrientation({ webkitCompassHeading: 80 }), 80);
+  assert.equal(headingFromOrientation({ absolute: true, alpha: 90 }), 270);
+  assert.equal(headingFromOrientation({ absolute: true, alpha: 90 }, 180), 90);
+  // Relative orientation isn't a compass reading
+  assert.equal(headingFromOrientation({ absolute: false, alpha: 90 }), null);
+});
+
+test('only iOS asks permission for the compass', () => {
+  assert.equal(compassNeedsPermission({ DeviceOrientationEvent: { requestPermission: () => {} } }), true);
+  assert.equal(compassNeedsPermission({ DeviceOrientationEvent: function DeviceOrientationEvent() {} }), false);
+  assert.equal(compassNeedsPermission({}), false);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fitGeoreference, distanceMetres } from '../js/georeference.js';
+
+// A made-up map of the cemetery, rotated and skewed the way a hand-drawn
+// one might be: every pixel is an exact affine function of lat/lng
+const mapPixel = (lat, lng) => ({
+  x: 1200 + 90000 * (lng + 0.2) - 20000 * (lat - 51.48),
+  y: 900 - 15000 * (lng + 0.2) - 140000 * (lat - 51.48)
+});
+
+const controlPoint = (lat, lng, waypointId) => ({ ...mapPixel(lat, lng), lat, lng, waypointId });
+
+const assertNear = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('three or more points fit an affine transform through them', () => {
+  const fit = fitGeoreference([
+    controlPoint(51.4810, -0.2010, 'id01'),
+    controlPoint(51.4790, -0.1990, 'id02'),
+    controlPoint(51.4805, -0.1985, 'id03'),
+    controlPoint(51.4795, -0.2015, 'id04')
+  ]);
+
+  assert.equal(fit.method, 'affine');
+  fit.residuals.forEach(residual => assertNear(residual.pixels, 0, 1e-3, 'residual'));
+  assertNear(fit.rmsMetres, 0, 1e-3, 'rms');
+
+  // A point that wasn't surveyed lands where the map puts it
+  const expected = mapPixel(51.4800, -0.2003);
+  const pixel = fit.toPixel(51.4800, -0.2003);
+  assertNear(pixel.x, expected.x, 0.01, 'x');
+  assertNear(pixel.y, expected.y, 0.01, 'y');
+
+  // and converts back
+  const location = fit.toLatLng(expected.x, expected.y);
+  assertNear(location.lat, 51.4800, 1e-8, 'lat');
+  assertNear(location.lng, -0.2003, 1e-8, 'lng');
+});
+
+test('two points fit a north-up map, scaling x by longitude and y by latitude', () => {
+  // 10 pixels per 0.0001° each way
+  const fit = fitGeoreference([
+    { x: 100, y: 500, lat: 51.4790, lng: -0.2010 },
+    { x: 300, y: 300, lat: 51.4810, lng: -0.1990 }
+  ]);
+
+  assert.equal(fit.method, 'linear');
+  const pixel = fit.toPixel(51.4800, -0.2000);
+  assertNear(pixel.x, 200, 1e-6, 'x');
+  assertNear(pixel.y, 400, 1e-6, 'y');
+  assertNear(fit.headingToAngle(0), 0, 1e-6, 'north');
+  assertNear(fit.headingToAngle(90), 90, 1e-6, 'east');
+
+  // A pixel is 0.00001° each way: 1.11 m north to south, but only 0.69 m
+  // east to west this far north. metresPerPixel averages the two.
+  assertNear(fit.metresPerPixel, Math.sqrt(1.113 * 0.693), 0.01, 'metres per pixel');
+});
+
+test('too few or degenerate points give no fit', () => {
+  assert.equal(fitGeoreference(undefined), null);
+  assert.equal(fitGeoreference([]), null);
+  assert.equal(fitGeoreference([controlPoint(51.48, -0.2)]), null);
+
+  // Two points on the same latitude can't scale y
+  assert.equal(fitGeoreference([controlPoint(51.48, -0.201), controlPoint(51.48, -0.199)]), null);
+
+  // Points along one line can't fix the transform across it
+  assert.equal(fitGeoreference([
+    controlPoint(51.4790, -0.2010),
+    controlPoint(51.4800, -0.2000),
+    controlPoint(51.4810, -0.1990)
+  ]), null);
+});
+
+test('points with missing coordinates are left out, and residuals say which point they are', () => {
+  const unsurveyed = { x: 10, y: 10, lat: null, lng: -0.2, waypointId: 'id00' };
+  const points = [
+    unsurveyed,
+    controlPoint(51.4810, -0.2010, 'id01'),
+    controlPoint(51.4790, -0.1990, 'id02'),
+    controlPoint(51.4805, -0.1985, 'id03')
+  ];
+  const fit = fitGeoreference(points);
+
+  assert.equal(fit.method, 'affine');
+  assert.deepEqual(fit.residuals.map(residual => residual.point), points.slice(1));
+});
+
+test('residuals are how far the fit misses each point', () => {
+  const points = [
+    controlPoint(51.4810, -0.2010),
+    controlPoint(51.4790, -0.1990),
+    controlPoint(51.4805, -0.1985),
+    { ...controlPoint(51.4795, -0.2015), x: mapPixel(51.4795, -0.2015).x + 20 }
+  ];
+  const fit = fitGeoreference(points);
+
+  // The point placed 20 pixels too far right is predicted to its left, and
+  // least squares shares the miss out so the residuals balance
+  const shifted = fit.residuals.find(residual => residual.point === points[3]);
+  assert.ok(shifted.dx < 0);
+  assertNear(fit.residuals.reduce((sum, residual) => sum + residual.dx, 0), 0, 1e-6, 'sum of dx');
+  fit.residuals.forEach(residual => assertNear(residual.dy, 0, 1e-6, 'dy'));
+  assert.ok(fit.rmsMetres > 0);
+});
+
+test('distanceMetres is the distance over the ground', () => {
+  assertNear(distanceMetres({ lat: 51, lng: -0.2 }, { lat: 52, lng: -0.2 }), 111319, 1, 'a degree of latitude');
+  assert.equal(distanceMetres({ lat: 51.48, lng: -0.2 }, { lat: 51.48, lng: -0.2 }), 0);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMapViewer } from '../js/map-viewer.js';
+import { createDocument, createFakeHammer } from './fake-dom.js';
+
+// A trail map's markup, with a 400 x 600 viewport
+function setup() {
+  const document = createDocument(`
+    <div class="map-container">
+      <div class="map-viewport">
+        <div class="map-content">
+          <img class="map-base" src="" alt="Cemetery map">
+          <img class="map-route" src="" alt="">
+          <div class="map-markers"><div class="user-location"></div></div>
+        </div>
+      </div>
+    </div>
+  `);
+  const container = document.body.querySelector('.map-container');
+  container.querySelector('.map-viewport').rect = { left: 0, top: 0, width: 400, height: 600 };
+  const Hammer = createFakeHammer();
+  let interactions = 0;
+  const viewer = createMapViewer(container, { onInteract: () => interactions++, Hammer });
+  return { container, Hammer, viewer, part: selector => container.querySelector(selector), interactions: () => interactions };
+}
+
+// Mark the map image as loaded, at its own size
+function loadImage(image, width = 1000, height = 1500) {
+  image.complete = true;
+  image.naturalWidth = width;
+  image.naturalHeight = height;
+}
+
+test('show places the map zoomed out by zoomFactor, once the image loads', async () => {
+  const { viewer, part } = setup();
+  const shown = viewer.show({ src: 'map.png', routeSrc: 'route.svg', size: { width: 1000, height: 1500 }, zoomFactor: 2 });
+
+  assert.equal(viewer.scale, 0);
+  loadImage(part('.map-base'), 2000, 3000);
+  part('.map-base').onload();
+  assert.equal(await shown, viewer);
+
+  // Fully zoomed out is just under the 0.4 that fits the width
+  assert.equal(viewer.minScale, 0.4 * 0.98);
+  assert.equal(viewer.scale, 0.4 * 0.98 * 2);
+  assert.deepEqual([viewer.mapWidth, viewer.mapHeight], [1000, 1500]);
+  assert.equal(part('.map-base').style.width, '1000px');
+  assert.equal(part('.map-route').src, 'route.svg');
+  // Starting at the left, panned up a quarter of the viewport
+  assert.deepEqual([viewer.x, viewer.y], [0, -150]);
+  assert.equal(part('.map-content').style.transform, `translate(0px, -150px) scale(${viewer.scale})`);
+});
+
+test('show can centre on a point, kept within the map', async () => {
+  const { viewer, part } = setup();
+  loadImage(part('.map-base'));
+
+  await viewer.show({ src: 'map.png', zoomFactor: 2, centre: { x: 500, y: 750 } });
+  assert.equal(viewer.x, 200 - 500 * viewer.scale);
+  assert.equal(viewer.y, 300 - 750 * viewer.scale);
+
+  // The corner can't be centred without showing past the map's edge
+  await viewer.show({ src: 'map.png', zoomFactor: 2, centre: { x: 0, y: 0 } });
+  assert.deepEqual([viewer.x, viewer.y], [0, 0]);
+});
+
+test('markers sit at map points, counter-scaled, and can link', async () => {
+  const { viewer, part } = setup();
+  loadImage(part('.map-base'));
+  await viewer.show({ src: 'map.png', zoomFactor: 2 });
+
+  const marker = viewer.addMarker({ x: 10, y: 20 }, { symbol: '3', colour: '#f00', href: '/tree-trail/3' });
+  assert.equal(marker.tagName, 'A');
+  assert.equal(marker.href, '/tree-trail/3');
+  assert.deepEqual([marker.style.left, marker.style.top], ['10px', '20px']);
+  assert.equal(marker.style.transform, `translate(-50%, -50%) scale(${1 / viewer.scale})`);
+  assert.equal(marker.textContent, '3');
+
+  viewer.addMarker({ x: 30, y: 40 }, { colour: '#00f' });
+  viewer.clearMarkers();
+  assert.deepEqual(part('.map-markers').children.map(child => child.className), ['user-location']);
+});
+
+test('isInView checks a map point against the viewport', async () => {
+  const { viewer, part } = setup();
+  loadImage(part('.map-base'));
+  await viewer.show({ src: 'map.png', zoomFactor: 2 });
+
+  // At scale 0.784, panned up 150 pixels
+  assert.equal(viewer.isInView({ x: 100, y: 500 }), true);
+  assert.equal(viewer.isInView({ x: 100, y: 100 }), false);
+  assert.equal(viewer.isInView({ x: 10, y: 500 }, 20), false);
+});
+
+test('gestures pan the map within its edges and count as interaction', async () => {
+  const { Hammer, viewer, part, interactions } = setup();
+  loadImage(part('.map-base'));
+  await viewer.show({ src: 'map.png', zoomFactor: 2 });
+  await viewer.show({ src: 'map.png', zoomFactor: 2 });
+  assert.equal(Hammer.managers.length, 1);
+
+  const [manager] = Hammer.managers;
+  manager.handlers.panstart();
+  manager.handlers.panmove({ deltaX: -100, deltaY: 1000 });
+
+  assert.deepEqual([viewer.x, viewer.y], [-100, 0]);
+  assert.equal(part('.user-location').style.transform, `translate(-50%, -50%) scale(${1 / viewer.scale})`);
+  assert.equal(interactions(), 1);
+});
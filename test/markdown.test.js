@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderMarkdown, markdownToText } from '../js/markdown.js';
+
+test('paragraphs, emphasis and line breaks', () => {
+  assert.equal(
+    renderMarkdown('**Fulham Cemetery** was *established*\nin 1865.  \nExtended 1874.\n\nA second_paragraph'),
+    '<p><strong>Fulham Cemetery</strong> was <em>established</em>\nin 1865.<br>Extended 1874.</p><p>A second_paragraph</p>'
+  );
+});
+
+test('headings, lists and blockquotes', () => {
+  assert.equal(
+    renderMarkdown('# Planted\n\n- Oak\n- Lime\n\n3. Third\n4. Fourth\n\n> Quoted\n> text', { headingLevel: 3 }),
+    '<h3>Planted</h3><ul><li>Oak</li><li>Lime</li></ul><ol start="3"><li>Third</li><li>Fourth</li></ol>' +
+    '<blockquote><p>Quoted\ntext</p></blockquote>'
+  );
+  // Only a list starting at 1 interrupts a paragraph
+  assert.equal(renderMarkdown('Built in\n1865. Extended'), '<p>Built in\n1865. Extended</p>');
+});
+
+test('an image on its own line is a figure captioned with its title', () => {
+  assert.equal(
+    renderMarkdown('![The chapel](photos/chapel.jpg "The chapel in 1900")'),
+    '<figure><img src="photos/chapel.jpg" alt="The chapel" loading="lazy"><figcaption>The chapel in 1900</figcaption></figure>'
+  );
+});
+
+test('web links open in a new tab, allowing parentheses in the URL', () => {
+  assert.equal(
+    renderMarkdown('[Oak](https://en.wikipedia.org/wiki/Oak_(tree)) and [waypoint 3](/tree-trail/3)'),
+    '<p><a href="https://en.wikipedia.org/wiki/Oak_(tree)" target="_blank" rel="noopener noreferrer">Oak</a>' +
+    ' and <a href="/tree-trail/3">waypoint 3</a></p>'
+  );
+});
+
+test('HTML in the source is escaped', () => {
+  assert.equal(
+    renderMarkdown('Graves < 1900 & <script>alert(1)</script> "quoted"'),
+    '<p>Graves &lt; 1900 &amp; &lt;script&gt;alert(1)&lt;/script&gt; &quot;quoted&quot;</p>'
+  );
+  assert.equal(renderMarkdown('[x]("onclick=alert(1))'), '<p><a href="&quot;onclick=alert(1)">x</a></p>');
+});
+
+test('links and images with other schemes keep only their text', () => {
+  assert.equal(renderMarkdown('[click](javascript:alert(1))'), '<p>click</p>');
+  assert.equal(renderMarkdown('[click](JavaScript:alert(1))'), '<p>click</p>');
+  assert.equal(renderMarkdown('[click](<java\tscript:alert(1)>)'), '<p>click</p>');
+  assert.equal(renderMarkdown('![a pixel](data:image/png;base64,AAAA)'), '<p>a pixel</p>');
+  assert.equal(renderMarkdown('[email](mailto:friends@example.org)'), '<p><a href="mailto:friends@example.org">email</a></p>');
+});
+
+test('plain text drops the markup', () => {
+  assert.equal(
+    markdownToText('**Fulham** [Friends](https://example.org)\n\n- Oak\n- Lime\n\n![chapel](c.jpg "The chapel")'),
+    'Fulham Friends\n\nOak\nLime\n\nThe chapel'
+  );
+  assert.equal(markdownToText(''), '');
+});
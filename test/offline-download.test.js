@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getTrailCacheName, getOfflineDownload, removeOfflineDownload, getDownloadSize, downloadTrail
+} from '../js/offline-download.js';
+
+// CacheStorage keeping each cache's responses by URL
+function createCaches() {
+  const stores = new Map();
+  return {
+    stores,
+    has: async name => stores.has(name),
+    open: async (name) => {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const store = stores.get(name);
+      return {
+        match: async url => store.get(url),
+        put: async (url, response) => {
+          store.set(url, response);
+        }
+      };
+    },
+    delete: async name => stores.delete(name)
+  };
+}
+
+// A fetch answering from files (each a string body), keeping the requests
+// it was sent. Files set to a number answer with that HTTP status.
+function createFetch(files) {
+  const requests = [];
+  const fetchFile = async (url, options) => {
+    requests.push([url, options]);
+    const file = url in files ? files[url] : 404;
+    if (typeof file === 'number') return new Response(null, { status: file });
+    return new Response(file, { headers: { 'Content-Length': String(file.length) } });
+  };
+  return { fetch: fetchFile, requests };
+}
+
+function createStorage() {
+  const items = new Map();
+  return { items, getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+}
+
+const files = ['/tree-trail/trail.json', '/tree-trail/map.png', '/tree-trail/route.svg'];
+
+test('downloading caches every file, skipping missing ones, and marks the trail as saved', async () => {
+  const caches = createCaches();
+  const { fetch, requests } = createFetch({ '/tree-trail/trail.json': '{}', '/tree-trail/map.png': 'map data' });
+  const progress = [];
+
+  const download = await downloadTrail('tree-trail', files, (...args) => progress.push(args), { caches, fetch });
+
+  assert.deepEqual(requests.map(([, options]) => options), files.map(() => ({ cache: 'reload' })));
+  assert.equal(progress.length, 3);
+  assert.deepEqual(progress[2], [3, 3, 10]);
+  assert.equal(download.fileCount, 2);
+  assert.equal(download.bytes, 10);
+
+  const store = caches.stores.get(getTrailCacheName('tree-trail'));
+  assert.equal(await store.get('/tree-trail/map.png').text(), 'map data');
+  assert.equal(store.has('/tree-trail/route.svg'), false);
+  assert.deepEqual(await getOfflineDownload('tree-trail', { caches }), download);
+});
+
+test('a failed file stops the download without marking the trail as saved', async () => {
+  const caches = createCaches();
+  const { fetch } = createFetch({ '/tree-trail/trail.json': '{}', '/tree-trail/map.png': 500 });
+
+  await assert.rejects(downloadTrail('tree-trail', files, () => {}, { caches, fetch }), /map\.png: HTTP 500/);
+  assert.equal(await getOfflineDownload('tree-trail', { caches }), null);
+});
+
+test('a trail cached as it was viewed isn\'t a download, and removing one empties its cache', async () => {
+  const caches = createCaches();
+  assert.equal(await getOfflineDownload('tree-trail', { caches }), null);
+  assert.equal(await getOfflineDownload('tree-trail', { caches: undefined }), null);
+
+  const cache = await caches.open(getTrailCacheName('tree-trail'));
+  await cache.put('/tree-trail/trail.json', new Response('{}'));
+  assert.equal(await getOfflineDownload('tree-trail', { caches }), null);
+
+  await removeOfflineDownload('tree-trail', { caches });
+  assert.equal(await caches.has(getTrailCacheName('tree-trail')), false);
+});
+
+test('the download size is measured once for the same files', async () => {
+  const storage = createStorage();
+  const { fetch, requests } = createFetch({ '/tree-trail/trail.json': '{}', '/tree-trail/map.png': 'map data' });
+
+  assert.equal(await getDownloadSize('tree-trail', files, { fetch, storage }), 10);
+  assert.deepEqual(requests[0], ['/tree-trail/trail.json', { method: 'HEAD' }]);
+  assert.equal(await getDownloadSize('tree-trail', files, { fetch, storage }), 10);
+  assert.equal(requests.length, 3);
+
+  // A changed list of files is measured again
+  assert.equal(await getDownloadSize('tree-trail', files.slice(0, 2), { fetch, storage }), 10);
+  assert.equal(requests.length, 5);
+});
+
+test('the download size is unknown, and not kept, if any file can\'t be measured', async () => {
+  const storage = createStorage();
+  const { fetch } = createFetch({ '/tree-trail/trail.json': '{}', '/tree-trail/map.png': 503 });
+  assert.equal(await getDownloadSize('tree-trail', files, { fetch, storage }), null);
+  assert.equal(storage.items.size, 0);
+
+  const offline = async () => {
+    throw new TypeError('Failed to fetch');
+  };
+  assert.equal(await getDownloadSize('tree-trail', files, { fetch: offline, storage }), null);
+});
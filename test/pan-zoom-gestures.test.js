@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { attachPanZoom } from '../js/pan-zoom-gestures.js';
+import { createFakeHammer } from './fake-dom.js';
+
+// Just enough of an element and its window for attachPanZoom, recording
+// listeners so tests can fire them
+function createTarget() {
+  const listeners = {};
+  return {
+    listeners,
+    addEventListener(type, listener) {
+      listeners[type] = listener;
+    },
+    removeEventListener(type) {
+      delete listeners[type];
+    }
+  };
+}
+
+function createSurface() {
+  const win = createTarget();
+  return Object.assign(createTarget(), {
+    win,
+    style: {},
+    ownerDocument: { defaultView: win },
+    getBoundingClientRect: () => ({ left: 100, top: 50, width: 400, height: 600 })
+  });
+}
+
+function attach(surface, view, Hammer, extra = {}) {
+  return attachPanZoom(surface, view, {
+    constrain: () => {},
+    render: () => {},
+    getMinScale: () => 0.25,
+    maxScale: 1,
+    Hammer,
+    ...extra
+  });
+}
+
+test('Hammer pans from where the gesture started', () => {
+  const Hammer = createFakeHammer();
+  const view = { x: -100, y: -200, scale: 0.5 };
+  let interactions = 0;
+  attach(createSurface(), view, Hammer, { onInteract: () => interactions++ });
+
+  const [manager] = Hammer.managers;
+  manager.handlers.panstart();
+  manager.handlers.panmove({ deltaX: 30, deltaY: -40 });
+  manager.handlers.panmove({ deltaX: 60, deltaY: -80 });
+
+  assert.deepEqual(view, { x: -40, y: -280, scale: 0.5 });
+  assert.equal(interactions, 1);
+});
+
+test('pinching zooms around the pinch centre, within the scale limits', () => {
+  const Hammer = createFakeHammer();
+  const view = { x: 0, y: 0, scale: 0.5 };
+  const rendered = [];
+  attach(createSurface(), view, Hammer, { render: v => rendered.push({ ...v }) });
+
+  const [manager] = Hammer.managers;
+  manager.handlers.pinchstart();
+  // The centre is at (200, 150) on the surface
+  manager.handlers.pinchmove({ scale: 4, center: { x: 300, y: 200 } });
+
+  assert.deepEqual(view, { x: -200, y: -150, scale: 1 });
+  assert.equal(rendered.length, 1);
+});
+
+test('destroy removes the gestures and listeners', () => {
+  const Hammer = createFakeHammer();
+  const surface = createSurface();
+  const gestures = attach(surface, { x: 0, y: 0, scale: 1 }, Hammer);
+
+  assert.deepEqual(Object.keys(surface.listeners), ['mousedown', 'wheel']);
+  gestures.destroy();
+
+  assert.equal(Hammer.managers[0].destroyed, true);
+  assert.deepEqual(surface.listeners, {});
+  assert.deepEqual(surface.win.listeners, {});
+});
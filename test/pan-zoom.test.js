@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getMinScale, getPhotoScales, constrainMapPosition, constrainPhotoPosition, zoomAround, centreOn, isPointInView
+} from '../js/pan-zoom.js';
+
+// A 400x600 viewport over the trails' 1521x2021 map
+const VIEWPORT = [400, 600];
+const MAP = [1521, 2021];
+
+test('constrainMapPosition keeps a zoomed-in map covering the viewport', () => {
+  const view = { x: 50, y: 80, scale: 1 };
+  constrainMapPosition(view, ...VIEWPORT, ...MAP);
+  assert.deepEqual(view, { x: 0, y: 0, scale: 1 });
+
+  view.x = -5000;
+  view.y = -5000;
+  constrainMapPosition(view, ...VIEWPORT, ...MAP);
+  assert.deepEqual(view, { x: 400 - 1521, y: 600 - 2021, scale: 1 });
+});
+
+test('constrainMapPosition leaves a position inside the limits alone', () => {
+  const view = { x: -300, y: -700, scale: 1 };
+  constrainMapPosition(view, ...VIEWPORT, ...MAP);
+  assert.deepEqual(view, { x: -300, y: -700, scale: 1 });
+});
+
+test('constrainMapPosition centres a map smaller than the viewport', () => {
+  const view = { x: 0, y: 0, scale: 0.2 };
+  constrainMapPosition(view, ...VIEWPORT, ...MAP);
+  assert.equal(view.x, (400 - 1521 * 0.2) / 2);
+  assert.equal(view.y, (600 - 2021 * 0.2) / 2);
+});
+
+test('constrainMapPosition centres along one axis and clamps the other', () => {
+  // 1521 * 0.25 = 380 wide, 2021 * 0.25 = 505 tall: narrower than the
+  // viewport but taller than a 400x300 one
+  const view = { x: 100, y: 100, scale: 0.25 };
+  constrainMapPosition(view, 400, 300, ...MAP);
+  assert.equal(view.x, (400 - 1521 * 0.25) / 2);
+  assert.equal(view.y, 0);
+});
+
+test('getMinScale is just under the scale that covers the viewport', () => {
+  const scale = getMinScale(...VIEWPORT, ...MAP);
+  assert.equal(scale, Math.max(400 / 1521, 600 / 2021) * 0.98);
+  assert.ok(2021 * scale < 600);
+});
+
+test('constrainPhotoPosition uses the photo size on the view', () => {
+  const photoZoom = { x: 200, y: -900, scale: 0.5, imageWidth: 1200, imageHeight: 1600 };
+  constrainPhotoPosition(photoZoom, ...VIEWPORT);
+  assert.equal(photoZoom.x, 0);
+  assert.equal(photoZoom.y, 600 - 800);
+});
+
+test('constrainPhotoPosition centres a photo zoomed out to fit', () => {
+  const photoZoom = { x: 0, y: 0, scale: 400 / 1600, imageWidth: 1600, imageHeight: 1200 };
+  constrainPhotoPosition(photoZoom, ...VIEWPORT);
+  assert.equal(photoZoom.x, 0);
+  assert.equal(photoZoom.y, (600 - 300) / 2);
+});
+
+test('getPhotoScales contains, covers and allows zooming in', () => {
+  assert.deepEqual(getPhotoScales(400, 600, 1600, 1200), {
+    minScale: 0.25,
+    defaultScale: 0.5,
+    maxScale: 1.5
+  });
+  // Small photos can still be zoomed to full size
+  assert.equal(getPhotoScales(400, 600, 4000, 6000).maxScale, 1);
+});
+
+test('zoomAround keeps the point under the pinch still', () => {
+  const view = { x: -100, y: -200, scale: 0.5 };
+  const point = { x: (150 - view.x) / view.scale, y: (250 - view.y) / view.scale };
+  zoomAround(view, 1, 150, 250, 0.25, 1);
+  assert.equal(view.scale, 1);
+  assert.equal(point.x * view.scale + view.x, 150);
+  assert.equal(point.y * view.scale + view.y, 250);
+});
+
+test('zoomAround clamps the scale', () => {
+  const view = { x: 0, y: 0, scale: 0.5 };
+  zoomAround(view, 10, 0, 0, 0.25, 1);
+  assert.equal(view.scale, 1);
+  zoomAround(view, 0.01, 0, 0, 0.25, 1);
+  assert.equal(view.scale, 0.25);
+});
+
+test('centreOn puts the point in the middle of the viewport', () => {
+  const view = centreOn({ x: 700, y: 900 }, 0.5, ...VIEWPORT);
+  assert.deepEqual(view, { scale: 0.5, x: 200 - 350, y: 300 - 450 });
+  assert.ok(isPointInView(view, { x: 700, y: 900 }, ...VIEWPORT, 40));
+  assert.ok(!isPointInView(view, { x: 0, y: 0 }, ...VIEWPORT, 40));
+});
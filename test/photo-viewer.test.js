@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPhotoViewer } from '../js/photo-viewer.js';
+import { createDocument, createFakeHammer } from './fake-dom.js';
+
+// The #photo-overlay markup from the trail pages
+const OVERLAY = `
+  <div class="photo-overlay" id="photo-overlay">
+    <div class="photo-overlay-backdrop"></div>
+    <div class="photo-overlay-sheet">
+      <div class="photo-overlay-titlebar"><span class="photo-overlay-photo-count"></span></div>
+      <div class="photo-overlay-content">
+        <img class="photo-overlay-image" src="" alt="Waypoint photo">
+        <button class="photo-overlay-nav prev"></button>
+        <button class="photo-overlay-nav next"></button>
+      </div>
+      <div class="photo-overlay-indicators"></div>
+    </div>
+  </div>
+`;
+
+function setup(options = {}) {
+  const document = createDocument(OVERLAY);
+  const overlay = document.body.querySelector('.photo-overlay');
+  const Hammer = createFakeHammer();
+  const events = [];
+  const viewer = createPhotoViewer(overlay, {
+    onOpen: () => events.push('open'),
+    onClose: () => events.push('close'),
+    Hammer,
+    ...options
+  });
+  const part = selector => overlay.querySelector(selector);
+  return { document, overlay, Hammer, events, viewer, part };
+}
+
+// Finish loading the photo shown, as an 800 x 600 image
+function loadImage(image) {
+  image.naturalWidth = 800;
+  image.naturalHeight = 600;
+  image.onload();
+}
+
+test('opening shows the first photo, with its count and indicators', () => {
+  const { overlay, events, viewer, part } = setup();
+  viewer.open(['photos/a.jpg', 'photos/b.jpg']);
+
+  assert.equal(viewer.isOpen(), true);
+  assert.equal(overlay.classList.contains('visible'), true);
+  assert.deepEqual(events, ['open']);
+  assert.equal(part('.photo-overlay-photo-count').textContent, '2 photos');
+  assert.equal(part('.photo-overlay-image').src, 'photos/a.jpg');
+  assert.equal(part('.prev').disabled, true);
+  assert.equal(part('.next').disabled, false);
+  assert.deepEqual(
+    overlay.querySelectorAll('.photo-overlay-indicator').map(indicator => indicator.classList.contains('active')),
+    [true, false]
+  );
+});
+
+test('the title bar text can be translated', () => {
+  const { viewer, part } = setup({ photoCountText: count => `${count} fotos` });
+  viewer.open(['photos/a.jpg']);
+  assert.equal(part('.photo-overlay-photo-count').textContent, '1 fotos');
+});
+
+test('the buttons step through the photos, stopping at the ends', () => {
+  const { viewer, part } = setup();
+  viewer.open(['photos/a.jpg', 'photos/b.jpg']);
+
+  part('.next').dispatch('click');
+  assert.equal(part('.photo-overlay-image').src, 'photos/b.jpg');
+  assert.equal(part('.prev').disabled, false);
+  assert.equal(part('.next').disabled, true);
+
+  viewer.navigate(1);
+  assert.equal(part('.photo-overlay-image').src, 'photos/b.jpg');
+
+  part('.prev').dispatch('click');
+  assert.equal(part('.photo-overlay-image').src, 'photos/a.jpg');
+});
+
+test('a loaded photo starts centred, filling the overlay, once it has a size', () => {
+  const { document, Hammer, viewer, part } = setup();
+  const content = part('.photo-overlay-content');
+  const image = part('.photo-overlay-image');
+  viewer.open(['photos/a.jpg']);
+  loadImage(image);
+
+  // Not laid out yet: try again next frame
+  document.defaultView.runFrames();
+  assert.equal(Hammer.managers.length, 0);
+
+  content.rect = { left: 0, top: 0, width: 400, height: 600 };
+  document.defaultView.runFrames();
+
+  // Filling 400 x 600 takes the 800 x 600 photo at full size
+  assert.equal(image.style.transform, 'translate(-200px, 0px) scale(1)');
+  assert.equal(Hammer.managers.length, 1);
+  assert.equal(Hammer.managers[0].element, content);
+
+  // Dragging can't leave a gap at the photo's edge
+  Hammer.managers[0].handlers.panstart();
+  Hammer.managers[0].handlers.panmove({ deltaX: 500, deltaY: 0 });
+  assert.equal(image.style.transform, 'translate(0px, 0px) scale(1)');
+});
+
+test('the backdrop closes the viewer and removes its gestures', () => {
+  const { document, Hammer, events, viewer, part } = setup();
+  part('.photo-overlay-content').rect = { left: 0, top: 0, width: 400, height: 600 };
+  viewer.open(['photos/a.jpg']);
+  loadImage(part('.photo-overlay-image'));
+  document.defaultView.runFrames();
+
+  part('.photo-overlay-backdrop').dispatch('click');
+
+  assert.equal(viewer.isOpen(), false);
+  assert.deepEqual(events, ['open', 'close']);
+  assert.equal(Hammer.managers[0].destroyed, true);
+  assert.deepEqual(document.defaultView.listeners, {});
+});
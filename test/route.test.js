@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePathData, buildRouteGraph, findRoute } from '../js/route.js';
+
+const assertNear = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('path data flattens to one polyline per subpath', () => {
+  assert.deepEqual(parsePathData('M10 20 L30 20 40 30 M0 0 h5 v5 z'), [
+    [{ x: 10, y: 20 }, { x: 30, y: 20 }, { x: 40, y: 30 }],
+    [{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 5, y: 5 }, { x: 0, y: 0 }]
+  ]);
+
+  // Relative moves and lines, with the numbers run together
+  assert.deepEqual(parsePathData('m10,10l5-5.5.5.5'), [
+    [{ x: 10, y: 10 }, { x: 15, y: 4.5 }, { x: 15.5, y: 5 }]
+  ]);
+});
+
+test('curves are split into line segments that end on the curve', () => {
+  const [line] = parsePathData('M0 0 C0 10 10 10 10 0');
+  assert.equal(line.length, 9); // The start, then 8 steps
+  assert.deepEqual(line[line.length - 1], { x: 10, y: 0 });
+  assertNear(line[4].x, 5);
+  assertNear(line[4].y, 7.5); // A cubic Bézier's midpoint: 3/4 of the control height
+
+  const [quadratic] = parsePathData('M0 0 q5 10 10 0');
+  assertNear(quadratic[4].y, 5);
+  assert.deepEqual(quadratic[quadratic.length - 1], { x: 10, y: 0 });
+});
+
+test('arcs stop the parse, keeping what came before', () => {
+  assert.deepEqual(parsePathData('M0 0 L10 0 A5 5 0 0 1 20 0'), [[{ x: 0, y: 0 }, { x: 10, y: 0 }]]);
+  assert.deepEqual(parsePathData(''), []);
+});
+
+test('long lines are split so paths can join along them', () => {
+  const graph = buildRouteGraph([[{ x: 0, y: 0 }, { x: 100, y: 0 }]]);
+  assert.equal(graph.nodes.length, 11);
+  assert.equal(graph.segments.length, 10);
+  assert.deepEqual(graph.nodes[5], { x: 50, y: 0 });
+});
+
+// An L of two paths that meet at (100, 0), and a path off on its own
+const polylines = [
+  [{ x: 0, y: 0 }, { x: 100, y: 0 }],
+  [{ x: 100, y: 5 }, { x: 100, y: 100 }],
+  [{ x: 500, y: 500 }, { x: 600, y: 500 }]
+];
+
+test('findRoute walks along the paths, joining those that meet', () => {
+  const graph = buildRouteGraph(polylines);
+  const route = findRoute(graph, { x: 0, y: -10 }, { x: 110, y: 100 });
+
+  assert.deepEqual(route.points[0], { x: 0, y: -10 });
+  assert.deepEqual(route.points[1], { x: 0, y: 0 });
+  assert.deepEqual(route.points[route.points.length - 1], { x: 110, y: 100 });
+  // 10 on, 10 off and about 200 along the paths, less a little where
+  // joining nearby points cuts the corner
+  assert.ok(route.length > 205 && route.length < 225, `length ${route.length}`);
+});
+
+test('findRoute goes straight along a segment when both ends are on it', () => {
+  const graph = buildRouteGraph([[{ x: 0, y: 0 }, { x: 10, y: 0 }]]);
+  const route = findRoute(graph, { x: 2, y: 3 }, { x: 8, y: -4 });
+
+  assert.deepEqual(route.points, [{ x: 2, y: 3 }, { x: 2, y: 0 }, { x: 8, y: 0 }, { x: 8, y: -4 }]);
+  assertNear(route.length, 13);
+});
+
+test('findRoute gives up when the paths don\'t connect', () => {
+  const graph = buildRouteGraph(polylines);
+  assert.equal(findRoute(graph, { x: 0, y: 0 }, { x: 550, y: 500 }), null);
+  assert.equal(findRoute(buildRouteGraph([]), { x: 0, y: 0 }, { x: 1, y: 1 }), null);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getTrailBasePath, parsePage, getUrlForPage, getNavigationDirection, createRouter
+} from '../js/router.js';
+
+test('parsePage reads the cover, named pages and waypoint numbers', () => {
+  assert.equal(parsePage('/tree-trail/'), 'cover');
+  assert.equal(parsePage('/tree-trail'), 'cover');
+  assert.equal(parsePage('/tree-trail/intro'), 'intro');
+  assert.equal(parsePage('/tree-trail/list'), 'list');
+  assert.equal(parsePage('/tree-trail/finish'), 'finish');
+  assert.equal(parsePage('/tree-trail/12'), 12);
+  assert.equal(parsePage('/tree-trail/3a'), 'cover');
+});
+
+test('URLs keep the query on every page', () => {
+  assert.equal(getTrailBasePath('/grave-trail/4'), '/grave-trail');
+  assert.equal(getUrlForPage('/grave-trail', 'cover', '?features=military'), '/grave-trail/?features=military');
+  assert.equal(getUrlForPage('/grave-trail', 4, '?features=military'), '/grave-trail/4?features=military');
+});
+
+test('pages slide left going along the trail and right going back', () => {
+  assert.equal(getNavigationDirection('cover', 'intro', 10), 'left');
+  assert.equal(getNavigationDirection('intro', 1, 10), 'left');
+  assert.equal(getNavigationDirection(3, 2, 10), 'right');
+  assert.equal(getNavigationDirection(10, 'finish', 10), 'left');
+  assert.equal(getNavigationDirection('finish', 'cover', 10), 'right');
+  assert.equal(getNavigationDirection('list', 'intro', 10), 'right');
+});
+
+// A window with the location, history and session storage the router uses
+function createWindow(pathname, search = '', session = {}) {
+  const win = {
+    location: { pathname, search },
+    listeners: {},
+    calls: [],
+    sessionStorage: {
+      getItem: key => session[key] ?? null,
+      removeItem: key => delete session[key]
+    },
+    history: {
+      state: null,
+      pushState: (state, title, url) => win.calls.push(['push', url]),
+      replaceState: (state, title, url) => {
+        win.calls.push(['replace', url]);
+        win.location.pathname = url;
+      }
+    },
+    addEventListener: (type, listener) => {
+      win.listeners[type] = listener;
+    }
+  };
+  return win;
+}
+
+test('the router routes the initial URL and back and forward', () => {
+  const win = createWindow('/tree-trail/3', '?skip=1');
+  const routes = [];
+  const router = createRouter({ window: win, onRoute: (page, search) => routes.push([page, search]) });
+
+  assert.equal(router.base, '/tree-trail');
+  router.start();
+  win.location.pathname = '/tree-trail/intro';
+  win.listeners.popstate();
+  router.push(4, '?skip=1');
+
+  assert.deepEqual(routes, [[3, '?skip=1'], ['intro', '?skip=1']]);
+  assert.deepEqual(win.calls, [['push', '/tree-trail/4?skip=1']]);
+});
+
+test('the router restores the path a 404 redirect saved', () => {
+  const session = { 'spa-redirect-path': '/tree-trail/finish' };
+  const win = createWindow('/tree-trail/', '', session);
+  const routes = [];
+  createRouter({ window: win, onRoute: page => routes.push(page) }).start();
+
+  assert.deepEqual(win.calls, [['replace', '/tree-trail/finish']]);
+  assert.deepEqual(routes, ['finish']);
+  assert.deepEqual(session, {});
+});
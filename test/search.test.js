@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSearchIndex, search } from '../js/search.js';
+
+const trails = [
+  {
+    slug: 'tree-trail',
+    trail: {
+      name: 'Tree trail',
+      description: 'A walk among the trees',
+      cemeteryDescription: '**Fulham Cemetery** opened in 1865.',
+      features: [{ id: 'oak', title: 'Oak' }, { id: 'bench', title: 'Bench' }],
+      waypoints: [
+        {
+          title: 'The great oak',
+          description: 'Planted when the cemetery opened, it shades the grave of *Emily Brontë*\'s cousin.',
+          features: [{ id: 'oak' }]
+        },
+        {
+          title: 'Lime avenue',
+          description: 'A double row of limes leading to the chapel.',
+          features: [{ id: 'bench', title: 'Memorial bench', description: 'In memory of Ada' }]
+        }
+      ]
+    }
+  },
+  {
+    slug: 'grave-trail',
+    trail: {
+      name: 'Grave trail',
+      description: '',
+      cemeteryDescription: '',
+      features: [],
+      waypoints: [{ title: 'Ashburnham family', description: 'A family vault near the oak.', features: [] }]
+    }
+  }
+];
+
+const index = buildSearchIndex(trails);
+const urls = results => results.map(result => result.url);
+const marked = segments => segments.filter(segment => segment.match).map(segment => segment.text);
+
+test('every trail\'s intro and waypoints are indexed', () => {
+  assert.deepEqual(index.documents.map(doc => doc.url), [
+    '/tree-trail/intro', '/tree-trail/1', '/tree-trail/2', '/grave-trail/intro', '/grave-trail/1'
+  ]);
+  // Descriptions are searched as plain text
+  assert.equal(index.documents[0].fields.text, 'A walk among the trees\n\nFulham Cemetery opened in 1865.');
+});
+
+test('title matches rank above feature and text matches', () => {
+  assert.deepEqual(urls(search(index, 'oak')), ['/tree-trail/1', '/tree-trail/intro', '/grave-trail/1']);
+});
+
+test('words match exactly, as prefixes, with a typo, and without accents', () => {
+  assert.deepEqual(urls(search(index, 'limes')), ['/tree-trail/2']);
+  assert.deepEqual(urls(search(index, 'ashburn')), ['/grave-trail/1']);
+  assert.deepEqual(urls(search(index, 'cemetry')), ['/tree-trail/intro', '/tree-trail/1']);
+  assert.deepEqual(urls(search(index, 'bronte')), ['/tree-trail/1']);
+  // Short words must match exactly
+  assert.deepEqual(urls(search(index, 'o')), []);
+});
+
+test('every word of the query has to match', () => {
+  assert.deepEqual(urls(search(index, 'oak vault')), ['/grave-trail/1']);
+  assert.deepEqual(urls(search(index, 'oak zebra')), []);
+  assert.deepEqual(search(index, '  ,. '), []);
+});
+
+test('results highlight the matches in the title and a snippet', () => {
+  const [result] = search(index, 'great shades');
+  assert.equal(result.trailName, 'Tree trail');
+  assert.deepEqual(marked(result.title), ['great']);
+  assert.deepEqual(marked(result.snippet), ['shades']);
+
+  // A waypoint found by its features shows them as the snippet
+  const [bench] = search(index, 'Ada');
+  assert.equal(bench.url, '/tree-trail/2');
+  assert.deepEqual(bench.snippet, [{ text: 'Memorial bench In memory of ', match: false }, { text: 'Ada', match: true }]);
+});
+
+test('long texts are cut to a snippet around the first match', () => {
+  const long = buildSearchIndex([{
+    slug: 'long',
+    trail: {
+      name: 'Long',
+      features: [],
+      waypoints: [{ title: 'Long', description: `${'word '.repeat(40)}needle ${'word '.repeat(40)}`, features: [] }]
+    }
+  }]);
+  const [{ snippet }] = search(long, 'needle');
+
+  assert.equal(snippet[0].text, '…');
+  assert.equal(snippet[snippet.length - 1].text, '…');
+  assert.deepEqual(marked(snippet), ['needle']);
+});
+
+test('the limit caps the number of results', () => {
+  assert.equal(search(index, 'trail', 1).length, 1);
+});
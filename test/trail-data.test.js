@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+  loadTrail, loadTrailList, loadRouteGraph, getTrailFiles, getWaypointFeatures, getFilterableFeatures
+} from '../js/trail-data.js';
+import { CURRENT_SCHEMA_VERSION } from '../js/trail-migrations.js';
+
+const readJson = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+
+// A fetch answering from files, keeping the requests it was sent
+function createFetch(files) {
+  const requests = [];
+  const fetchFile = async (url, options) => {
+    requests.push([url, options]);
+    const body = files[url];
+    return {
+      ok: body !== undefined,
+      status: body === undefined ? 404 : 200,
+      json: async () => structuredClone(body),
+      text: async () => body
+    };
+  };
+  return { fetch: fetchFile, requests };
+}
+
+test('loadTrail revalidates trail.json and upgrades it to the current format', async () => {
+  const oldTrail = {
+    slug: 'old-trail',
+    features: [{ id: 'oak', title: 'Oak' }],
+    waypoints: [{ id: 'id01', index: 1, features: ['oak'] }]
+  };
+  const { fetch, requests } = createFetch({ '/old-trail/trail.json': oldTrail });
+
+  const { trail, georeference, waypointLocations } = await loadTrail('/old-trail', { fetch });
+
+  assert.deepEqual(requests, [['/old-trail/trail.json', { cache: 'no-cache' }]]);
+  assert.equal(trail.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(trail.waypoints[0].features, [{ id: 'oak' }]);
+  assert.deepEqual(trail.languages, ['en']);
+  assert.equal(georeference, null);
+  assert.deepEqual(waypointLocations, []);
+});
+
+test('loadTrail places waypoints with the trail\'s georeference', async () => {
+  const treeTrail = readJson('../trails/tree-trail/trail.json');
+  const { fetch } = createFetch({ './trail.json': treeTrail });
+
+  const { trail, georeference, waypointLocations } = await loadTrail('.', { fetch });
+
+  assert.ok(georeference);
+  assert.equal(waypointLocations.length, trail.waypoints.length);
+  const [{ lat, lng }] = waypointLocations[0];
+  assert.ok(Math.abs(lat - 51.48) < 0.01 && Math.abs(lng + 0.21) < 0.01, `${lat}, ${lng}`);
+});
+
+test('loadTrailList loads each listed trail once, keeping ones that fail', async () => {
+  const entries = [{ slug: 'tree-trail', name: 'Tree trail' }, { slug: 'new-trail', name: 'New trail' }];
+  const { fetch, requests } = createFetch({
+    './trails.json': entries,
+    './tree-trail/trail.json': { slug: 'tree-trail', features: [], waypoints: [] }
+  });
+
+  const trails = await loadTrailList('.', { fetch });
+
+  assert.deepEqual(requests.map(([url]) => url), ['./trails.json', './tree-trail/trail.json', './new-trail/trail.json']);
+  assert.deepEqual(trails.map(({ slug, entry }) => [slug, entry.name]), [['tree-trail', 'Tree trail'], ['new-trail', 'New trail']]);
+  assert.equal(trails[0].trail.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(trails[1].trail, null);
+});
+
+test('loadRouteGraph resolves with null for a trail without a route', async () => {
+  const { fetch } = createFetch({});
+  assert.equal(await loadRouteGraph('.', { fetch }), null);
+});
+
+test('getTrailFiles lists photos, thumbnails and audio', () => {
+  const trail = {
+    waypoints: [
+      { id: 'id01', photos: ['oak.png'], audio: 'oak.mp3' },
+      { id: 'id02', photos: [] }
+    ]
+  };
+  assert.deepEqual(getTrailFiles(trail, '/tree-trail'), [
+    '/tree-trail/trail.json',
+    '/tree-trail/map.png',
+    '/tree-trail/route.svg',
+    '/tree-trail/photos/id01/oak.png',
+    '/tree-trail/photos/id01/thumbs/oak.jpg',
+    '/tree-trail/audio/id01/oak.mp3'
+  ]);
+});
+
+test('a waypoint\'s features take its own titles and descriptions over the trail\'s', () => {
+  const trail = {
+    features: [{ id: 'oak', title: 'Oak', description: 'A tree', icon: 'oak.svg' }],
+    waypoints: []
+  };
+  const waypoint = { features: [{ id: 'oak', title: 'Great oak' }, { id: 'missing' }] };
+  assert.deepEqual(getWaypointFeatures(trail, waypoint), [
+    { id: 'oak', title: 'Great oak', description: 'A tree', icon: 'oak.svg' }
+  ]);
+});
+
+test('only features some waypoints have, but not all, filter the maps', () => {
+  const trail = {
+    features: [{ id: 'time' }, { id: 'oak' }, { id: 'path' }],
+    waypoints: [{ features: [{ id: 'oak' }, { id: 'path' }] }, { features: [{ id: 'path' }] }]
+  };
+  assert.deepEqual(getFilterableFeatures(trail).map(feature => feature.id), ['oak']);
+});
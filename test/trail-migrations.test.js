@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateTrail } from '../js/trail-migrations.js';
+
+test('files without a schemaVersion are version 1', () => {
+  assert.equal(getSchemaVersion({ slug: 'old' }), 1);
+  assert.equal(getSchemaVersion({ schemaVersion: 2 }), 2);
+});
+
+test('version 1 waypoint features become { id } objects', () => {
+  const trail = {
+    slug: 'old',
+    features: [{ id: 'oak', title: 'Oak' }],
+    waypoints: [
+      { id: 'id01', index: 1, features: ['oak', { id: 'accessibility', title: 'Accessible', description: 'Paved access' }] },
+      { id: 'id02', index: 2 }
+    ]
+  };
+  const before = structuredClone(trail);
+  const migrated = migrateTrail(trail);
+
+  assert.equal(migrated.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(Object.keys(migrated)[0], 'schemaVersion');
+  assert.deepEqual(migrated.waypoints[0].features, [
+    { id: 'oak' },
+    { id: 'accessibility', title: 'Accessible', description: 'Paved access' }
+  ]);
+  assert.deepEqual(migrated.waypoints[1], { id: 'id02', index: 2, markerPositions: [], features: [], photos: [] });
+  assert.deepEqual(trail, before);
+});
+
+test('a current trail comes back unchanged', () => {
+  const trail = migrateTrail({ slug: 'old', features: [], waypoints: [{ id: 'id01', features: ['oak'] }] });
+  assert.deepEqual(migrateTrail(trail), trail);
+});
+
+test('trails from a newer version are refused', () => {
+  assert.throws(() => migrateTrail({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }), /only reads up to/);
+  assert.throws(() => migrateTrail({ schemaVersion: '2' }), /invalid schemaVersion/);
+});
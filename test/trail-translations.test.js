@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  listTranslatableTexts, getMissingTranslations, setTranslation, localiseTrail, chooseLanguage,
+  getPreferredLanguages, saveLanguage
+} from '../js/trail-translations.js';
+
+function createTrail() {
+  return {
+    name: 'Tree Trail',
+    description: '',
+    features: [{ id: 'oak', title: 'Oak', description: 'A native tree' }],
+    waypoints: [
+      { id: 'id01', title: 'The Lime', description: 'By the gate', features: [{ id: 'oak' }, { id: 'accessibility', title: 'Accessible' }] }
+    ],
+    languages: ['en', 'fr'],
+    translations: {
+      fr: { trail: { name: 'Sentier des arbres' }, waypoints: { id01: { title: 'Le Tilleul' } } }
+    }
+  };
+}
+
+test('texts are listed by path, leaving out empty fields', () => {
+  assert.deepEqual(listTranslatableTexts(createTrail()).map(({ path }) => path.join('.')), [
+    'trail.name',
+    'features.oak.title',
+    'features.oak.description',
+    'waypoints.id01.title',
+    'waypoints.id01.description',
+    'waypoints.id01.features.accessibility.title'
+  ]);
+});
+
+test('untranslated text falls back to the main language', () => {
+  const trail = createTrail();
+  const localised = localiseTrail(trail, 'fr');
+
+  assert.equal(localised.name, 'Sentier des arbres');
+  assert.equal(localised.waypoints[0].title, 'Le Tilleul');
+  assert.equal(localised.waypoints[0].description, 'By the gate');
+  assert.equal(localised.features[0].title, 'Oak');
+  assert.equal(trail.name, 'Tree Trail');
+  assert.deepEqual(localiseTrail(trail, 'en'), trail);
+});
+
+test('missing translations are listed, and none for the main language', () => {
+  const trail = createTrail();
+  assert.equal(getMissingTranslations(trail, 'fr').length, 4);
+  assert.deepEqual(getMissingTranslations(trail, 'en'), []);
+});
+
+test('clearing a translation removes it and any objects left empty', () => {
+  const trail = createTrail();
+  setTranslation(trail, 'fr', ['waypoints', 'id01', 'features', 'accessibility', 'title'], 'Accessible');
+  assert.equal(trail.translations.fr.waypoints.id01.features.accessibility.title, 'Accessible');
+
+  setTranslation(trail, 'fr', ['waypoints', 'id01', 'features', 'accessibility', 'title'], '');
+  setTranslation(trail, 'fr', ['waypoints', 'id01', 'title'], '');
+  assert.deepEqual(trail.translations, { fr: { trail: { name: 'Sentier des arbres' } } });
+});
+
+test('the visitor\'s preferred languages pick the closest one available', () => {
+  assert.equal(chooseLanguage(['en', 'fr'], ['de', 'fr-CA']), 'fr');
+  assert.equal(chooseLanguage(['en', 'pt-BR', 'pt-PT'], ['pt-PT']), 'pt-PT');
+  assert.equal(chooseLanguage(['en', 'fr'], [null, 'de']), 'en');
+});
+
+test('the language asked for in the URL comes before the saved choice and the browser\'s', () => {
+  const storage = {};
+  const win = {
+    location: { search: '?features=oak&lang=es' },
+    navigator: { languages: ['en-GB', 'en'] },
+    localStorage: {
+      getItem: key => storage[key] ?? null,
+      setItem: (key, value) => {
+        storage[key] = value;
+      }
+    }
+  };
+
+  assert.equal(saveLanguage('fr', win), true);
+  assert.deepEqual(getPreferredLanguages(win), ['es', 'fr', 'en-GB', 'en']);
+});
+
+test('unavailable storage leaves the browser\'s languages', () => {
+  const win = {
+    location: { search: '' },
+    navigator: { language: 'fr-FR' },
+    localStorage: {
+      getItem: () => {
+        throw new Error('SecurityError');
+      },
+      setItem: () => {
+        throw new Error('QuotaExceededError');
+      }
+    }
+  };
+
+  assert.equal(saveLanguage('es', win), false);
+  assert.deepEqual(getPreferredLanguages(win), [null, null, 'fr-FR']);
+});
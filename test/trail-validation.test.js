@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { validateSchema, validateTrail } from '../js/trail-validation.js';
+import { migrateTrail } from '../js/trail-migrations.js';
+
+const readJson = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const schema = readJson('../trail.schema.json');
+
+// A small valid trail; each test breaks a copy of it
+function createTrail() {
+  return {
+    schemaVersion: 3,
+    slug: 'test-trail',
+    name: 'Test Trail',
+    mapSize: { width: 1000, height: 1000 },
+    features: [
+      { id: 'oak', title: 'Oak', iconColour: '#3B7A5C' },
+      { id: 'poppy', title: 'Poppy', iconColour: '' }
+    ],
+    waypoints: [
+      { id: 'id01', index: 1, title: 'First', markerPositions: [{ x: 10, y: 20 }], features: [{ id: 'oak' }], photos: ['a.jpg'] },
+      { id: 'id02', index: 2, title: 'Second', markerPositions: [{ x: 30, y: 40 }], features: [{ id: 'poppy', title: 'Poppies' }], photos: [] }
+    ],
+    languages: ['en', 'fr'],
+    translations: {
+      fr: { features: { oak: { title: 'Chêne' } }, waypoints: { id02: { features: { poppy: { title: 'Coquelicots' } } } } }
+    }
+  };
+}
+
+test('the trails in the repo have no errors', () => {
+  readdirSync(new URL('../trails/', import.meta.url)).forEach(slug => {
+    const { errors } = validateTrail(migrateTrail(readJson(`../trails/${slug}/trail.json`)), schema);
+    assert.deepEqual(errors, [], slug);
+  });
+});
+
+test('a valid trail has no problems', () => {
+  const files = new Set(['photos/id01/a.jpg', 'photos/id01/thumbs/a.jpg']);
+  assert.deepEqual(validateTrail(createTrail(), schema, { files }), { errors: [], warnings: [] });
+});
+
+test('schema errors name the path to the value', () => {
+  const trail = createTrail();
+  delete trail.waypoints[1].title;
+  trail.waypoints[0].index = '1';
+  trail.waypoints[0].features[0] = 3;
+  trail.features[0].iconColour = 'green';
+
+  assert.deepEqual(validateSchema(trail, schema), [
+    'features[0].iconColour: "green" doesn\'t match the pattern ^(#([0-9A-Fa-f]{3}){1,2})?$',
+    'waypoints[0].index: must be an integer',
+    'waypoints[0].features[0]: must be an object',
+    'waypoints[1].title: is required'
+  ]);
+});
+
+test('reference checks run once the structure is valid', () => {
+  const trail = createTrail();
+  trail.waypoints[1].features.push({ id: 'poppy2' });
+  assert.deepEqual(validateTrail(trail, schema).errors, ['waypoints[1].features[1]: unknown feature "poppy2"']);
+
+  delete trail.name;
+  assert.deepEqual(validateTrail(trail, schema).errors, ['name: is required']);
+});
+
+test('duplicate ids and out-of-order indexes are errors', () => {
+  const trail = createTrail();
+  trail.features.push({ id: 'oak', title: 'Another oak' });
+  trail.waypoints[1].id = 'id01';
+  trail.waypoints[1].index = 3;
+
+  assert.deepEqual(validateTrail(trail, schema).errors, [
+    'features[2].id: duplicate feature id "oak", also used at features[0].id',
+    'waypoints[1].id: duplicate waypoint id "id01", also used at waypoints[0].id',
+    'waypoints[1].index: is 3 but the waypoint is number 2 in the list'
+  ]);
+});
+
+test('missing files and unplaced markers are warnings', () => {
+  const trail = createTrail();
+  trail.waypoints[1].markerPositions = [];
+  trail.waypoints[0].markerPositions.push({ x: 1200, y: 20 });
+  trail.waypoints[1].audio = 'narration.mp3';
+
+  const { errors, warnings } = validateTrail(trail, schema, { files: new Set(['photos/id01/thumbs/a.jpg']) });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    'waypoints[0].markerPositions[1]: outside the 1000x1000 map',
+    'waypoints[0].photos[0]: no file at photos/id01/a.jpg',
+    'waypoints[1].markerPositions: no markers, so the waypoint isn\'t on the map',
+    'waypoints[1].audio: no file at audio/id02/narration.mp3'
+  ]);
+});
+
+test('repeated languages are errors and stray translations warnings', () => {
+  const trail = createTrail();
+  trail.languages.push('fr');
+  trail.translations.fr.waypoints.id03 = { title: 'Troisième' };
+  trail.translations.fr.waypoints.id02.features.oak = { title: 'Chêne' };
+  trail.translations.de = { trail: { name: 'Testpfad' } };
+
+  const { errors, warnings } = validateTrail(trail, schema);
+  assert.deepEqual(errors, ['languages[2]: duplicate language "fr", also listed at languages[1]']);
+  assert.deepEqual(warnings, [
+    'translations.fr.waypoints.id02.features.oak: the waypoint doesn\'t have feature "oak"',
+    'translations.fr.waypoints.id03: unknown waypoint "id03"',
+    'translations.de: "de" isn\'t in languages, so visitors can\'t choose it'
+  ]);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createWalkProgress, MAX_WALK_HOURS } from '../js/walk-progress.js';
+
+const HOUR = 60 * 60 * 1000;
+const waypoints = [{ id: 'a', index: 1 }, { id: 'b', index: 2 }, { id: 'c', index: 3 }];
+
+// localStorage backed by a Map, and a clock that can be moved on
+function setup(saved = {}) {
+  const items = new Map(Object.entries(saved));
+  const storage = {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value)
+  };
+  const clock = { time: Date.parse('2025-05-01T10:00:00Z') };
+  const create = () => createWalkProgress('trail-progress-tree-trail', { storage, now: () => clock.time });
+  return { items, clock, create };
+}
+
+test('visited waypoints are saved and read back', () => {
+  const { create } = setup();
+  const progress = create();
+
+  assert.equal(progress.markVisited(waypoints[1]), true);
+  assert.equal(progress.markVisited(waypoints[1]), false);
+  assert.equal(progress.isVisited(waypoints[1]), true);
+  assert.equal(progress.isVisited(waypoints[0]), false);
+
+  const reloaded = create();
+  assert.equal(reloaded.countVisited(waypoints), 1);
+  assert.equal(reloaded.lastWaypoint, null);
+});
+
+test('unreadable progress counts as none', () => {
+  const { create } = setup({ 'trail-progress-tree-trail': '{not json' });
+  assert.equal(create().countVisited(waypoints), 0);
+});
+
+test('opening a waypoint starts the walk and sets where to resume', () => {
+  const { clock, create } = setup();
+  const progress = create();
+  assert.equal(progress.getWalk(), null);
+  assert.equal(progress.isWalking(), false);
+
+  progress.openWaypoint(2);
+  clock.time += HOUR / 2;
+  progress.openWaypoint(3);
+  progress.addDistance(120);
+  progress.addDistance(30);
+
+  assert.equal(progress.lastWaypoint, 3);
+  assert.equal(progress.isWalking(), true);
+  assert.deepEqual(progress.getWalk(), { elapsed: HOUR / 2, distance: 150 });
+});
+
+test('finishing stops the walk\'s time and distance', () => {
+  const { clock, create } = setup();
+  const progress = create();
+  progress.openWaypoint(1);
+  clock.time += HOUR;
+  progress.finishWalk();
+
+  clock.time += HOUR;
+  progress.finishWalk();
+  progress.addDistance(100);
+
+  assert.equal(progress.isWalking(), false);
+  assert.deepEqual(create().getWalk(), { elapsed: HOUR, distance: 0 });
+});
+
+test('a walk started long ago belongs to an earlier visit', () => {
+  const { clock, create } = setup();
+  const progress = create();
+  progress.openWaypoint(1);
+  progress.addDistance(500);
+  progress.markVisited(waypoints[0]);
+
+  clock.time += MAX_WALK_HOURS * HOUR;
+  assert.equal(progress.getWalk(), null);
+
+  // Visited waypoints are kept; time and distance start again
+  progress.openWaypoint(2);
+  assert.deepEqual(progress.getWalk(), { elapsed: 0, distance: 0 });
+  assert.equal(progress.isVisited(waypoints[0]), true);
+});
+
+test('progress is kept for the page when storage fails', () => {
+  const storage = {
+    getItem: () => { throw new Error('SecurityError'); },
+    setItem: () => { throw new Error('QuotaExceededError'); }
+  };
+  const progress = createWalkProgress('key', { storage });
+  progress.markVisited(waypoints[0]);
+  assert.equal(progress.isVisited(waypoints[0]), true);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { walkLength, walkToGpx } from '../js/walk-recording.js';
+
+const walk = {
+  recording: false,
+  startedAt: '2025-05-01T10:00:00.000Z',
+  points: [
+    { lat: 51.48, lng: -0.2, time: '2025-05-01T10:00:00.000Z' },
+    { lat: 51.4801, lng: -0.2, time: '2025-05-01T10:00:10.000Z' },
+    { lat: 51.4801, lng: -0.19985, time: '2025-05-01T10:00:20.000Z' }
+  ]
+};
+
+test('a walk\'s length adds up the distance between its points', () => {
+  // 0.0001° of latitude is 11.1 m; 0.00015° of longitude here is 10.4 m
+  assert.ok(Math.abs(walkLength(walk) - 21.5) < 0.1, `length ${walkLength(walk)}`);
+  assert.equal(walkLength({ points: [] }), 0);
+  assert.equal(walkLength({ points: walk.points.slice(0, 1) }), 0);
+});
+
+test('GPX export has the walk as one track, named and timed', () => {
+  assert.equal(walkToGpx(walk, 'Tree trail walk, 2025-05-01'), `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Fulham Cemetery Friends trails" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>Tree trail walk, 2025-05-01</name>
+    <time>2025-05-01T10:00:00.000Z</time>
+  </metadata>
+  <trk>
+    <name>Tree trail walk, 2025-05-01</name>
+    <trkseg>
+      <trkpt lat="51.4800000" lon="-0.2000000"><time>2025-05-01T10:00:00.000Z</time></trkpt>
+      <trkpt lat="51.4801000" lon="-0.2000000"><time>2025-05-01T10:00:10.000Z</time></trkpt>
+      <trkpt lat="51.4801000" lon="-0.1998500"><time>2025-05-01T10:00:20.000Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>
+`);
+});
+
+test('GPX export escapes the walk\'s name', () => {
+  const gpx = walkToGpx({ ...walk, points: [] }, 'Graves & "monuments" <walk>');
+  assert.match(gpx, /<name>Graves &#38; &#34;monuments&#34; &#60;walk&#62;<\/name>/);
+  assert.doesNotMatch(gpx, /<trkpt/);
+});
@@ -1,6 +1,9 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
-import { readdirSync, statSync, existsSync } from 'fs';
+import { readdirSync, readFileSync, statSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { validateTrail } from './js/trail-validation.js';
+import { migrateTrail } from './js/trail-migrations.js';
 
 // Discover all trail directories dynamically
 const trailsDir = resolve(__dirname, 'trails');
@@ -16,6 +19,90 @@ if (existsSync(trailsDir)) {
   });
 }
 
+// Hammer.js is loaded from its CDN by every trail page
+const HAMMER_URL = 'https://hammerjs.github.io/dist/hammer.min.js';
+
+// Build sw.js with a version derived from the build output, so each deploy
+// gets fresh caches, and the list of app shell files to precache (bundled
+// file names are content-hashed, so only the build knows them)
+function serviceWorkerPlugin() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const swSource = readFileSync(resolve(__dirname, 'sw.js'), 'utf8');
+      const fileNames = Object.keys(bundle).sort();
+
+      const hash = createHash('sha256');
+      hash.update(swSource);
+      fileNames.forEach(name => {
+        const item = bundle[name];
+        hash.update(name);
+        hash.update(item.type === 'chunk' ? item.code : item.source);
+      });
+      const version = hash.digest('hex').slice(0, 12);
+
+      // Pages are precached by their clean URLs; the admin CMS is left out
+      const bundledFiles = fileNames
+        .filter(name => !name.endsWith('.html') && !/(^|\/)admin[-.]/.test(name))
+        .map(name => `/${name}`);
+      const featureIcons = readdirSync(resolve(__dirname, 'images'))
+        .filter(name => name.endsWith('.svg'))
+        .map(name => `/images/${name}`);
+      const appShell = [
+        '/',
+        ...Object.keys(trailInputs).map(slug => `/${slug}/`),
+        '/manifest.json',
+        ...bundledFiles,
+        ...featureIcons,
+        HAMMER_URL
+      ];
+
+      const source = swSource
+        .replace("const BUILD_VERSION = 'dev';", `const BUILD_VERSION = '${version}';`)
+        .replace('const APP_SHELL = [];', `const APP_SHELL = ${JSON.stringify(appShell, null, 2)};`);
+      if (source.includes("const BUILD_VERSION = 'dev';") || source.includes('const APP_SHELL = [];')) {
+        this.error('sw.js placeholders not found');
+      }
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
+
+// Check every trail.json before building, so a broken trail fails the
+// deploy instead of the visitor app. Warnings are printed and let through.
+function trailValidationPlugin() {
+  return {
+    name: 'trail-validation',
+    apply: 'build',
+    buildStart() {
+      const schema = JSON.parse(readFileSync(resolve(__dirname, 'trail.schema.json'), 'utf8'));
+      const problems = [];
+
+      Object.keys(trailInputs).forEach(slug => {
+        const trailPath = resolve(trailsDir, slug);
+        let trail;
+        try {
+          trail = migrateTrail(JSON.parse(readFileSync(resolve(trailPath, 'trail.json'), 'utf8')));
+        } catch (error) {
+          problems.push(`${slug}/trail.json: ${error.message}`);
+          return;
+        }
+
+        const files = new Set(readdirSync(trailPath, { recursive: true }).map(name => name.split('\\').join('/')));
+        const { errors, warnings } = validateTrail(trail, schema, { files });
+        warnings.forEach(warning => this.warn(`${slug}/trail.json: ${warning}`));
+        errors.forEach(error => problems.push(`${slug}/trail.json: ${error}`));
+      });
+
+      if (problems.length) {
+        this.error(`Invalid trail data:\n${problems.join('\n')}`);
+      }
+    }
+  };
+}
+
 export default defineConfig({
   root: '.',
   base: '/',
@@ -39,6 +126,8 @@ export default defineConfig({
     }
   },
   plugins: [
+    trailValidationPlugin(),
+    serviceWorkerPlugin(),
     {
       name: 'rewrite-trail-routes',
       configureServer(server) {
@@ -61,7 +150,7 @@ export default defineConfig({
               const trailDir = resolve(__dirname, 'trails', slug);
               if (existsSync(trailDir) && statSync(trailDir).isDirectory()) {
                 const rest = match[2] || '/';
-                if (rest.match(/^\/(intro|\d+)$/)) {
+                if (rest.match(/^\/(intro|list|finish|\d+)$/)) {
                   req.url = `/trails/${slug}/index.html`;
                 } else {
                   req.url = `/trails/${slug}${rest}`;